@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+'use strict';
+
+const { main } = require('../lib/cli');
+
+const { stdin, stdout, stderr } = process;
+main(process.argv.slice(2), { stdin, stdout, stderr }).then((code) => {
+  process.exitCode = code;
+});
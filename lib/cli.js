@@ -0,0 +1,595 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// The mongofs command-line tool for browsing and managing the files of a
+// GridFS bucket. Each command is carried out by the MongoFS methods of the
+// same purpose. The output is human-readable unless the --json option is
+// given, in which case each command writes a single JSON document.
+//------------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { pipeline } = require('stream');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+const { basename, resolve } = require('./path');
+
+const USAGE = `Usage: mongofs [options] <command> [arguments]
+
+Commands:
+  ls [-l] [-R] [path]          List the folders and files of a folder
+  cat <path>...                Write the content of files
+  put [-f] <local> [path]      Upload a local file ('-' for standard input)
+  get [-f] <path> [local]      Download a file ('-' for standard output)
+  rm [-r] <path>...            Delete files, or folders with -r
+  mv <path> <target>           Rename a file or folder
+  cp [-r] <path> <target>      Copy a file, or a folder with -r
+  stat <path>                  Show the properties of a file or folder
+  find [folder] --query <json> Find the files matching a MongoDB query
+  du [folder]...               Show the bytes and number of files of folders
+  meta get <path>              Show the metadata of a file or folder
+  meta set <path> <json>       Replace the metadata of a file or folder
+
+Options:
+  --uri <uri>                  The MongoDB connection string (default is the
+                               MONGOFS_URI variable or mongodb://localhost:27017)
+  --db <name>                  The database (default is the MONGOFS_DB variable
+                               or the database of the connection string)
+  --bucket <name>              The GridFS bucket (default is 'fs')
+  --json                       Write the output as JSON
+  --content-type <type>        The content type of an uploaded file (put,
+                               default is detected)
+  -f                           Replace an existing file (put and get)
+  -h, --help                   Show this help
+`;
+
+// The commands by name. Each has the flags and options it accepts, the
+// minimum and maximum number of arguments, and the function carrying it out.
+const COMMANDS = {
+  ls: { flags: 'lR', args: [0, 1], run: ls },
+  cat: { args: [1, Infinity], run: cat },
+  put: { flags: 'f', options: ['content-type'], args: [1, 2], run: put },
+  get: { flags: 'f', args: [1, 2], run: get },
+  rm: { flags: 'r', args: [1, Infinity], run: rm },
+  mv: { args: [2, 2], run: mv },
+  cp: { flags: 'r', args: [2, 2], run: cp },
+  stat: { args: [1, 1], run: stat },
+  find: { options: ['query'], args: [0, 1], run: find },
+  du: { args: [0, Infinity], run: du },
+  meta: { args: [2, 3], run: meta },
+};
+
+// The global options that take a value.
+const GLOBAL_OPTIONS = ['uri', 'db', 'bucket'];
+
+// Runs the command line having the arguments (without the node executable
+// and the script) and writes to the stdout and stderr streams of the io
+// object, which also has the stdin stream. Resolves with the exit code: 0
+// if successful, 1 if the command failed and 2 if the usage is invalid.
+async function main(argv, io) {
+  let parsed = null;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    io.stderr.write(`mongofs: ${err.message}\n${USAGE}`);
+    return 2;
+  }
+  if (parsed.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+  const { options } = parsed;
+  const uri = options.uri || process.env.MONGOFS_URI || 'mongodb://localhost:27017';
+  const dbName = options.db || process.env.MONGOFS_DB || databaseOf(uri);
+  if (!dbName) {
+    io.stderr.write('mongofs: No database specified (use the --db option)\n');
+    return 2;
+  }
+  const client = new MongoClient(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+  try {
+    await client.connect();
+    const mongofs = new MongoFS(client.db(dbName), {
+      bucketName: options.bucket || 'fs',
+      contentTypeDetection: true,
+    });
+    const result = await COMMANDS[parsed.command].run(mongofs, parsed, io);
+    if (options.json && result !== undefined) {
+      io.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    }
+    return 0;
+  } catch (err) {
+    io.stderr.write(`mongofs: ${err.message}\n`);
+    return 1;
+  } finally {
+    await client.close();
+  }
+}
+
+// Parses the arguments into an object having the command, its arguments,
+// the flags (such as { l: true }) and the options by name. Throws an error
+// if the usage is invalid.
+function parseArgs(argv) {
+  const retval = { command: null, args: [], flags: {}, options: {}, help: false };
+  const values = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      values.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      retval.help = true;
+    } else if (arg.startsWith('--')) {
+      const index = arg.indexOf('=');
+      const name = index < 0 ? arg.substring(2) : arg.substring(2, index);
+      if (name === 'json') {
+        retval.options.json = true;
+        continue;
+      }
+      const value = index < 0 ? argv[++i] : arg.substring(index + 1);
+      if (value === undefined) {
+        throw new Error(`Missing value for the --${name} option`);
+      }
+      retval.options[name] = value;
+    } else if (arg.length > 1 && arg.startsWith('-')) {
+      arg
+        .substring(1)
+        .split('')
+        .forEach((flag) => (retval.flags[flag] = true));
+    } else {
+      values.push(arg);
+    }
+  }
+  if (retval.help) {
+    return retval;
+  }
+  if (values.length === 0) {
+    throw new Error('Missing command');
+  }
+  retval.command = values[0];
+  retval.args = values.slice(1);
+  const command = Object.prototype.hasOwnProperty.call(COMMANDS, retval.command)
+    ? COMMANDS[retval.command]
+    : null;
+  if (!command) {
+    throw new Error(`Unknown command: ${retval.command}`);
+  }
+  Object.keys(retval.flags).forEach((flag) => {
+    if (!(command.flags || '').includes(flag)) {
+      throw new Error(`Unknown flag for ${retval.command}: -${flag}`);
+    }
+  });
+  Object.keys(retval.options).forEach((name) => {
+    if (name !== 'json' && !GLOBAL_OPTIONS.includes(name)) {
+      if (!(command.options || []).includes(name)) {
+        throw new Error(`Unknown option for ${retval.command}: --${name}`);
+      }
+    }
+  });
+  const [min, max] = command.args;
+  if (retval.args.length < min || retval.args.length > max) {
+    throw new Error(`Wrong number of arguments for ${retval.command}`);
+  }
+  return retval;
+}
+
+//------------------------------------------------------------------------------
+// Commands
+//------------------------------------------------------------------------------
+
+// Lists the folders and files of a folder, or a single file. With the R
+// flag, the subfolders are listed as well, each under its own heading.
+async function ls(mongofs, { args, flags, options }, io) {
+  const pathname = normalize(args[0]);
+  const sections = [];
+  if (await mongofs.isFile(pathname)) {
+    sections.push({ folder: null, entries: [fileEntry(await mongofs.getDescriptor(pathname))] });
+  } else {
+    await requireFolder(mongofs, pathname);
+    const queue = [pathname];
+    while (queue.length > 0) {
+      const folder = queue.shift();
+      const entries = await listFolder(mongofs, folder);
+      sections.push({ folder, entries });
+      if (flags.R) {
+        const subfolders = entries.filter((e) => e.type === 'folder').map((e) => e.pathname);
+        queue.unshift(...subfolders);
+      }
+    }
+  }
+  if (options.json) {
+    return [].concat(...sections.map((s) => s.entries));
+  }
+  sections.forEach((section, i) => {
+    if (flags.R) {
+      io.stdout.write(`${i > 0 ? '\n' : ''}${section.folder || pathname}:\n`);
+    }
+    const rows = section.entries.map((entry) => {
+      const name = entryName(entry, section.folder == null);
+      if (!flags.l) {
+        return [name];
+      }
+      if (entry.type === 'folder') {
+        return ['d', '-', '-', '-', name];
+      }
+      const type = entry.link ? 'l' : '-';
+      return [
+        type,
+        String(entry.contentLength),
+        formatDate(entry.lastModified),
+        entry.contentType || '-',
+        name,
+      ];
+    });
+    writeRows(io.stdout, rows, [1]);
+  });
+}
+
+// Writes the content of the files to the standard output.
+async function cat(mongofs, { args }, io) {
+  for (const pathname of args) {
+    for await (const chunk of mongofs.createReadStream(pathname)) {
+      await write(io.stdout, chunk);
+    }
+  }
+}
+
+// Uploads a local file, or the standard input, to a file. If the target is
+// a folder, then the file is uploaded into it.
+async function put(mongofs, { args, flags, options }, io) {
+  const [local] = args;
+  if (local === '-' && args.length < 2) {
+    throw new Error('The target path is required when reading the standard input');
+  }
+  let pathname = normalize(args.length > 1 ? args[1] : path.basename(local));
+  if ((args.length > 1 && args[1].endsWith('/')) || (await isFolder(mongofs, pathname))) {
+    pathname = child(pathname, path.basename(local));
+  }
+  const readable = local === '-' ? io.stdin : fs.createReadStream(local);
+  const writable = mongofs.createWriteStream(pathname, {
+    contentType: options['content-type'],
+    overwrite: !!flags.f,
+  });
+  await pipe(readable, writable);
+  return mongofs.getDescriptor(pathname);
+}
+
+// Downloads a file to a local file, or to the standard output. If the
+// local path is a directory, then the file is downloaded into it. The
+// content is written to a temporary file next to the local file, which
+// only replaces it once the download has completed.
+async function get(mongofs, { args, flags }, io) {
+  const pathname = normalize(args[0]);
+  await mongofs.getDescriptor(pathname);
+  if (args[1] === '-') {
+    for await (const chunk of mongofs.createReadStream(pathname)) {
+      await write(io.stdout, chunk);
+    }
+    return;
+  }
+  let local = args.length > 1 ? args[1] : basename(pathname);
+  if (fs.existsSync(local) && fs.statSync(local).isDirectory()) {
+    local = path.join(local, basename(pathname));
+  }
+  if (!flags.f && fs.existsSync(local)) {
+    throw new Error(`The local file already exists: ${local}`);
+  }
+  const temp = path.join(path.dirname(local), `.${path.basename(local)}.${process.pid}.part`);
+  try {
+    // Opened after the checks of the local file, which leave no open stream.
+    const readable = mongofs.createReadStream(pathname);
+    await pipe(readable, fs.createWriteStream(temp, { flags: 'wx' }));
+    if (flags.f) {
+      await fs.promises.rename(temp, local);
+    } else {
+      // Linking fails if the local file was created during the download.
+      await fs.promises.link(temp, local);
+    }
+  } finally {
+    await fs.promises.rm(temp, { force: true });
+  }
+  return { pathname, local };
+}
+
+// Deletes files, or folders with the r flag. A symbolic link is deleted
+// instead of the file or folder it refers to.
+async function rm(mongofs, { args, flags }) {
+  let count = 0;
+  for (const arg of args) {
+    const pathname = normalize(arg);
+    if (!(await isLink(mongofs, pathname)) && (await isFolder(mongofs, pathname))) {
+      if (!flags.r) {
+        throw new Error(`Cannot delete the folder without -r: ${pathname}`);
+      }
+      count += await mongofs.deleteFolder(pathname);
+    } else {
+      count += await mongofs.deleteFile(pathname);
+    }
+  }
+  return { count };
+}
+
+// Renames a file or folder. If the target is a folder, then the file or
+// folder is moved into it.
+async function mv(mongofs, { args }) {
+  const [pathname, target] = await sourceAndTarget(mongofs, args);
+  if (!(await isLink(mongofs, pathname)) && (await isFolder(mongofs, pathname))) {
+    return { count: await mongofs.renameFolder(pathname, target) };
+  }
+  return { count: await mongofs.renameFile(pathname, target) };
+}
+
+// Copies a file, or a folder with the r flag. If the target is a folder,
+// then the file or folder is copied into it.
+async function cp(mongofs, { args, flags }) {
+  const [pathname, target] = await sourceAndTarget(mongofs, args);
+  if (!(await isLink(mongofs, pathname)) && (await isFolder(mongofs, pathname))) {
+    if (!flags.r) {
+      throw new Error(`Cannot copy the folder without -r: ${pathname}`);
+    }
+    return { count: await mongofs.copyFolder(pathname, target) };
+  }
+  return { count: await mongofs.copyFile(pathname, target) };
+}
+
+// Shows the properties of a file or folder.
+async function stat(mongofs, { args, options }, io) {
+  const pathname = normalize(args[0]);
+  let properties = null;
+  if (await mongofs.isFile(pathname)) {
+    properties = Object.assign({ type: 'file' }, await mongofs.getDescriptor(pathname));
+  } else {
+    await requireFolder(mongofs, pathname);
+    const metadata = pathname === '/' ? null : await mongofs.getFolderMetadata(pathname);
+    properties = { type: 'folder', pathname, metadata, usage: await mongofs.getUsage(pathname) };
+  }
+  if (options.json) {
+    return properties;
+  }
+  const rows = Object.keys(properties)
+    .filter((key) => properties[key] != null)
+    .map((key) => {
+      const value = properties[key];
+      if (value instanceof Date) {
+        return [`${key}:`, value.toISOString()];
+      }
+      return [`${key}:`, typeof value === 'object' ? JSON.stringify(value) : String(value)];
+    });
+  writeRows(io.stdout, rows, []);
+}
+
+// Finds the files within a folder that match a MongoDB query (see walk).
+async function find(mongofs, { args, options }, io) {
+  let query = {};
+  if (options.query != null) {
+    query = parseJson(options.query, 'query');
+  }
+  const files = [];
+  for await (const file of mongofs.walk(normalize(args[0]), { filter: query })) {
+    if (options.json) {
+      files.push(file);
+    } else {
+      await write(io.stdout, file.pathname + '\n');
+    }
+  }
+  return options.json ? files : undefined;
+}
+
+// Shows the bytes and number of files of each folder.
+async function du(mongofs, { args, options }, io) {
+  const folders = args.length > 0 ? args.map(normalize) : ['/'];
+  const usages = [];
+  for (const pathname of folders) {
+    await requireFolder(mongofs, pathname);
+    usages.push(Object.assign({ pathname }, await mongofs.getUsage(pathname)));
+  }
+  if (options.json) {
+    return usages;
+  }
+  const rows = usages.map((u) => [formatSize(u.bytes), `${u.files} files`, u.pathname]);
+  writeRows(io.stdout, rows, [0, 1]);
+}
+
+// Gets or sets the metadata of a file or folder.
+async function meta(mongofs, { args }, io) {
+  const [action, arg, json] = args;
+  const pathname = normalize(arg);
+  const folder = !(await mongofs.isFile(pathname));
+  if (folder) {
+    await requireFolder(mongofs, pathname);
+  }
+  if (action === 'get' && args.length === 2) {
+    const metadata = folder
+      ? await mongofs.getFolderMetadata(pathname)
+      : await mongofs.getMetadata(pathname);
+    io.stdout.write(JSON.stringify(metadata, null, 2) + '\n');
+    return;
+  }
+  if (action === 'set' && args.length === 3) {
+    const metadata = parseJson(json, 'metadata');
+    if (metadata == null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw new Error('The metadata must be a JSON object');
+    }
+    if (folder) {
+      await mongofs.updateFolderMetadata(pathname, metadata);
+    } else {
+      await mongofs.updateMetadata(pathname, metadata);
+    }
+    return { count: 1 };
+  }
+  throw new Error('Expected meta get <path> or meta set <path> <json>');
+}
+
+//------------------------------------------------------------------------------
+// Utility functions
+//------------------------------------------------------------------------------
+
+// Gets the database name of the connection string, or null if it has none.
+function databaseOf(uri) {
+  const match = /^mongodb(?:\+srv)?:\/\/[^/]*\/([^/?]+)/.exec(uri);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Gets the entries of the folder: the subfolders followed by the files,
+// each sorted by name.
+async function listFolder(mongofs, folder) {
+  const names = (await mongofs.getFolders(folder)).sort();
+  const folders = names.map((name) => ({
+    name,
+    pathname: child(folder, name),
+    type: 'folder',
+  }));
+  const files = (await mongofs.getFiles(folder)).sort((a, b) =>
+    a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0
+  );
+  return folders.concat(files.map(fileEntry));
+}
+
+// Creates the entry of a file from its descriptor.
+function fileEntry(file) {
+  return Object.assign({ name: file.filename, type: 'file' }, file);
+}
+
+// Gets the name of the entry as it is listed. Folders have a trailing slash
+// and links show their target. A single file is listed by its pathname.
+function entryName(entry, single) {
+  const name = single ? entry.pathname : entry.name;
+  if (entry.type === 'folder') {
+    return name + '/';
+  }
+  return entry.link ? `${name} -> ${entry.link}` : name;
+}
+
+// Normalizes the pathname argument, which is relative to the root folder.
+// The root folder is '/'.
+function normalize(arg) {
+  return resolve(arg) || '/';
+}
+
+// Gets the pathname of the file or folder having the name in the folder.
+function child(folder, name) {
+  return normalize(`${folder}/${name}`);
+}
+
+// Gets the source pathname and the target pathname of a rename or copy.
+// If the target is an existing folder, then the source is moved into it.
+async function sourceAndTarget(mongofs, args) {
+  const pathname = normalize(args[0]);
+  let target = normalize(args[1]);
+  if (target !== pathname && (await isFolder(mongofs, target))) {
+    target = child(target, basename(pathname));
+  }
+  return [pathname, target];
+}
+
+// Rejects if the folder does not exist.
+async function requireFolder(mongofs, pathname) {
+  if (pathname !== '/' && !(await isFolder(mongofs, pathname))) {
+    throw new Error(`No such file or folder: ${pathname}`);
+  }
+}
+
+// Determines if the pathname is a folder. The root folder always exists.
+async function isFolder(mongofs, pathname) {
+  return pathname === '/' || mongofs.isFolder(pathname);
+}
+
+// Determines if the pathname is a symbolic link.
+function isLink(mongofs, pathname) {
+  return mongofs.readlink(pathname).then(
+    () => true,
+    () => false
+  );
+}
+
+// Parses the JSON value of the argument.
+function parseJson(str, name) {
+  try {
+    return JSON.parse(str);
+  } catch (err) {
+    throw new Error(`Invalid JSON for the ${name}: ${err.message}`);
+  }
+}
+
+// Writes the rows as columns separated by two spaces. The columns having
+// the specified indexes are right-aligned.
+function writeRows(stream, rows, rightAligned) {
+  const widths = [];
+  rows.forEach((row) =>
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, cell.length);
+    })
+  );
+  rows.forEach((row) => {
+    const cells = row.map((cell, i) => {
+      if (i === row.length - 1) {
+        return cell;
+      }
+      return rightAligned.includes(i) ? cell.padStart(widths[i]) : cell.padEnd(widths[i]);
+    });
+    stream.write(cells.join('  ') + '\n');
+  });
+}
+
+// Formats the date as YYYY-MM-DD HH:MM in the local time zone.
+function formatDate(date) {
+  if (!(date instanceof Date)) {
+    return '-';
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Formats the number of bytes using binary units, such as 1.5 KiB.
+function formatSize(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return i === 0 ? `${bytes} B` : `${bytes.toFixed(1)} ${units[i]}`;
+}
+
+// Writes the chunk to the stream, waiting for it to drain if necessary.
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+// Pipes the readable stream into the writable stream. Resolves once the
+// writable stream has finished.
+function pipe(readable, writable) {
+  return new Promise((fulfill, reject) => {
+    pipeline(readable, writable, (err) => (err ? reject(err) : fulfill()));
+  });
+}
+
+module.exports = { main };
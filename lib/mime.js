@@ -0,0 +1,290 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Content type detection for the files written by MongoFS. The type is taken
+// from the extension of the filename and from the first bytes of the content
+// (magic-byte sniffing). Signatures of binary formats take precedence over
+// the extension, while the extension refines content that only looks like
+// text or a zip archive. Content that looks like HTML or SVG is not detected
+// as such unless enabled, since browsers run the scripts it may contain.
+//------------------------------------------------------------------------------
+
+const { basename } = require('./path');
+
+// The content types by (lowercase) filename extension.
+const EXTENSIONS = {
+  '7z': 'application/x-7z-compressed',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  css: 'text/css',
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  epub: 'application/epub+zip',
+  gif: 'image/gif',
+  gz: 'application/gzip',
+  htm: 'text/html',
+  html: 'text/html',
+  ico: 'image/vnd.microsoft.icon',
+  ics: 'text/calendar',
+  jar: 'application/java-archive',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  js: 'text/javascript',
+  json: 'application/json',
+  jsonld: 'application/ld+json',
+  md: 'text/markdown',
+  mjs: 'text/javascript',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  mpeg: 'video/mpeg',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odt: 'application/vnd.oasis.opendocument.text',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  ogv: 'video/ogg',
+  otf: 'font/otf',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  rtf: 'application/rtf',
+  svg: 'image/svg+xml',
+  tar: 'application/x-tar',
+  tgz: 'application/gzip',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  ttf: 'font/ttf',
+  txt: 'text/plain',
+  wasm: 'application/wasm',
+  wav: 'audio/wav',
+  weba: 'audio/webm',
+  webm: 'video/webm',
+  webp: 'image/webp',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  xhtml: 'application/xhtml+xml',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  zip: 'application/zip',
+};
+
+// The signatures of binary formats. Each has the offset and the bytes that
+// the content must have there.
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: Buffer.from('GIF8') },
+  { type: 'image/webp', bytes: Buffer.from('WEBP'), offset: 8, riff: true },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/vnd.microsoft.icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: Buffer.from('%PDF-') },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] }, // an empty archive
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'audio/wav', bytes: Buffer.from('WAVE'), offset: 8, riff: true },
+  { type: 'audio/ogg', bytes: Buffer.from('OggS') },
+  { type: 'font/woff', bytes: Buffer.from('wOFF') },
+  { type: 'font/woff2', bytes: Buffer.from('wOF2') },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+];
+
+// The number of bytes of the content that are sniffed.
+const SNIFF_LENGTH = 1024;
+
+// Gets the content type of the file having the pathname from its extension
+// and the first bytes of its content, which are null if the content is not
+// known. The options have the types map, which maps extensions (lowercase,
+// without the dot) to content types and extends the built-in map, the sniff
+// flag (sniffing is skipped if it is false), the markup flag (HTML and SVG
+// are only sniffed if it is true) and the complete flag, which is true if
+// the bytes are the whole content. Returns null if the type cannot be
+// determined.
+function detect(pathname, buf, options) {
+  const { types, sniff, markup, complete } = options || {};
+  const byExtension = extensionType(pathname, types);
+  const sniffed = sniff === false || buf == null ? null : sniffType(buf, !!complete, !!markup);
+  if (sniffed == null) {
+    return byExtension;
+  }
+  if (byExtension != null) {
+    // A zip archive is the container of many formats and text is refined by
+    // the extension, unless the extension claims a binary format.
+    if (sniffed === 'application/zip' && isZipBased(byExtension)) {
+      return byExtension;
+    }
+    if (isText(sniffed) && isText(byExtension)) {
+      return byExtension;
+    }
+  }
+  return sniffed;
+}
+
+// Gets the content type from the extension of the pathname, or null if the
+// extension is not in the types map or the built-in map.
+function extensionType(pathname, types) {
+  const name = basename(pathname);
+  const index = name.lastIndexOf('.');
+  if (index <= 0) {
+    return null; // no extension or a dot file
+  }
+  const extension = name.substring(index + 1).toLowerCase();
+  if (types != null && Object.prototype.hasOwnProperty.call(types, extension)) {
+    return types[extension];
+  }
+  return Object.prototype.hasOwnProperty.call(EXTENSIONS, extension) ? EXTENSIONS[extension] : null;
+}
+
+// Gets the content type from the first bytes of the content, or null if
+// they do not identify a type. The complete flag is true if the bytes are
+// the whole content. HTML is detected as text/plain and SVG as XML unless
+// the markup flag is true.
+function sniffType(buf, complete, markup) {
+  if (buf.length > SNIFF_LENGTH) {
+    buf = buf.slice(0, SNIFF_LENGTH);
+    complete = false;
+  }
+  for (const signature of SIGNATURES) {
+    const offset = signature.offset || 0;
+    if (signature.riff && !startsWith(buf, Buffer.from('RIFF'), 0)) {
+      continue;
+    }
+    if (startsWith(buf, signature.bytes, offset)) {
+      return signature.type;
+    }
+  }
+  if (buf.length === 0 || !isUtf8(buf, complete)) {
+    return null;
+  }
+  const text = buf
+    .toString()
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (/^<\?xml[\s?]/.test(text)) {
+    return markup && /<svg[\s>]/.test(text) ? 'image/svg+xml' : 'application/xml';
+  }
+  if (/^<svg[\s>]/.test(text)) {
+    return markup ? 'image/svg+xml' : 'application/xml';
+  }
+  if (/^<(?:!doctype\s+html|html[\s>]|head[\s>]|body[\s>])/i.test(text)) {
+    return markup ? 'text/html' : 'text/plain';
+  }
+  if (/^[{[]/.test(text) && isJson(text, complete)) {
+    return 'application/json';
+  }
+  return 'text/plain';
+}
+
+// Determines if the buffer has the bytes at the offset.
+function startsWith(buf, bytes, offset) {
+  if (buf.length < offset + bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    if (buf[offset + i] !== bytes[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Determines if the buffer is UTF-8 encoded text without control characters
+// other than whitespace. A multibyte sequence cut off at the end is allowed
+// unless the buffer is the complete content.
+function isUtf8(buf, complete) {
+  for (let i = 0; i < buf.length; ) {
+    const byte = buf[i];
+    let length = 0;
+    if (byte < 0x80) {
+      if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d) {
+        return false;
+      }
+      i++;
+      continue;
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      length = 1;
+    } else if (byte >= 0xe0 && byte <= 0xef) {
+      length = 2;
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      length = 3;
+    } else {
+      return false;
+    }
+    for (let j = 1; j <= length; j++) {
+      if (i + j >= buf.length) {
+        return !complete;
+      }
+      if ((buf[i + j] & 0xc0) !== 0x80) {
+        return false;
+      }
+    }
+    i += length + 1;
+  }
+  return true;
+}
+
+// Determines if the text is JSON. If it is complete, then it must parse.
+// Otherwise, it must continue like a JSON object or array.
+function isJson(text, complete) {
+  if (complete) {
+    try {
+      JSON.parse(text);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+  return /^(?:\{\s*(?:"|\})|\[\s*(?:[-\d"{[\]]|true|false|null))/.test(text);
+}
+
+// Determines if the content type is textual.
+function isText(type) {
+  return (
+    type.startsWith('text/') ||
+    /^application\/(?:json|xml|yaml|javascript|xhtml\+xml|ld\+json|rtf)$/.test(type) ||
+    /\+(?:json|xml)$/.test(type)
+  );
+}
+
+// Determines if the content type is a format stored in a zip archive.
+function isZipBased(type) {
+  return (
+    type.includes('openxmlformats') ||
+    type.includes('opendocument') ||
+    type === 'application/epub+zip' ||
+    type === 'application/java-archive' ||
+    type === 'application/zip'
+  );
+}
+
+module.exports = { SNIFF_LENGTH, detect, extensionType };
@@ -0,0 +1,122 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Path utility functions shared by the MongoFS class and its companion
+// modules. All pathnames stored in GridFS are produced by resolve().
+//------------------------------------------------------------------------------
+
+// Returns the filename portion of the specified pathname.
+function basename(pathname) {
+  return pathname.substring(pathname.lastIndexOf('/') + 1);
+}
+
+// Takes a path and splits it on path delimiters (slashes). Returns a
+// two-element array in the form [components, isAbsolute] where the
+// components is an array of path components and the isAbsolute flag
+// indicates whether or not the path started with a slash.
+function split(path) {
+  // Ensure that path is a string.
+  path = path == null ? '' : path.toString();
+  // Normalize the path so it only has forward slashes and no leading spaces.
+  path = path.replace(/\\/g, '/').trimStart();
+  // Determine if the path is absolute.
+  const isAbsolute = path.startsWith('/');
+  // Parse the path into components.
+  const components = path
+    .split('/')
+    .map((c) => c.trim())
+    .filter((c) => !!c);
+  // Return the results as a two-element array.
+  return [components, isAbsolute];
+}
+
+// Normalizes an array of path components by handling . and .. sequences.
+// Returns a normalized array.
+function normalize(components) {
+  const retval = [];
+  components.forEach((c) => {
+    if (c === '..') {
+      retval.pop();
+    } else if (c != '.') {
+      retval.push(c);
+    }
+  });
+  return retval;
+}
+
+// When called with one argument, normalizes that argument and returns an
+// absolute path. The argument is assumed to be an absolute path, even if
+// it does not start with a slash. For example, with called as follows...
+//
+//   resolve('a/../../b\\   c  \\ . \\ d/e')refer to an
+//
+// ...returns the absolute path '/b/c/d/e'.
+//
+// When called with two arguments, source and target, resolves the target
+// path against a source path and returns a two-element array in the form
+// [source, target] where source is the normalized source path and target
+// is the original target resolved against the source.
+//
+// Ex 1: resolve('/a/b/old', 'new') -> ['/a/b/old', '/a/b/new']
+//       (a simple filename replacement)
+//
+// Ex 2: resolve('/a/b/old', '../new') -> ['/a/b/old', '/a/new']
+//       (a filename replacement in the parent directory)
+//
+// Ex 3: resolve('/a/b/old', '/dir/new') -> ['/a/b/old', '/dir/new']
+//       (an absolute target where the source is not considered)
+//
+// This function losely follows the concept in section 5.2 of RFC 3986.
+// There, they call the source the base and the target the reference.
+// Note that trailing slashes are ignored and the returned values will
+// always start with a slash and never end with one.
+//
+// In all cases (one- or two-argument variants), a root-only path ('/')
+// returns an empty string. This is done so that substring operations
+// work and that an absolute path with an appended slash will not result
+// in a double-slash for the root folder.
+function resolve(source, target) {
+  // Split and validate the source pathname.
+  let [sourceComponents, _] = split(source);
+  sourceComponents = normalize(sourceComponents);
+  // Single argument variant.
+  if (target === undefined) {
+    sourceComponents.unshift(''); // ensure a leading slash
+    return sourceComponents.join('/');
+  }
+  // Split the target. Resolve first and then validate.
+  let [targetComponents, targetIsAbsolute] = split(target);
+  if (!targetIsAbsolute) {
+    targetComponents = [...sourceComponents.slice(0, -1), ...targetComponents];
+  }
+  targetComponents = normalize(targetComponents);
+  sourceComponents.unshift(''); // ensure a leading slash
+  targetComponents.unshift(''); // ensure a leading slash
+  return [sourceComponents.join('/'), targetComponents.join('/')];
+}
+
+module.exports = { basename, resolve };
@@ -0,0 +1,315 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+const { pipeline } = require('stream');
+const { resolve } = require('./path');
+
+/**
+ * Exports the serve function that creates an HTTP request handler for a
+ * MongoFS instance. The function is also exported by the main module.
+ *
+ * @module mongodb-filesystem/lib/serve
+ *
+ * @example <caption>Usage</caption>
+ * const { serve } = require('mongodb-filesystem');
+ */
+
+/**
+ * Creates an HTTP request handler that serves the files and folders of a
+ * MongoFS instance. The handler has the `(req, res, next)` signature used
+ * by Express and Connect middleware. If the `next` function is absent, as
+ * it is when the handler is passed to `http.createServer`, the handler
+ * responds with 404 (Not Found), 405 (Method Not Allowed) or 500 (Internal
+ * Server Error) itself instead of passing the request on.
+ *
+ * The request path is resolved against the root folder, so a path such as
+ * `/../secret` cannot escape it. Files are served for GET and HEAD
+ * requests with the Content-Type, Content-Length, Last-Modified and ETag
+ * headers, and with `X-Content-Type-Options: nosniff` so that browsers do
+ * not guess a different type than the stored one. Conditional requests
+ * (If-None-Match and If-Modified-Since) are answered with 304 (Not
+ * Modified) and a single byte range (Range and If-Range) with 206 (Partial
+ * Content) or 416 (Range Not Satisfiable).
+ * Folders are listed as HTML, or as JSON if the request accepts
+ * `application/json`, when the listing option is true. A file that the
+ * principal of the instance cannot read (see `as`) is answered with 403
+ * (Forbidden).
+ *
+ * @example <caption>Express</caption>
+ * app.use('/files', serve(mongofs, { root: '/public', listing: true }));
+ * @example <caption>Node HTTP server</caption>
+ * http.createServer(serve(mongofs)).listen(8080);
+ * @param {MongoFS} mongofs - The MongoFS instance serving the files.
+ * @param {object} [options] - The root folder (default '/') and the listing flag.
+ * @returns {function} The request handler.
+ */
+function serve(mongofs, options) {
+  options = options || {};
+  const root = resolve(options.root);
+  const listing = !!options.listing;
+  return function (req, res, next) {
+    return handle(mongofs, root, listing, req, res).then(
+      (handled) => {
+        if (handled) {
+          return;
+        }
+        if (typeof next === 'function') {
+          next();
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+          send(res, 404, 'Not Found');
+        } else {
+          res.setHeader('Allow', 'GET, HEAD');
+          send(res, 405, 'Method Not Allowed');
+        }
+      },
+      (err) => {
+        if (typeof next === 'function') {
+          next(err);
+        } else if (res.headersSent) {
+          res.destroy(err);
+        } else {
+          send(res, 500, 'Internal Server Error');
+        }
+      }
+    );
+  };
+}
+
+//------------------------------------------------------------------------------
+// Private utility functions
+//------------------------------------------------------------------------------
+
+// Handles the request. Resolves with false if the request was not handled
+// because the method is not supported or there is no such file or folder.
+async function handle(mongofs, root, listing, req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+  let path;
+  try {
+    path = decodeURIComponent(req.url.split('?')[0]);
+  } catch (err) {
+    send(res, 400, 'Bad Request');
+    return true;
+  }
+  // Resolving the path by itself first keeps it inside the root.
+  const pathname = resolve(root + resolve(path));
+  try {
+    const file = await mongofs.getDescriptor(pathname);
+    await sendFile(mongofs, file, req, res);
+    return true;
+  } catch (err) {
+    if (err.code === 'EACCES') {
+      send(res, 403, 'Forbidden');
+      return true;
+    }
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+  if (listing && (pathname === root || (await mongofs.isFolder(pathname)))) {
+    await sendListing(mongofs, pathname, path, req, res);
+    return true;
+  }
+  return false;
+}
+
+// Sends the file, or the requested byte range of it, honoring any
+// conditional request headers.
+async function sendFile(mongofs, file, req, res) {
+  const size = file.contentLength;
+  const lastModified = new Date(file.lastModified);
+  const tag = etag(file);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', tag);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  if (isNotModified(req, tag, lastModified)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+  let range = null;
+  if (req.headers.range && isRangeFresh(req, tag, lastModified)) {
+    range = parseRange(req.headers.range, size);
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      send(res, 416, 'Range Not Satisfiable');
+      return;
+    }
+  }
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+  if (range) {
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.statusCode = 200;
+    res.setHeader('Content-Length', size);
+  }
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  const stream = mongofs.createReadStream(file.pathname, range || undefined);
+  // Once the headers are sent, an error can only abort the response.
+  await new Promise((resolve) => pipeline(stream, res, () => resolve()));
+}
+
+// Sends the listing of the folder. Requests without a trailing slash are
+// redirected so that the relative links in the listing work.
+async function sendListing(mongofs, pathname, path, req, res) {
+  if (!path.endsWith('/')) {
+    const [url, query] = (req.originalUrl || req.url).split('?');
+    res.setHeader('Location', url + '/' + (query === undefined ? '' : '?' + query));
+    send(res, 301, 'Moved Permanently');
+    return;
+  }
+  const folders = await mongofs.getFolders(pathname);
+  const files = await mongofs.getFiles(pathname);
+  folders.sort();
+  files.sort((a, b) => (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0));
+  let body;
+  if (/\bapplication\/json\b/.test(req.headers.accept || '')) {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    body = JSON.stringify({ folders, files });
+  } else {
+    const title = escapeHtml(`Index of ${path}`);
+    const items = [];
+    if (path !== '/') {
+      items.push('<li><a href="../">../</a></li>');
+    }
+    folders.forEach((name) => {
+      items.push(`<li><a href="${encodeURIComponent(name)}/">${escapeHtml(name)}/</a></li>`);
+    });
+    files.forEach((f) => {
+      items.push(
+        `<li><a href="${encodeURIComponent(f.filename)}">${escapeHtml(f.filename)}</a></li>`
+      );
+    });
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    body = [
+      '<!DOCTYPE html>',
+      `<html><head><meta charset="utf-8"><title>${title}</title></head>`,
+      `<body><h1>${title}</h1><ul>`,
+      ...items,
+      '</ul></body></html>',
+    ].join('\n');
+  }
+  res.statusCode = 200;
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Creates the entity tag of the file from the etag of its descriptor, which
+// changes whenever the content or metadata changes.
+function etag(file) {
+  return `"${file.etag}"`;
+}
+
+// Determines if the client's cached copy is still valid. The If-None-Match
+// header takes precedence over the If-Modified-Since header.
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return (
+      ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((tag) => weak(tag) === weak(etag))
+    );
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince)) {
+    return seconds(lastModified) <= ifModifiedSince;
+  }
+  return false;
+}
+
+// Determines if a Range request should be honored. The If-Range header
+// must match the ETag (strong comparison) or the Last-Modified date.
+function isRangeFresh(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.trim().startsWith('"')) {
+    return ifRange.trim() === etag;
+  }
+  return seconds(lastModified) === Date.parse(ifRange);
+}
+
+// Parses a Range header specifying a single byte range. Returns null if the
+// header should be ignored (the whole file is sent), -1 if the range is not
+// satisfiable, or an object having the inclusive start and end offsets.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    // A suffix range specifies the number of bytes at the end of the file.
+    const length = parseInt(match[2], 10);
+    start = Math.max(size - length, 0);
+    end = length === 0 ? -1 : size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? Infinity : parseInt(match[2], 10);
+    if (end < start) {
+      return null; // syntactically invalid
+    }
+    end = Math.min(end, size - 1);
+  }
+  if (start >= size || end < start) {
+    return -1;
+  }
+  return { start, end };
+}
+
+// Removes the weak indicator from an entity tag.
+function weak(tag) {
+  tag = tag.trim();
+  return tag.startsWith('W/') ? tag.substring(2) : tag;
+}
+
+// Truncates a date to whole seconds (the resolution of HTTP dates).
+function seconds(date) {
+  return Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Escapes the HTML special characters in the string.
+function escapeHtml(str) {
+  return str.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Sends a plain text response having the specified status code.
+function send(res, statusCode, message) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(message));
+  res.end(message);
+}
+
+module.exports = { etag, serve };
@@ -0,0 +1,322 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// A minimal tar (POSIX ustar) writer and reader for the archives exported and
+// imported by MongoFS. Names longer than the ustar name field and sizes of
+// 8 GiB and more are written as PAX extended headers. The reader understands
+// PAX and GNU long name headers and skips entries other than files and
+// directories, such as links and devices.
+//------------------------------------------------------------------------------
+
+const BLOCK_SIZE = 512;
+
+// The largest number of bytes read from the archive at once.
+const CHUNK_SIZE = 64 * 1024;
+
+// The largest size that fits the octal size field.
+const MAX_OCTAL_SIZE = 0o77777777777;
+
+// The entry types by typeflag.
+const TYPES = { 0: 'file', '\0': 'file', 7: 'file', 5: 'directory' };
+
+// Yields the blocks of a tar archive having the entries, which is an
+// iterable or async iterable. Each entry has the name, the type ('file' or
+// 'directory'), the optional mode and mtime (a Date) properties and, for
+// files, the size and the content function, which returns a readable stream
+// (or any async iterable of buffers) having exactly size bytes.
+async function* pack(entries) {
+  for await (const entry of entries) {
+    const directory = entry.type === 'directory';
+    const size = directory ? 0 : entry.size;
+    yield header(entry, size, directory);
+    if (directory) {
+      continue;
+    }
+    let written = 0;
+    for await (const chunk of entry.content()) {
+      written += chunk.length;
+      if (written > size) {
+        break;
+      }
+      yield chunk;
+    }
+    if (written !== size) {
+      throw error('EINVAL', `Expected ${size} bytes for tar entry: ${entry.name}`);
+    }
+    yield padding(size);
+  }
+  yield Buffer.alloc(2 * BLOCK_SIZE); // the end of the archive
+}
+
+// Yields the entries of the tar archive read from the chunks, which is a
+// readable stream or any async iterable of buffers. Each entry has the name
+// (without a trailing slash), the type ('file' or 'directory'), the size,
+// the mode, the mtime (a Date) and the content function, which returns an
+// async iterable of the content buffers. The content is skipped unless it
+// is read before the next entry is requested.
+async function* extract(chunks) {
+  const input = reader(chunks);
+  let extended = {}; // the properties of the PAX or GNU header
+  for (;;) {
+    const block = await input.read(BLOCK_SIZE);
+    if (block.length < BLOCK_SIZE) {
+      throw error('EINVAL', 'Unexpected end of tar archive');
+    }
+    if (block.every((b) => b === 0)) {
+      return; // the end of the archive (the second zero block is optional)
+    }
+    if (checksum(block) !== parseNumber(block, 148, 8)) {
+      throw error('EINVAL', 'Invalid tar header checksum');
+    }
+    const typeflag = String.fromCharCode(block[156]);
+    let size = parseNumber(block, 124, 12);
+    if (typeflag === 'x' || typeflag === 'L') {
+      const data = await input.read(size);
+      await input.read(padding(size).length);
+      const properties =
+        typeflag === 'x' ? parsePax(data) : { path: data.toString().replace(/\0+$/, '') };
+      extended = Object.assign(extended, properties);
+      continue;
+    }
+    if (typeflag === 'g') {
+      await input.skip(size + padding(size).length); // global headers are ignored
+      continue;
+    }
+    if (extended.size != null) {
+      size = Number(extended.size);
+    }
+    const prefix = parseString(block, 345, 155);
+    let name = parseString(block, 0, 100);
+    if (prefix && block.toString('latin1', 257, 262) === 'ustar') {
+      name = `${prefix}/${name}`;
+    }
+    if (extended.path != null) {
+      name = extended.path;
+    }
+    extended = {};
+    const type = TYPES[typeflag] || (name.endsWith('/') ? 'directory' : null);
+    const mode = parseNumber(block, 100, 8);
+    const mtime = new Date(parseNumber(block, 136, 12) * 1000);
+    let remaining = type === 'directory' ? 0 : size;
+    if (type) {
+      yield {
+        name: name.replace(/\/+$/, ''),
+        type,
+        size: remaining,
+        mode,
+        mtime,
+        content: async function* () {
+          while (remaining > 0) {
+            const chunk = await input.read(Math.min(remaining, CHUNK_SIZE));
+            if (chunk.length === 0) {
+              throw error('EINVAL', 'Unexpected end of tar archive');
+            }
+            remaining -= chunk.length;
+            yield chunk;
+          }
+        },
+      };
+    }
+    await input.skip(remaining + padding(size).length);
+  }
+}
+
+// Creates the header blocks of the entry, which are preceded by a PAX
+// extended header if the name or size does not fit the ustar header.
+function header(entry, size, directory) {
+  const name = directory ? `${entry.name}/` : entry.name;
+  const pax = {};
+  if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) {
+    pax.path = name;
+  }
+  if (size > MAX_OCTAL_SIZE) {
+    pax.size = String(size);
+  }
+  const mtime = Math.floor((entry.mtime ? entry.mtime.getTime() : Date.now()) / 1000);
+  const block = ustar({
+    name: pax.path ? asciiName(name) : name,
+    mode: entry.mode != null ? entry.mode : directory ? 0o755 : 0o644,
+    size: pax.size ? 0 : size,
+    mtime,
+    typeflag: directory ? '5' : '0',
+  });
+  if (Object.keys(pax).length === 0) {
+    return block;
+  }
+  const records = Buffer.from(
+    Object.keys(pax)
+      .map((key) => paxRecord(key, pax[key]))
+      .join('')
+  );
+  const paxHeader = ustar({
+    name: asciiName(`PaxHeader/${name}`),
+    mode: 0o644,
+    size: records.length,
+    mtime,
+    typeflag: 'x',
+  });
+  return Buffer.concat([paxHeader, records, padding(records.length), block]);
+}
+
+// Creates a ustar header block having the fields.
+function ustar(fields) {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(fields.name, 0, 100);
+  writeNumber(block, 100, 8, fields.mode);
+  writeNumber(block, 108, 8, 0); // uid
+  writeNumber(block, 116, 8, 0); // gid
+  writeNumber(block, 124, 12, fields.size);
+  writeNumber(block, 136, 12, fields.mtime);
+  block.write(fields.typeflag, 156, 1);
+  block.write('ustar\x0000', 257, 8);
+  block.write(checksum(block).toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return block;
+}
+
+// Creates a PAX record, which starts with its own length in bytes.
+function paxRecord(key, value) {
+  const rest = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(rest);
+  while (String(length).length + Buffer.byteLength(rest) !== length) {
+    length = String(length).length + Buffer.byteLength(rest);
+  }
+  return length + rest;
+}
+
+// Parses the records of a PAX extended header into an object.
+function parsePax(data) {
+  const retval = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (space < 0 || !(length > 0)) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const index = record.indexOf('=');
+    retval[record.substring(0, index)] = record.substring(index + 1);
+    offset += length;
+  }
+  return retval;
+}
+
+// Replaces the characters that are not printable ASCII and truncates the
+// name so that it fits the name field.
+function asciiName(name) {
+  return name.replace(/[^\x20-\x7e]/g, '_').substring(0, 100);
+}
+
+// Gets the checksum of the header block, for which the checksum field
+// itself counts as spaces.
+function checksum(block) {
+  let sum = 8 * 0x20;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    if (i < 148 || i >= 156) {
+      sum += block[i];
+    }
+  }
+  return sum;
+}
+
+// Writes the number as a zero-padded and NUL-terminated octal number.
+function writeNumber(block, offset, length, value) {
+  block.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'latin1');
+}
+
+// Parses the octal (or GNU base-256) number of the field.
+function parseNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + block[offset + i];
+    }
+    return value;
+  }
+  const str = block.toString('latin1', offset, offset + length).replace(/[\0 ]+/g, ' ');
+  return parseInt(str.trim() || '0', 8);
+}
+
+// Parses the NUL-terminated string of the field.
+function parseString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf8', offset, end < 0 || end > offset + length ? offset + length : end);
+}
+
+// Gets the zero bytes padding content of the size to a whole block.
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+// Creates a reader of the chunks whose read method resolves with the next
+// length bytes, or fewer at the end of the chunks. The skip method discards
+// the next length bytes without holding more than a chunk in memory.
+function reader(chunks) {
+  const iterator = chunks[Symbol.asyncIterator]();
+  let buffered = [];
+  let available = 0;
+  let done = false;
+  return {
+    async read(length) {
+      while (available < length && !done) {
+        const next = await iterator.next();
+        if (next.done) {
+          done = true;
+        } else {
+          buffered.push(next.value);
+          available += next.value.length;
+        }
+      }
+      if (buffered.length !== 1) {
+        buffered = [Buffer.concat(buffered)];
+      }
+      const data = buffered[0];
+      const retval = data.slice(0, length);
+      buffered = [data.slice(retval.length)];
+      available = data.length - retval.length;
+      return retval;
+    },
+    async skip(length) {
+      while (length > 0) {
+        const data = await this.read(Math.min(length, CHUNK_SIZE));
+        if (data.length === 0) {
+          return;
+        }
+        length -= data.length;
+      }
+    },
+  };
+}
+
+// Creates an error having the code.
+function error(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = { extract, pack };
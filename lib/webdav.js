@@ -0,0 +1,839 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+const { randomBytes } = require('crypto');
+const { STATUS_CODES } = require('http');
+const { pipeline } = require('stream');
+const { basename, resolve } = require('./path');
+const { etag, serve } = require('./serve');
+const { escapeXml, parseXml } = require('./xml');
+
+/**
+ * Exports the webdav function that creates a WebDAV request handler for a
+ * MongoFS instance. The function is also exported by the main module.
+ *
+ * @module mongodb-filesystem/lib/webdav
+ *
+ * @example <caption>Usage</caption>
+ * const { webdav } = require('mongodb-filesystem');
+ */
+
+const DAV = 'DAV:';
+const METHODS = [
+  'OPTIONS',
+  'GET',
+  'HEAD',
+  'PUT',
+  'DELETE',
+  'PROPFIND',
+  'PROPPATCH',
+  'MKCOL',
+  'COPY',
+  'MOVE',
+  'LOCK',
+  'UNLOCK',
+];
+const MAX_BODY_SIZE = 1024 * 1024; // for XML request bodies
+const DEFAULT_TIMEOUT = 3600; // seconds
+const MAX_TIMEOUT = 7 * 24 * 3600; // seconds
+
+/**
+ * Creates a WebDAV (class 1 and 2) request handler for a MongoFS instance.
+ * Like the `serve` handler, it has the `(req, res, next)` signature used by
+ * Express and Connect and it can be passed directly to `http.createServer`.
+ * Mount it so that it receives all methods, not just GET and POST.
+ *
+ * The WebDAV methods map onto the MongoFS methods as follows:
+ *
+ * - PROPFIND lists files and folders using `getFiles` and `getFolders`.
+ * - GET and HEAD are answered by the `serve` handler.
+ * - PUT writes the request body with `createWriteStream`. An existing file
+ *   is only replaced once the body has been stored and the If-Match header
+ *   is checked against the etag of the file. A new file is answered with
+ *   409 (Conflict) if its parent collection does not exist.
+ * - DELETE calls `deleteFile` or `deleteFolder`.
+ * - MOVE calls `renameFile` or `renameFolder`.
+ * - COPY calls `copyFile` or `copyFolder`.
+ * - MKCOL calls `createFolder`.
+ * - LOCK and UNLOCK manage exclusive and shared write locks. Locks are also
+ *   kept in memory, so they apply to the clients of this handler only.
+ * - PROPPATCH is answered with 403 (Forbidden) for every property since
+ *   MongoFS does not store dead properties.
+ *
+ * All names are checked using the case-insensitive conflict rules of
+ * MongoFS. A write that conflicts with an existing file or folder is
+ * answered with 409 (Conflict), or with 412 (Precondition Failed) for a
+ * COPY or MOVE. A write exceeding a quota (see `setQuota`) is answered with
+ * 507 (Insufficient Storage) and an operation that the principal of the
+ * instance is not permitted (see `as`) with 403 (Forbidden). PROPFIND
+ * requests with an infinite depth are refused.
+ *
+ * @example <caption>Express</caption>
+ * app.use('/dav', webdav(mongofs, { root: '/shared' }));
+ * @example <caption>Node HTTP server</caption>
+ * http.createServer(webdav(mongofs)).listen(8080);
+ * @param {MongoFS} mongofs - The MongoFS instance.
+ * @param {object} [options] - The root folder (default '/') and the listing flag for GET requests.
+ * @returns {function} The request handler.
+ */
+function webdav(mongofs, options) {
+  const server = new WebDAVServer(mongofs, options || {});
+  return function (req, res, next) {
+    return server.handle(req, res).then(
+      (handled) => {
+        if (handled) {
+          return;
+        }
+        if (typeof next === 'function') {
+          next();
+        } else {
+          res.setHeader('Allow', METHODS.join(', '));
+          send(res, 405);
+        }
+      },
+      (err) => {
+        if (typeof next === 'function') {
+          next(err);
+        } else if (res.headersSent) {
+          res.destroy(err);
+        } else {
+          send(res, 500);
+        }
+      }
+    );
+  };
+}
+
+//------------------------------------------------------------------------------
+// Private classes
+//------------------------------------------------------------------------------
+
+// Implements the WebDAV methods. Each method handler is passed the request,
+// the response and the resolved pathname of the requested resource.
+class WebDAVServer {
+  constructor(mongofs, options) {
+    this._mongofs = mongofs;
+    this._root = resolve(options.root);
+    this._serve = serve(mongofs, { root: options.root, listing: options.listing });
+    this._locks = new Map(); // token -> lock
+  }
+
+  // Handles the request. Resolves with false if the method is not supported.
+  async handle(req, res) {
+    if (!METHODS.includes(req.method)) {
+      return false;
+    }
+    let pathname;
+    try {
+      pathname = this._pathname(decodeURIComponent(req.url.split('?')[0]));
+    } catch (err) {
+      send(res, 400);
+      return true;
+    }
+    const handler = '_' + req.method.toLowerCase();
+    try {
+      await this[handler](req, res, pathname);
+    } catch (err) {
+      if (err.status) {
+        send(res, err.status);
+      } else if (err.code === 'ENOENT') {
+        send(res, 404);
+      } else if (err.code === 'EEXIST') {
+        send(res, req.method === 'COPY' || req.method === 'MOVE' ? 412 : 409);
+      } else if (err.code === 'EPRECONDITION') {
+        send(res, 412);
+      } else if (err.code === 'EDQUOT') {
+        send(res, 507);
+      } else if (err.code === 'EACCES') {
+        send(res, 403);
+      } else {
+        throw err;
+      }
+    }
+    return true;
+  }
+
+  //----------------------------------------------------------------------------
+  // Method handlers
+  //----------------------------------------------------------------------------
+
+  async _options(req, res) {
+    res.setHeader('DAV', '1, 2');
+    res.setHeader('MS-Author-Via', 'DAV');
+    res.setHeader('Allow', METHODS.join(', '));
+    send(res, 200);
+  }
+
+  async _get(req, res) {
+    let passed = false;
+    await this._serve(req, res, (err) => {
+      if (err) {
+        throw err;
+      }
+      passed = true;
+    });
+    if (passed) {
+      send(res, 404);
+    }
+  }
+
+  async _head(req, res) {
+    await this._get(req, res);
+  }
+
+  async _put(req, res, pathname) {
+    const resource = await this._stat(pathname);
+    if (resource && resource.collection) {
+      throw status(405);
+    }
+    if (!resource) {
+      const parent = await this._stat(dirname(pathname));
+      if (!parent || !parent.collection) {
+        throw status(409);
+      }
+    }
+    this._checkLocks(req, pathname, false);
+    const ifMatch = matchingEtag(req, resource);
+    let metadata;
+    let contentType = req.headers['content-type'];
+    if (resource) {
+      metadata = resource.file.metadata;
+      contentType = contentType || resource.file.contentType;
+    }
+    const options = { metadata, contentType, overwrite: true, ifMatch };
+    await new Promise((resolve, reject) => {
+      pipeline(req, this._mongofs.createWriteStream(pathname, options), (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
+    send(res, resource ? 204 : 201);
+  }
+
+  async _delete(req, res, pathname) {
+    if (pathname === this._root) {
+      throw status(403);
+    }
+    const resource = await this._stat(pathname);
+    if (!resource) {
+      throw status(404);
+    }
+    this._checkLocks(req, pathname, true);
+    await this._remove(pathname, resource);
+    send(res, 204);
+  }
+
+  async _mkcol(req, res, pathname) {
+    if (hasBody(req)) {
+      throw status(415);
+    }
+    if (pathname === this._root || (await this._exists(pathname))) {
+      throw status(405);
+    }
+    const parent = await this._stat(dirname(pathname));
+    if (!parent || !parent.collection) {
+      throw status(409);
+    }
+    this._checkLocks(req, pathname, false);
+    // The root of the handler need not exist as a folder.
+    await this._mongofs.createFolder(pathname, { recursive: true });
+    send(res, 201);
+  }
+
+  async _copy(req, res, pathname) {
+    await this._transfer(req, res, pathname, false);
+  }
+
+  async _move(req, res, pathname) {
+    await this._transfer(req, res, pathname, true);
+  }
+
+  async _propfind(req, res, pathname) {
+    const depth = req.headers['depth'] === undefined ? 'infinity' : req.headers['depth'];
+    if (depth !== '0' && depth !== '1') {
+      sendXml(res, 403, '<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>');
+      return;
+    }
+    const body = await readXml(req);
+    let mode = 'allprop';
+    let names = null;
+    if (body) {
+      if (!is(body, 'propfind')) {
+        throw status(400);
+      }
+      const child = body.children.find((c) => c.namespace === DAV);
+      if (child && child.name === 'propname') {
+        mode = 'propname';
+      } else if (child && child.name === 'prop') {
+        mode = 'prop';
+        names = child.children;
+      }
+    }
+    const resource = await this._stat(pathname);
+    if (!resource) {
+      throw status(404);
+    }
+    const resources = [resource];
+    if (depth === '1' && resource.collection) {
+      resources.push(...(await this._members(pathname)));
+    }
+    const responses = resources.map((r) => {
+      const props = this._properties(r);
+      if (mode === 'propname') {
+        const empty = Object.keys(props).map((name) => `<D:${name}/>`);
+        return response(this._href(req, r), [propstat(200, empty)]);
+      }
+      if (mode === 'allprop') {
+        const all = Object.keys(props).map((name) => property(DAV, name, props[name]));
+        return response(this._href(req, r), [propstat(200, all)]);
+      }
+      const found = [];
+      const missing = [];
+      names.forEach((n) => {
+        if (n.namespace === DAV && props[n.name] !== undefined) {
+          found.push(property(DAV, n.name, props[n.name]));
+        } else {
+          missing.push(property(n.namespace, n.name, ''));
+        }
+      });
+      const propstats = [];
+      if (found.length > 0) {
+        propstats.push(propstat(200, found));
+      }
+      if (missing.length > 0) {
+        propstats.push(propstat(404, missing));
+      }
+      return response(this._href(req, r), propstats);
+    });
+    sendXml(res, 207, multistatus(responses));
+  }
+
+  async _proppatch(req, res, pathname) {
+    const body = await readXml(req);
+    if (!body || !is(body, 'propertyupdate')) {
+      throw status(400);
+    }
+    const resource = await this._stat(pathname);
+    if (!resource) {
+      throw status(404);
+    }
+    this._checkTokens(req, this._activeLocks(pathname, false));
+    const names = [];
+    body.children.forEach((update) => {
+      const prop = update.children.find((c) => is(c, 'prop'));
+      if (prop) {
+        prop.children.forEach((n) => names.push(property(n.namespace, n.name, '')));
+      }
+    });
+    const responses = [response(this._href(req, resource), [propstat(403, names)])];
+    sendXml(res, 207, multistatus(responses));
+  }
+
+  async _lock(req, res, pathname) {
+    const timeout = parseTimeout(req.headers['timeout']);
+    const body = await readXml(req);
+    if (!body) {
+      // A LOCK request without a body refreshes an existing lock.
+      const lock = this._activeLocks(pathname, false).find((l) => ifTokens(req).includes(l.token));
+      if (!lock) {
+        throw status(412);
+      }
+      lock.expires = Date.now() + timeout * 1000;
+      lock.timeout = timeout;
+      sendXml(res, 200, lockResponse(lock));
+      return;
+    }
+    if (!is(body, 'lockinfo')) {
+      throw status(400);
+    }
+    const scope = body.children.find((c) => is(c, 'lockscope'));
+    const owner = body.children.find((c) => is(c, 'owner'));
+    const exclusive = !!(scope && scope.children.find((c) => is(c, 'exclusive')));
+    const depth = req.headers['depth'] === '0' ? 0 : Infinity;
+    if (req.headers['depth'] !== undefined && !['0', 'infinity'].includes(req.headers['depth'])) {
+      throw status(400);
+    }
+    const conflicts = this._activeLocks(pathname, depth === Infinity);
+    if (conflicts.some((l) => exclusive || l.exclusive)) {
+      throw status(423);
+    }
+    let created = false;
+    if (!(await this._stat(pathname))) {
+      // Locking an unmapped URL creates an empty file.
+      const parent = await this._stat(dirname(pathname));
+      if (!parent || !parent.collection) {
+        throw status(409);
+      }
+      this._checkLocks(req, pathname, false);
+      await this._mongofs.createFile(pathname, Buffer.alloc(0));
+      created = true;
+    }
+    const lock = {
+      token: 'opaquelocktoken:' + uuid(),
+      pathname,
+      href: this._href(req, { pathname }),
+      exclusive,
+      depth,
+      owner: owner ? ownerXml(owner) : '',
+      timeout,
+      expires: Date.now() + timeout * 1000,
+    };
+    this._locks.set(lock.token, lock);
+    res.setHeader('Lock-Token', `<${lock.token}>`);
+    sendXml(res, created ? 201 : 200, lockResponse(lock));
+  }
+
+  async _unlock(req, res, pathname) {
+    const token = (req.headers['lock-token'] || '').replace(/^\s*<|>\s*$/g, '');
+    const lock = this._locks.get(token);
+    if (!lock || !this._activeLocks(pathname, false).includes(lock)) {
+      throw status(409);
+    }
+    this._locks.delete(token);
+    send(res, 204);
+  }
+
+  //----------------------------------------------------------------------------
+  // Helper methods
+  //----------------------------------------------------------------------------
+
+  // Implements COPY and MOVE.
+  async _transfer(req, res, pathname, move) {
+    const destination = this._destination(req);
+    if (destination === pathname || destination.startsWith(pathname + '/')) {
+      throw status(403);
+    }
+    const resource = await this._stat(pathname);
+    if (!resource) {
+      throw status(404);
+    }
+    const overwrite = (req.headers['overwrite'] || 'T').toUpperCase() !== 'F';
+    const depth = req.headers['depth'] === undefined ? 'infinity' : req.headers['depth'];
+    if (depth !== 'infinity' && (move || depth !== '0')) {
+      throw status(400);
+    }
+    const existing = await this._stat(destination);
+    if (existing && !overwrite) {
+      throw status(412);
+    }
+    if (move) {
+      this._checkLocks(req, pathname, true);
+    }
+    this._checkLocks(req, destination, true);
+    // The destination is only deleted if the transfer succeeds.
+    await this._mongofs.batch(async (batch) => {
+      if (existing && existing.collection) {
+        await batch.deleteFolder(destination);
+      } else if (existing) {
+        await batch.deleteFile(destination);
+      }
+      if (move && resource.collection) {
+        await batch.renameFolder(pathname, destination);
+      } else if (move) {
+        await batch.renameFile(pathname, destination);
+      } else if (resource.collection && depth === '0') {
+        await batch.createFolder(destination, { recursive: true });
+      } else if (resource.collection) {
+        await batch.copyFolder(pathname, destination);
+      } else {
+        await batch.copyFile(pathname, destination);
+      }
+    });
+    if (existing) {
+      this._dropLocks(destination);
+    }
+    if (move) {
+      this._dropLocks(pathname);
+    }
+    send(res, existing ? 204 : 201);
+  }
+
+  // Deletes a file or a collection and the locks on it.
+  async _remove(pathname, resource) {
+    if (resource.collection) {
+      await this._mongofs.deleteFolder(pathname);
+    } else {
+      await this._mongofs.deleteFile(pathname);
+    }
+    this._dropLocks(pathname);
+  }
+
+  // Gets the resource identified by the pathname. Resolves with null if it
+  // does not exist, an object having the collection flag set for folders,
+  // or an object having the file descriptor.
+  async _stat(pathname) {
+    if (pathname === this._root) {
+      return { pathname, collection: true };
+    }
+    try {
+      const file = await this._mongofs.getDescriptor(pathname);
+      return { pathname, file };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    if (await this._mongofs.isFolder(pathname)) {
+      return { pathname, collection: true };
+    }
+    return null;
+  }
+
+  // Determines if a file or folder exists whose name differs from the
+  // pathname only in case.
+  async _exists(pathname) {
+    const parent = dirname(pathname);
+    const name = fold(basename(pathname));
+    const members = await this._members(parent);
+    return members.some((m) => fold(basename(m.pathname)) === name);
+  }
+
+  // Gets the members (files and folders) of a collection.
+  async _members(pathname) {
+    const folders = await this._mongofs.getFolders(pathname);
+    const files = await this._mongofs.getFiles(pathname);
+    const members = folders.map((name) => ({ pathname: pathname + '/' + name, collection: true }));
+    files.forEach((file) => members.push({ pathname: file.pathname, file }));
+    return members;
+  }
+
+  // Gets the live properties of a resource as a map of names to XML values.
+  _properties(resource) {
+    const props = {
+      displayname: escapeXml(basename(resource.pathname)),
+      resourcetype: resource.collection ? '<D:collection/>' : '',
+      supportedlock: [
+        '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope>',
+        '<D:locktype><D:write/></D:locktype></D:lockentry>',
+        '<D:lockentry><D:lockscope><D:shared/></D:lockscope>',
+        '<D:locktype><D:write/></D:locktype></D:lockentry>',
+      ].join(''),
+      lockdiscovery: this._activeLocks(resource.pathname, false).map(activeLock).join(''),
+    };
+    if (resource.file) {
+      const file = resource.file;
+      props.creationdate = new Date(file.lastModified).toISOString();
+      props.getcontentlength = String(file.contentLength);
+      props.getcontenttype = escapeXml(file.contentType || 'application/octet-stream');
+      props.getetag = escapeXml(etag(file));
+      props.getlastmodified = new Date(file.lastModified).toUTCString();
+    }
+    return props;
+  }
+
+  // Maps a request path (or the path of a Destination URL) onto a pathname
+  // inside the root folder.
+  _pathname(path) {
+    return resolve(this._root + resolve(path));
+  }
+
+  // Gets the pathname of the Destination header. Destinations outside the
+  // URL space of this handler are rejected with 502 (Bad Gateway).
+  _destination(req) {
+    const header = req.headers['destination'];
+    if (!header) {
+      throw status(400);
+    }
+    let path;
+    try {
+      path = decodeURIComponent(new URL(header, 'http://localhost').pathname);
+    } catch (err) {
+      throw status(400);
+    }
+    const base = mountPath(req);
+    if (!path.startsWith(base + '/') && path !== base) {
+      throw status(502);
+    }
+    return this._pathname(path.substring(base.length));
+  }
+
+  // Creates the href of a resource, including the mount path.
+  _href(req, resource) {
+    const relative = resource.pathname.substring(this._root.length);
+    const href = mountPath(req) + relative.split('/').map(encodeURIComponent).join('/');
+    if (resource.collection) {
+      return href + '/';
+    }
+    return href || '/';
+  }
+
+  // Gets the unexpired locks that apply to the pathname. These are the locks
+  // on the pathname itself, the depth-infinity locks on its ancestors and,
+  // if descendants is true, the locks on any resource below it.
+  _activeLocks(pathname, descendants) {
+    const now = Date.now();
+    const target = fold(pathname);
+    const locks = [];
+    for (const lock of Array.from(this._locks.values())) {
+      if (lock.expires <= now) {
+        this._locks.delete(lock.token);
+        continue;
+      }
+      const locked = fold(lock.pathname);
+      if (
+        locked === target ||
+        (lock.depth === Infinity && target.startsWith(locked + '/')) ||
+        (descendants && locked.startsWith(target + '/'))
+      ) {
+        locks.push(lock);
+      }
+    }
+    return locks;
+  }
+
+  // Checks the locks before a resource is written, created or removed. The
+  // locks on the resource (and on its descendants if specified) apply, as do
+  // the locks on its parent since the members of the parent change.
+  _checkLocks(req, pathname, descendants) {
+    this._checkTokens(req, this._activeLocks(pathname, descendants));
+    this._checkTokens(req, this._activeLocks(dirname(pathname), false));
+  }
+
+  // Throws a 423 (Locked) status if the request does not submit the tokens
+  // of all the specified locks in its If header.
+  _checkTokens(req, locks) {
+    const tokens = ifTokens(req);
+    if (locks.some((lock) => !tokens.includes(lock.token))) {
+      throw status(423);
+    }
+  }
+
+  // Removes the locks on the resource and on any resource below it.
+  _dropLocks(pathname) {
+    const target = fold(pathname);
+    for (const lock of Array.from(this._locks.values())) {
+      const locked = fold(lock.pathname);
+      if (locked === target || locked.startsWith(target + '/')) {
+        this._locks.delete(lock.token);
+      }
+    }
+  }
+}
+
+//------------------------------------------------------------------------------
+// Private utility functions
+//------------------------------------------------------------------------------
+
+// Creates an error that is answered with the specified status code.
+function status(code) {
+  const err = new Error(STATUS_CODES[code]);
+  err.status = code;
+  return err;
+}
+
+// Gets the etag that the resource must still have when it is replaced in
+// order to satisfy the If-Match header, if any. Throws 412 if the header
+// does not match the resource.
+function matchingEtag(req, resource) {
+  const header = req.headers['if-match'];
+  if (!header) {
+    return undefined;
+  }
+  if (!resource || resource.collection) {
+    throw status(412);
+  }
+  if (
+    header.trim() !== '*' &&
+    !header.split(',').some((tag) => tag.trim() === etag(resource.file))
+  ) {
+    throw status(412);
+  }
+  return resource.file.etag;
+}
+
+// Case-folds a pathname for the case-insensitive comparisons of MongoFS.
+function fold(pathname) {
+  return pathname.toLowerCase();
+}
+
+// Returns the parent folder of the pathname.
+function dirname(pathname) {
+  return pathname.substring(0, pathname.lastIndexOf('/'));
+}
+
+// Determines the path at which the handler is mounted (empty if at root).
+function mountPath(req) {
+  if (!req.originalUrl) {
+    return '';
+  }
+  const original = req.originalUrl.split('?')[0];
+  const local = req.url.split('?')[0];
+  if (local === '/') {
+    return original.replace(/\/$/, '');
+  }
+  return original.substring(0, original.length - local.length);
+}
+
+// Determines if the request has a body.
+function hasBody(req) {
+  const length = req.headers['content-length'];
+  return req.headers['transfer-encoding'] !== undefined || (length !== undefined && length !== '0');
+}
+
+// Reads and parses the XML body of the request. Resolves with null if the
+// request has no body.
+async function readXml(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw status(413);
+    }
+    chunks.push(chunk);
+  }
+  const str = Buffer.concat(chunks).toString().trim();
+  if (!str) {
+    return null;
+  }
+  try {
+    return parseXml(str);
+  } catch (err) {
+    throw status(400);
+  }
+}
+
+// Determines if the element is the DAV: element having the specified name.
+function is(element, name) {
+  return element.namespace === DAV && element.name === name;
+}
+
+// Extracts the lock tokens submitted in the If header of the request. The
+// conditions themselves are not evaluated.
+function ifTokens(req) {
+  const header = req.headers['if'] || '';
+  return (header.match(/<opaquelocktoken:[^>]+>/g) || []).map((t) => t.slice(1, -1));
+}
+
+// Parses the Timeout header (e.g., "Second-3600" or "Infinite").
+function parseTimeout(header) {
+  const match = /Second-(\d+)/i.exec(header || '');
+  if (match) {
+    return Math.min(parseInt(match[1], 10), MAX_TIMEOUT);
+  }
+  return /Infinite/i.test(header || '') ? MAX_TIMEOUT : DEFAULT_TIMEOUT;
+}
+
+// Creates a random (version 4) UUID for a lock token.
+function uuid() {
+  const b = randomBytes(16);
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = b.toString('hex');
+  return [h.slice(0, 8), h.slice(8, 12), h.slice(12, 16), h.slice(16, 20), h.slice(20)].join('-');
+}
+
+// Serializes the owner element of a LOCK request so it can be returned in
+// the lock discovery. Only an href or the text content is preserved.
+function ownerXml(owner) {
+  const href = owner.children.find((c) => is(c, 'href'));
+  if (href) {
+    return `<D:href>${escapeXml(href.text.trim())}</D:href>`;
+  }
+  return escapeXml(owner.text.trim());
+}
+
+// Creates the activelock element of a lock.
+function activeLock(lock) {
+  const seconds = Math.max(Math.round((lock.expires - Date.now()) / 1000), 0);
+  return [
+    '<D:activelock>',
+    `<D:locktype><D:write/></D:locktype>`,
+    `<D:lockscope>${lock.exclusive ? '<D:exclusive/>' : '<D:shared/>'}</D:lockscope>`,
+    `<D:depth>${lock.depth === 0 ? '0' : 'infinity'}</D:depth>`,
+    lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '',
+    `<D:timeout>Second-${seconds}</D:timeout>`,
+    `<D:locktoken><D:href>${lock.token}</D:href></D:locktoken>`,
+    `<D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot>`,
+    '</D:activelock>',
+  ].join('');
+}
+
+// Creates the body of a LOCK response.
+function lockResponse(lock) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<D:prop xmlns:D="DAV:"><D:lockdiscovery>',
+    activeLock(lock),
+    '</D:lockdiscovery></D:prop>',
+  ].join('');
+}
+
+// Creates a property element. Properties outside the DAV: namespace get
+// their own namespace declaration.
+function property(namespace, name, value) {
+  if (namespace === DAV) {
+    return value ? `<D:${name}>${value}</D:${name}>` : `<D:${name}/>`;
+  }
+  if (!namespace) {
+    return value ? `<${name} xmlns="">${value}</${name}>` : `<${name} xmlns=""/>`;
+  }
+  const ns = escapeXml(namespace);
+  return value ? `<x:${name} xmlns:x="${ns}">${value}</x:${name}>` : `<x:${name} xmlns:x="${ns}"/>`;
+}
+
+// Creates a propstat element for the properties having the status code.
+function propstat(code, properties) {
+  return [
+    '<D:propstat>',
+    `<D:prop>${properties.join('')}</D:prop>`,
+    `<D:status>HTTP/1.1 ${code} ${STATUS_CODES[code]}</D:status>`,
+    '</D:propstat>',
+  ].join('');
+}
+
+// Creates a response element of a multistatus body.
+function response(href, propstats) {
+  return `<D:response><D:href>${escapeXml(href)}</D:href>${propstats.join('')}</D:response>`;
+}
+
+// Creates a multistatus body from the response elements.
+function multistatus(responses) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<D:multistatus xmlns:D="DAV:">',
+    ...responses,
+    '</D:multistatus>',
+  ].join('\n');
+}
+
+// Sends an XML response having the specified status code.
+function sendXml(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+// Sends an empty response (or the status text for errors).
+function send(res, statusCode) {
+  const message = statusCode >= 400 ? STATUS_CODES[statusCode] : '';
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(message));
+  res.end(message);
+}
+
+module.exports = { webdav };
@@ -0,0 +1,114 @@
+/*
+MIT License
+
+Copyright (c) 2020 Frank Hellwig
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// A minimal, namespace-aware XML parser for the request bodies sent by
+// WebDAV clients (PROPFIND, PROPPATCH and LOCK). It does not validate the
+// document and it ignores comments, processing instructions and DTDs.
+//------------------------------------------------------------------------------
+
+const TOKENS =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTES = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Parses the string and returns the root element or null if the string does
+// not contain an element. Each element is an object having the local name,
+// the namespace URI, the attributes, the child elements and the text.
+function parseXml(str) {
+  const root = { children: [] };
+  const stack = [{ element: root, namespaces: { xml: 'http://www.w3.org/XML/1998/namespace' } }];
+  let match;
+  TOKENS.lastIndex = 0;
+  while ((match = TOKENS.exec(str)) !== null) {
+    const top = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      top.element.text = (top.element.text || '') + match[1];
+    } else if (match[6] !== undefined) {
+      top.element.text = (top.element.text || '') + decode(match[6]);
+    } else if (match[3] !== undefined) {
+      if (match[2]) {
+        if (stack.length === 1) {
+          throw new Error('Unexpected closing tag: ' + match[3]);
+        }
+        stack.pop();
+        continue;
+      }
+      const namespaces = Object.assign({}, top.namespaces);
+      const attributes = {};
+      let attr;
+      ATTRIBUTES.lastIndex = 0;
+      while ((attr = ATTRIBUTES.exec(match[4])) !== null) {
+        const value = decode(attr[2] !== undefined ? attr[2] : attr[3]);
+        if (attr[1] === 'xmlns') {
+          namespaces[''] = value;
+        } else if (attr[1].startsWith('xmlns:')) {
+          namespaces[attr[1].substring(6)] = value;
+        } else {
+          attributes[attr[1]] = value;
+        }
+      }
+      const [prefix, name] = qname(match[3]);
+      const element = {
+        name,
+        namespace: namespaces[prefix] || '',
+        attributes,
+        children: [],
+        text: '',
+      };
+      top.element.children.push(element);
+      if (!match[5]) {
+        stack.push({ element, namespaces });
+      }
+    }
+  }
+  return root.children.length > 0 ? root.children[0] : null;
+}
+
+// Splits a qualified name into its prefix and local name.
+function qname(name) {
+  const i = name.indexOf(':');
+  return i < 0 ? ['', name] : [name.substring(0, i), name.substring(i + 1)];
+}
+
+// Replaces the predefined and numeric character references.
+function decode(str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, (ref, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    } else if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.substring(1), 10));
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : ref;
+  });
+}
+
+// Escapes the XML special characters in the string.
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+module.exports = { escapeXml, parseXml };
@@ -24,7 +24,18 @@ SOFTWARE.
 
 'use strict';
 
-const { GridFSBucket } = require('mongodb');
+const { createCipheriv, createDecipheriv, createHash, randomBytes } = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { dirname, join } = require('path');
+const { PassThrough, Readable, Transform, Writable, pipeline } = require('stream');
+const zlib = require('zlib');
+const { GridFSBucket, ObjectId } = require('mongodb');
+const { SNIFF_LENGTH, detect, extensionType } = require('./lib/mime');
+const { basename, resolve } = require('./lib/path');
+const { serve } = require('./lib/serve');
+const { extract, pack } = require('./lib/tar');
+const { webdav } = require('./lib/webdav');
 
 /**
  * Exports the MongoFS class that implements a filesystem using GridFS.
@@ -37,6 +48,19 @@ const { GridFSBucket } = require('mongodb');
  * @example <caption>Usage</caption>
  * const { MongoFS } = require('mongodb-filesystem');
  * const mongofs = new MongoFS(db);
+ *
+ * @example <caption>Serving files over HTTP</caption>
+ * const { MongoFS, serve } = require('mongodb-filesystem');
+ * app.use('/files', serve(new MongoFS(db), { root: '/public' }));
+ *
+ * @example <caption>Serving files over WebDAV</caption>
+ * const { MongoFS, webdav } = require('mongodb-filesystem');
+ * http.createServer(webdav(new MongoFS(db), { root: '/shared' })).listen(8080);
+ *
+ * @example <caption>Command line</caption>
+ * npx mongofs --uri mongodb://localhost:27017 --db files ls -l /reports
+ * npx mongofs --db files --json find /reports --query '{"metadata.author": "Smith"}'
+ * npx mongofs --help
  */
 
 /**
@@ -51,10 +75,13 @@ const { GridFSBucket } = require('mongodb');
  * is a directory. Otherwise, `myfile.txt` is renamed to `mydir`. In this
  * module, the only option is renaming a file (or folder).
  *
- * Second, the concept of an empty directory also does not exist. Folders are
- * implicitly defined by one or more files having the same folder prefix.
- * If no files have a specific folder prefix, then `deleteFolder` performs
- * no action and `getFiles` and `getFolders` return an empty array.
+ * Second, folders are implicitly defined by one or more files having the
+ * same folder prefix. If no files have a specific folder prefix, then
+ * `deleteFolder` performs no action and `getFiles` and `getFolders` return
+ * an empty array. Folders can also be created explicitly by `createFolder`.
+ * Such a folder has its own metadata and it exists even when it is empty.
+ * Explicit folders are stored as file documents without content that have
+ * the `type` property set to 'folder'.
  *
  * Please note that all write operations are checked for conflicts.
  * For example, when renaming '/my/dir/myfile.txt' to '/my/dir/yourfile.txt'
@@ -64,35 +91,396 @@ const { GridFSBucket } = require('mongodb');
  * also applies to creating or renaming files to existing file or folder
  * names and renaming folders to existing folder or file names.
  *
+ * Conflicts are detected using the `key` (case-folded pathname) and
+ * `ancestors` (case-folded parent folders) properties stored with each file.
+ * Call `ensureIndexes` once to create the indexes on these properties and to
+ * add them to the files of a bucket created by an earlier version.
+ *
+ * Each file descriptor has an `etag` property that changes whenever the
+ * content or metadata of the file changes. The `updateFile`, `updateMetadata`,
+ * `renameFile` and `deleteFile` methods accept an `ifMatch` option. If it
+ * is specified and it is not the current etag of the file, then the promise
+ * is rejected without changing the file.
+ *
+ * Operations affecting several files (`renameFolder`, `deleteFolder`,
+ * `restore` and `batch`) are all-or-nothing. If the `client` option is
+ * specified and the deployment supports transactions (a replica set or a
+ * sharded cluster), then they run in a transaction. Otherwise, each changed
+ * file records how to undo the change until the operation completes. If a
+ * process stops during such an operation, call `recover` to undo it.
+ *
+ * A MongoFS instance is an EventEmitter. Each change emits an event named
+ * by its type, and a `change` event, once it is complete. The changes of
+ * a `batch` are emitted once the batch is complete. The events are emitted
+ * in order after the promise of the operation has been resolved, so an
+ * exception thrown by a listener does not affect the operation. It is
+ * emitted as an `error` event instead, as are failures to record the
+ * change (see the `changeLog` option) or to decrypt its metadata, if the
+ * instance has an `error` listener. The events are:
+ *
+ * - `create`: A file or folder was created, copied or restored from the trash.
+ * - `update`: The content of a file was replaced.
+ * - `delete`: A file or folder was deleted, or the trash was emptied.
+ * - `rename`: A file or folder was renamed.
+ * - `metadata`: The metadata of a file or folder was updated.
+ *
+ * The payload of each event is an object having the `type`, the (new)
+ * `pathname` and the `date` of the change. The `oldPathname` property is
+ * the old pathname of a renamed file or folder and the `source` property
+ * is the pathname copied. The `folder` property is true for folder
+ * changes, which have the `count` of the files affected. File changes have
+ * the `descriptor` of the file (as returned by `getDescriptor`) and
+ * folder metadata changes have the `metadata`. The views created by `as`
+ * and `scope` have their own listeners, which are only passed the events
+ * that the view can see. See `watch` for the changes made by other
+ * processes.
+ *
+ * Errors caused by a missing file have the code `ENOENT`, errors caused
+ * by a conflict have the code `EEXIST` and errors caused by an `ifMatch`
+ * option that does not match have the code `EPRECONDITION`. Errors caused
+ * by exceeding a quota (see `setQuota`) have the code `EDQUOT` and errors
+ * caused by a permission denied to a principal (see `as`) have the code
+ * `EACCES`. With the
+ * encryption option, a missing key causes an error having the code
+ * `ENOKEY` and encrypted data failing authentication causes an error
+ * having the code `EBADMSG`. Streams emit that error at the end of the
+ * content.
+ *
  * @alias module:mongodb-filesystem
  */
-class MongoFS {
+class MongoFS extends EventEmitter {
   /**
    * Creates a new MongoFS instance by creating a GridFSBucket using the
    * specified (optional) options. The modified function, if specified,
    * is called for all actions that perform a mutation. The function is
-   * passed a single string argument identifying the mutation.
+   * passed a single string argument identifying the mutation. The events
+   * emitted by the instance describe the changes in a structured form.
+   *
+   * In addition to the GridFSBucket options, the options object may have
+   * the following MongoFS options:
+   *
+   * - `versioning`: Either true or an object having the optional `keep` and
+   *   `maxAge` properties. If set, updating a file keeps the prior content
+   *   as a version (see `getVersions`). The `keep` property limits the
+   *   number of prior versions kept per file and the `maxAge` property
+   *   deletes prior versions that were replaced more than that many days ago.
+   * - `trash`: If true, `deleteFile` and `deleteFolder` move the deleted
+   *   files to the trash instead of removing them (see `listTrash`).
+   * - `client`: The connected MongoClient of the database handle. This
+   *   enables the use of transactions if the deployment supports them.
+   * - `hashAlgorithm`: The algorithm of the content hash computed for each
+   *   written file (default is 'sha256'). It is any algorithm supported by
+   *   the crypto module.
+   * - `dedup`: If true, files having the same content hash share one copy
+   *   of the content. The shared content is removed when the last file
+   *   (including prior versions and files in the trash) using it is removed.
+   * - `compression`: Either true, an encoding ('gzip', 'deflate' or 'br'),
+   *   or an object having the optional `encoding` (default is 'gzip'),
+   *   `contentTypes` and `pathnames` properties. If set, written files are
+   *   compressed and they are decompressed when read. The `contentTypes`
+   *   array (such as `['application/json', 'text/*']`) and the `pathnames`
+   *   array of glob patterns (see `glob`) select the compressed files. If
+   *   neither is specified, then all files are compressed. The descriptor
+   *   of a compressed file has the `encoding` property and the
+   *   `storedLength` property is the compressed size. Files written before
+   *   compression was enabled are read as they are.
+   * - `encryption`: An object having either the `keyProvider` property or
+   *   the `keys` and `keyId` properties, and the optional `metadataFields`
+   *   property. If set, the content of written files is encrypted with
+   *   AES-256-GCM (after compression) and it is decrypted and authenticated
+   *   when read. A key provider is an object having the `currentKeyId()`
+   *   method, which returns the id of the key encrypting new content, and
+   *   the `getKey(keyId)` method, which returns a 32 byte buffer. Both may
+   *   return a promise, so keys can be fetched from a key management
+   *   service. Each file records the id of its key, so keys can be changed
+   *   (see `rotateKeys`). The `keys` property is a shortcut for a key
+   *   provider that gets the keys from an object having the keys by id.
+   *   The `metadataFields` array has the (dotted) metadata properties that
+   *   are encrypted as well, such as `['ssn', 'author.email']`. Encrypted
+   *   metadata values are stored as JSON and cannot be queried. The content
+   *   hash is not encrypted, so files having the same content can be
+   *   identified.
+   * - `changeLog`: Either true, false or an object having the optional
+   *   `maxAge` property. If set, each event (see above) is recorded in the
+   *   `<bucketName>.changes` collection so that it is delivered by `watch`.
+   *   If it is not specified, then the events are recorded once the
+   *   instance (or a view of it) watches. The recorded events are removed
+   *   after `maxAge` days (default is 1) by the index created by
+   *   `ensureIndexes`, unless the option is false.
+   * - `rootAccess`: The access of the root folder (see `as`), which has no
+   *   document of its own. Its permissions are inherited by all files and
+   *   folders. Without it, a principal has no permissions except those
+   *   granted by the access of the files and folders.
+   * - `contentTypeDetection`: Either false (the default), true or an object
+   *   having the optional `types`, `sniff`, `markup` and `renames`
+   *   properties. Unless it is false, the content type of a file written
+   *   without one is detected from its extension and its first bytes, such
+   *   as the signature of a PNG image or a PDF document, JSON, XML or UTF-8
+   *   text.
+   *   The `types` object maps extensions to content types and extends the
+   *   built-in map (such as `{ '.log': 'text/plain' }`). If `sniff` is
+   *   false, then only the extension is used. Content that looks like HTML
+   *   or SVG is detected as 'text/plain' or 'application/xml', since a
+   *   browser would run its scripts, unless `markup` is true (the `.html`
+   *   and `.svg` extensions are still used). If `renames` is true, then
+   *   `renameFile` sets the content type of a file when the extension
+   *   changes (see `renameFile`). Files that are not detected, and all
+   *   files without the option, are 'application/octet-stream', or
+   *   'text/plain' if the content was passed as a string.
+   *
+   * @example <caption>Compress JSON and CSV files with brotli</caption>
+   * const mongofs = new MongoFS(db, {
+   *   compression: { encoding: 'br', contentTypes: ['application/json'], pathnames: ['**.csv'] },
+   * });
+   * @example <caption>Encrypt content and the email metadata with keys from a KMS</caption>
+   * const mongofs = new MongoFS(db, {
+   *   encryption: {
+   *     keyProvider: { currentKeyId: () => 'k2', getKey: (keyId) => kms.fetchKey(keyId) },
+   *     metadataFields: ['email'],
+   *   },
+   * });
+   * @example <caption>Keep up to ten versions for at most 30 days</caption>
+   * const mongofs = new MongoFS(db, { versioning: { keep: 10, maxAge: 30 } });
    * @param {object} db - A database handle.
-   * @param {object} [options] - The options passed to the GridFSBucket constructor.
+   * @param {object} [options] - The GridFSBucket and MongoFS options.
    * @param {function} [modified] - A function called for all mutation actions.
    */
   constructor(db, options, modified) {
+    super();
     if (typeof options === 'function') {
       modified = options;
       options = {};
     }
     this._modified = typeof modified === 'function' ? modified : () => {};
+    this._versioning = null;
+    if (options != null && options.versioning) {
+      this._versioning = options.versioning === true ? {} : options.versioning;
+    }
+    this._trash = options != null && !!options.trash;
+    this._hashAlgorithm = (options != null && options.hashAlgorithm) || 'sha256';
+    this._dedup = options != null && !!options.dedup;
+    this._compression = compressionOption(options != null ? options.compression : null);
+    this._encryption = encryptionOption(options != null ? options.encryption : null);
+    this._keys = new Map(); // the key promises by key id
+    // The state of publishing the events, which is shared by the views.
+    this._publishing = {
+      last: Promise.resolve(),
+      watching: false,
+      instance: this,
+      views: new Set(), // the views having listeners
+    };
+    this._changeLog = null; // recorded once the instance watches
+    if (options != null && options.changeLog === false) {
+      this._changeLog = false;
+    } else if (options != null && options.changeLog) {
+      this._changeLog = options.changeLog === true ? {} : options.changeLog;
+    }
+    this._client = (options != null && options.client) || null;
+    this._transactions = null; // unknown until the first atomic operation
+    this._unit = null; // set in the views created by _atomic
+    this._root = ''; // set in the views created by scope
+    this._principal = null; // set in the views created by as
+    this._relayed = null; // set in the views created by as and scope
+    this._rootAccess = accessOption(options != null ? options.rootAccess : null);
+    this._detection = detectionOption(options != null ? options.contentTypeDetection : null);
     this._db = db;
     this._bucket = new GridFSBucket(db, options);
     if (options != null && typeof options.bucketName === 'string') {
-      this._collectionName = options.bucketName + '.files';
+      this._bucketName = options.bucketName;
     } else {
-      this._collectionName = 'fs.files';
+      this._bucketName = 'fs';
+    }
+  }
+
+  /**
+   * Creates a view of this instance that acts on behalf of the specified
+   * principal. The principal is either a user id or an object having the
+   * `id` and optional `groups` (an array of group names) properties. Every
+   * operation of the view checks the permissions of the principal and it is
+   * rejected with an error having the code `EACCES` if a permission is
+   * denied. Scoped views (see `scope`) and batches of the view are checked
+   * as well. The permissions are:
+   *
+   * - `read`: Get files, folders, their metadata, versions, quota and usage.
+   * - `write`: Create, update and copy files and folders, and change their
+   *   metadata. Renaming requires the write permission for the new pathname.
+   * - `delete`: Delete files and folders, rename them (for the old
+   *   pathname), prune the versions of a file and empty the trash.
+   * - `admin`: Change the access of a file or folder (see `setAccess`) and
+   *   the quota of a folder. This implies all other permissions.
+   *
+   * The permissions are granted by the `access` stored with files and
+   * explicit folders. An access object has the optional `owner` (a user
+   * id), `group` (a group name) and `acl` properties. The owner has all
+   * permissions and the members of the group have the read permission.
+   * The acl array has entries having the `permissions` array and either
+   * the `user` or the `group` property, or neither to apply to everyone.
+   * The permissions granted for a folder are inherited by all files and
+   * folders within it, so a principal has the permissions granted by the
+   * access of the file or folder itself, of all folders containing it and
+   * by the rootAccess option. Permissions can be granted, but not revoked,
+   * further down the hierarchy.
+   *
+   * Files and folders created by the view are owned by the principal.
+   * Updating a file keeps its access and a copy keeps the access of the
+   * source, but it is owned by the principal. An implicit folder that is
+   * made explicit, such as by `updateFolderMetadata`, has no owner.
+   *
+   * The `findFiles`, `getFiles`, `getFolders`, `glob`, `walk` and
+   * `listTrash` methods (and their iterators) omit the files and folders
+   * that the principal cannot read, `isFile` and `isFolder` resolve with
+   * false for them, and `emptyTrash` only deletes the files that the
+   * principal can delete. The view and its watchers (see `watch`) only emit
+   * the changes of pathnames that the principal can read, omitting the old
+   * pathname or source of a change if the principal cannot read it. The
+   * `ensureIndexes`, `recover`, `rotateKeys` and `pruneVersions` (without a
+   * pathname) methods require the admin permission for the root folder.
+   * @example <caption>Share a folder with a team</caption>
+   * await mongofs.setAccess('/projects/apollo', {
+   *   owner: 'smith',
+   *   acl: [{ group: 'apollo', permissions: ['read', 'write'] }],
+   * });
+   * const user = mongofs.as({ id: 'jones', groups: ['apollo'] });
+   * await user.createFile('/projects/apollo/notes.txt', 'test'); // owned by jones
+   * await user.deleteFile('/projects/apollo/notes.txt'); // allowed as the owner
+   * @param {string|object} principal - The user id or the principal object.
+   * @returns {MongoFS} The view of the principal.
+   */
+  as(principal) {
+    const view = this._derive();
+    view._principal = principalOption(principal);
+    return view;
+  }
+
+  /**
+   * Performs several operations as a single all-or-nothing unit. The function
+   * is passed a batch object having the `copyFile`, `copyFolder`,
+   * `createFile`, `createFolder`, `deleteFile`, `deleteFolder`, `renameFile`
+   * and `renameFolder` methods of this instance.
+   * These methods are performed in order and they see the changes made by
+   * the preceding ones. If the function (or any of the operations) rejects,
+   * then all changes are undone. The modified function is called once, with
+   * the messages of all operations. If the unit uses a transaction (see the
+   * `client` option), then the function is called again if the transaction
+   * fails because of a transient error, such as a write conflict.
+   * @example <caption>Replace a folder with a new one</caption>
+   * await mongofs.batch(async (batch) => {
+   *   await batch.deleteFolder('/site');
+   *   await batch.renameFolder('/staging', '/site');
+   *   await batch.createFile('/site/VERSION', '2.0');
+   * });
+   * @param {function} fn - An async function that is passed the batch object.
+   * @returns {Promise} Resolved with the value returned by the function.
+   */
+  async batch(fn) {
+    let unit = null;
+    const result = await this._atomic(async (view) => {
+      const batch = {};
+      BATCH_METHODS.forEach((name) => (batch[name] = view[name].bind(view)));
+      const result = await fn(batch);
+      unit = view._unit;
+      return result;
+    });
+    this._modified(`batch: ${unit.messages.join(', ')}`);
+    unit.events.forEach((event) => this._publish(event));
+    return result;
+  }
+
+  /**
+   * Copies a file specified by the source pathname to the target pathname.
+   * The content is copied by the database server without passing through
+   * this process. The target is resolved against the source as for
+   * `renameFile`. The promise is rejected if the source does not exist or
+   * the target conflicts with an existing file or folder. If the overwrite
+   * option is true, then an existing target file is replaced instead.
+   * @example <caption>Copy a file to the same folder</caption>
+   * await mongofs.copyFile('/docs/report.txt', 'report-copy.txt');
+   * @param {string} source - The absolute pathname of the file to copy.
+   * @param {string} target - The relative or absolute target pathname.
+   * @param {object} [options] - The optional overwrite and metadata (replacing
+   * the metadata of the source) properties.
+   * @returns {Promise} Resolved with the number of files copied (always 1).
+   */
+  async copyFile(source, target, options) {
+    const { overwrite, metadata } = options || {};
+    [source, target] = this._resolve(source, target);
+    source = await this._follow(source);
+    await this._authorize(source, 'read');
+    await this._authorize(target, 'write');
+    const file = await this._findOne(source);
+    const existing = await this._prepareWrite(target, { overwrite });
+    const size = contentLength(file);
+    await this._checkQuota(target, {
+      bytes: size - (existing ? contentLength(existing) : 0),
+      files: existing ? 0 : 1,
+      size,
+    });
+    const copy = await this._copy(file, `uploading:${target}`, metadata);
+    try {
+      if (existing) {
+        await this._replace(copy, target, existing);
+      } else {
+        await this._claim(copy, target, null, 'Copy File');
+      }
+    } catch (err) {
+      await this._purge(copy);
+      throw err;
     }
+    await this._notify(`copyFile: ${source} to ${target}`, {
+      type: existing ? 'update' : 'create',
+      pathname: target,
+      source,
+      descriptor: descriptor(copy, target),
+    });
+    return 1;
+  }
+
+  /**
+   * Copies all files and explicit folders in the oldFolder to the newFolder,
+   * which is resolved against the oldFolder as for `renameFolder`. The copy
+   * is all-or-nothing and its content is copied by the database server.
+   * The promise is rejected if the newFolder already exists.
+   * @param {string} oldFolder - The absolute path of the folder to copy.
+   * @param {string} newFolder - The relative or absolute target folder path.
+   * @returns {Promise} Resolved with the number of files copied.
+   */
+  async copyFolder(oldFolder, newFolder) {
+    [oldFolder, newFolder] = this._resolve(oldFolder, newFolder);
+    await this._authorize(oldFolder, 'read');
+    await this._authorize(newFolder, 'write');
+    const count = await this._atomic(async (view) => {
+      await view._checkForConflict(newFolder, 'Copy Folder');
+      const query = {
+        $or: [{ filename: within(oldFolder) }, { filename: oldFolder, type: 'folder' }],
+      };
+      const files = await view._files().find(query, view._session()).toArray();
+      await view._checkQuota(newFolder, folderChange(files));
+      const changes = [];
+      for (let i = 0; i < files.length; i++) {
+        const newName = newFolder + files[i].filename.substring(oldFolder.length);
+        const copy = await view._copy(files[i], `uploading:${newName}`);
+        changes.push({ file: copy, set: Object.assign({ filename: newName }, pathKeys(newName)) });
+      }
+      await view._apply(changes);
+      return files.filter((f) => f.type !== 'folder').length;
+    });
+    await this._notify(`copyFolder: ${oldFolder} to ${newFolder}`, {
+      type: 'create',
+      pathname: newFolder,
+      source: oldFolder,
+      folder: true,
+      count,
+    });
+    return count;
   }
 
   /**
-   * Creates a new file from the specified buffer.
+   * Creates a new file from the specified buffer. If the content type is
+   * not specified, then it is detected with the `contentTypeDetection`
+   * option.
+   * @example <caption>Store an image without specifying its content type</caption>
+   * const mongofs = new MongoFS(db, { contentTypeDetection: true });
+   * await mongofs.createFile('/images/logo', fs.readFileSync('logo.png')); // image/png
    * @param {string} pathname - The pathname of the file to create.
    * @param {string|Buffer} buf - The file data.
    * @param {object} [metadata] - Optional metadata.
@@ -100,41 +488,85 @@ class MongoFS {
    * @returns {Promise} Resolved if successful.
    */
   async createFile(pathname, buf, metadata, contentType) {
-    let isString = false;
-    if (typeof buf === 'string') {
-      buf = Buffer.from(buf);
-      isString = true;
-    }
-    if (!Buffer.isBuffer(buf)) {
-      throw new Error('Expected a string or buffer as the second argument');
-    }
-    if (metadata == null) {
-      metadata = {}; // metadata is null or undefined
-    } else if (typeof metadata === 'string') {
+    let detect = false;
+    [buf, metadata, contentType, detect] = fileArguments(buf, metadata, contentType);
+    pathname = this._resolve(pathname);
+    return this._writeFile(pathname, buf, metadata, contentType, { detect });
+  }
+
+  /**
+   * Creates a new file from the specified readable stream. The stream is
+   * piped into a write stream obtained from `createWriteStream` so that
+   * backpressure is respected and errors on either side reject the promise.
+   * @param {string} pathname - The pathname of the file to create.
+   * @param {stream.Readable} readable - The stream providing the file data.
+   * @param {object} [metadata] - Optional metadata.
+   * @param {string} [contentType] - Optional content type.
+   * @returns {Promise} Resolved if successful.
+   */
+  async createFileFromStream(pathname, readable, metadata, contentType) {
+    if (typeof metadata === 'string') {
       contentType = metadata;
-      metadata = {};
-    } else if (typeof metadata !== 'object') {
-      throw new Error('Expected an object for metadata');
-    }
-    if (typeof contentType !== 'string') {
-      contentType = isString ? 'text/plain' : 'application/octet-stream';
+      metadata = null;
     }
-    pathname = resolve(pathname); // normalize
-    await this._checkForConflict(pathname, 'Create File');
-    const stream = this._bucket.openUploadStream(pathname, { metadata, contentType });
+    const stream = this.createWriteStream(pathname, { metadata, contentType });
     return new Promise((resolve, reject) => {
-      stream.write(buf);
-      stream.end((err) => {
+      pipeline(readable, stream, (err) => {
         if (err) {
           reject(err);
         } else {
-          this._modified(`createFile: ${pathname}`);
           resolve(1);
         }
       });
     });
   }
 
+  /**
+   * Creates an explicit folder that has its own metadata and exists even
+   * when it is empty. The promise is rejected if the folder already exists
+   * or if the parent folder does not exist. If the recursive option is
+   * true, then the missing parent folders are also created and it is not
+   * an error if the folder already exists.
+   * @example <caption>Create an empty upload folder</caption>
+   * await mongofs.createFolder('/uploads/2020', { recursive: true });
+   * @param {string} folder - The folder to create.
+   * @param {object} [options] - The optional recursive and metadata properties.
+   * @returns {Promise} Resolved with the number of folders created.
+   */
+  async createFolder(folder, options) {
+    options = options || {};
+    folder = this._resolve(folder);
+    await this._authorize(folder, 'write');
+    if (folder === this._root || (await this._isFolder(folder))) {
+      if (options.recursive) {
+        return 0;
+      }
+      throw error('EEXIST', `createFolder: '${folder || '/'}' already exists`);
+    }
+    const parent = folder.substring(0, folder.lastIndexOf('/'));
+    if (!options.recursive && parent !== this._root && !(await this._isFolder(parent))) {
+      throw error('ENOENT', 'Folder not found: ' + parent);
+    }
+    const names = [];
+    for (let name = folder; name !== this._root && !(await this._isFolder(name)); ) {
+      names.unshift(name);
+      name = name.substring(0, name.lastIndexOf('/'));
+    }
+    for (let i = 0; i < names.length; i++) {
+      await this._checkForConflict(names[i], 'createFolder', true);
+    }
+    for (let i = 0; i < names.length; i++) {
+      await this._insertFolder(names[i], names[i] === folder ? options.metadata : null);
+    }
+    await this._notify(`createFolder: ${folder}`, {
+      type: 'create',
+      pathname: folder,
+      folder: true,
+      count: names.length,
+    });
+    return names.length;
+  }
+
   /**
    * Creates a new file or updates an existing file from the specified buffer.
    * On update, if the metadata is not specified, then the existing metadata
@@ -146,57 +578,477 @@ class MongoFS {
    * @returns {Promise} Resolved with true if created, false if updated.
    */
   async createOrUpdateFile(pathname, buf, metadata, contentType) {
-    const exists = await this.isFile(pathname);
-    if (exists) {
-      await this.updateFile(pathname, buf, metadata, contentType);
-    } else {
-      await this.createFile(pathname, buf, metadata, contentType);
+    if (!(await this.isFile(pathname))) {
+      try {
+        await this.createFile(pathname, buf, metadata, contentType);
+        return true;
+      } catch (err) {
+        // Updates the file if it was concurrently created by another writer.
+        if (err.code !== 'EEXIST' || !(await this.isFile(pathname))) {
+          throw err;
+        }
+      }
+    }
+    await this.updateFile(pathname, buf, metadata, contentType);
+    return false;
+  }
+
+  /**
+   * Creates a readable stream for the content of the specified file.
+   * The file is looked up asynchronously so a missing file or an
+   * unsatisfiable range is reported by an `error` event on the returned
+   * stream. The optional start and end offsets are inclusive, as they are
+   * for `fs.createReadStream`.
+   * @example <caption>Send a file as an HTTP response</caption>
+   * mongofs.createReadStream('/reports/2020.csv').pipe(res);
+   * @example <caption>Stream the first kilobyte of a file</caption>
+   * mongofs.createReadStream('/videos/intro.mp4', { start: 0, end: 1023 });
+   * @param {string} pathname - The pathname of the file to read.
+   * @param {object} [options] - Optional start and end byte offsets.
+   * @returns {stream.Readable} A readable stream of the file content.
+   */
+  createReadStream(pathname, options) {
+    pathname = this._resolve(pathname);
+    const stream = new PassThrough();
+    this._follow(pathname)
+      .then(async (target) => {
+        await this._authorize(target, 'read');
+        return this._findOne(target);
+      })
+      .then((file) => {
+        return this._openDownloadStream(file, options);
+      })
+      .then((download) => {
+        pipeline(download, stream, () => {});
+      })
+      .catch((err) => stream.destroy(err));
+    return stream;
+  }
+
+  /**
+   * Creates a symbolic link at the linkPath that refers to the target, which
+   * is resolved against the linkPath as for `renameFile`. The target need
+   * not exist. A link is a file of its own, so the promise is rejected if
+   * the linkPath conflicts with an existing file or folder, and nothing can
+   * be created within a link.
+   *
+   * Reading a file or listing a folder follows the links in its pathname,
+   * including the links to the folders containing it. The followed target
+   * must be within the root folder of a scoped view. The promise is
+   * rejected with the code `ELOOP` if the links form a cycle or if more
+   * than 40 links are followed. The descriptor of a file reached through a
+   * link has the additional `link` property, which is the pathname of the
+   * file the link refers to (see `readlink` for the target of the link
+   * itself). `getFiles` lists the links to files and `getFolders` lists
+   * the links to folders. Updating a file or its metadata follows its
+   * links as well, but `renameFile` and `deleteFile` rename and delete the
+   * link itself, and `findFiles`, `glob` and `walk` do not find links.
+   * @example <caption>Point the latest release at a versioned folder</caption>
+   * await mongofs.createSymlink('/releases/v2.1', '/releases/latest');
+   * await mongofs.getFile('/releases/latest/app.js'); // reads /releases/v2.1/app.js
+   * @param {string} target - The relative or absolute pathname the link refers to.
+   * @param {string} linkPath - The pathname of the link to create.
+   * @returns {Promise} Resolved with the number of links created (always 1).
+   */
+  async createSymlink(target, linkPath) {
+    [linkPath, target] = this._resolve(linkPath, target);
+    await this._authorize(linkPath, 'write');
+    await this._checkForConflict(linkPath, 'createSymlink');
+    const link = Object.assign(
+      {
+        _id: new ObjectId(),
+        filename: linkPath,
+        type: 'link',
+        target,
+        length: 0,
+        uploadDate: new Date(),
+        metadata: {},
+      },
+      pathKeys(linkPath),
+      this._ownership()
+    );
+    await this._files()
+      .insertOne(link)
+      .catch((err) => {
+        throw conflict(err, 'createSymlink', linkPath);
+      });
+    try {
+      await this._checkForConflict(linkPath, 'createSymlink', false, link._id);
+    } catch (err) {
+      await this._files().deleteOne({ _id: link._id });
+      throw err;
+    }
+    await this._notify(`createSymlink: ${linkPath} to ${target || '/'}`, {
+      type: 'create',
+      pathname: linkPath,
+      link: target || '/',
+    });
+    return 1;
+  }
+
+  /**
+   * Creates a writable stream that creates a new file. The pathname is
+   * checked for conflicts before any data is written and the stream emits
+   * an `error` event if the check fails. The `finish` event is emitted
+   * once the file has been completely stored.
+   *
+   * If the overwrite option is true, then an existing file is replaced.
+   * If the ifMatch option is specified, then the file must exist and have
+   * that etag. The existing file is only replaced once the new content has
+   * been completely stored.
+   *
+   * If the contentType option is not specified, then the content type is
+   * detected from the first bytes written with the `contentTypeDetection`
+   * option.
+   * @example <caption>Upload a local file</caption>
+   * fs.createReadStream('export.zip').pipe(mongofs.createWriteStream('/exports/export.zip'));
+   * @param {string} pathname - The pathname of the file to create.
+   * @param {object} [options] - Optional metadata, contentType, overwrite and ifMatch properties.
+   * @returns {stream.Writable} A writable stream for the file content.
+   */
+  createWriteStream(pathname, options) {
+    options = options || {};
+    let { metadata, contentType } = options;
+    if (metadata == null) {
+      metadata = {};
+    } else if (typeof metadata !== 'object') {
+      throw new Error('Expected an object for metadata');
+    }
+    const detect = typeof contentType !== 'string';
+    if (detect) {
+      contentType = 'application/octet-stream';
     }
-    return !exists;
+    pathname = this._resolve(pathname);
+    const { overwrite, ifMatch } = options;
+    return this._openWriteStream(pathname, metadata, contentType, { overwrite, ifMatch, detect });
   }
 
   /**
    * Deletes the file specified by the pathname. The promise is rejected
-   * if the file does not exist.
+   * if the file does not exist. With the trash option, the file is moved
+   * to the trash instead.
    * @param {string} pathname - The pathname of the file to delete.
+   * @param {object} [options] - The optional ifMatch property.
    * @returns {Promise} Resolved with the number of files deleted (always 1).
    */
-  async deleteFile(pathname) {
-    pathname = resolve(pathname);
-    const file = await this._findOne(pathname);
-    await this._bucket.delete(file._id);
-    this._modified(`deleteFile: ${pathname}`);
+  async deleteFile(pathname, options) {
+    const { ifMatch } = options || {};
+    pathname = this._resolve(pathname);
+    await this._authorize(pathname, 'delete');
+    const file = await this._atomic(async (view) => {
+      const file = await view._findOne(pathname, ifMatch);
+      const match = ifMatch == null ? null : unchanged(file);
+      await view._apply(await view._deletions([file], pathname, false, match));
+      return file;
+    }, true);
+    await this._notify(`deleteFile: ${pathname}`, {
+      type: 'delete',
+      pathname,
+      count: 1,
+      descriptor: descriptor(file, pathname),
+    });
     return 1;
   }
 
   /**
    * Deletes all files and folders in the specified folder. Essentially,
-   * this method performs an `rm -rf` operation.
+   * this method performs an `rm -rf` operation. With the trash option,
+   * the files are moved to the trash instead.
+   *
+   * If the recursive option is false, then this method performs an `rmdir`
+   * operation instead. The promise is rejected with the code `ENOTEMPTY` if
+   * the folder is not empty or with the code `ENOENT` if it does not exist.
    * @param {string} folder - The folder to delete.
+   * @param {object} [options] - The optional recursive property (default is true).
+   * @returns {Promise} Resolved with the number of files deleted.
+   */
+  async deleteFolder(folder, options) {
+    const recursive = options == null || options.recursive !== false;
+    folder = this._resolve(folder);
+    await this._authorize(folder, 'delete');
+    const count = await this._atomic(async (view) => {
+      const query = { $or: [{ filename: within(folder) }, { filename: folder, type: 'folder' }] };
+      const files = await view._files().find(query, view._session()).toArray();
+      if (!recursive) {
+        if (files.some((f) => f.filename !== folder)) {
+          throw error('ENOTEMPTY', 'Folder not empty: ' + (folder || '/'));
+        }
+        if (files.length === 0) {
+          throw error('ENOENT', 'Folder not found: ' + (folder || '/'));
+        }
+      }
+      await view._apply(await view._deletions(files, folder || '/', true));
+      return files.filter((f) => f.type !== 'folder').length;
+    });
+    await this._notify(`deleteFolder: ${folder || '/'}`, {
+      type: 'delete',
+      pathname: folder || '/',
+      folder: true,
+      count,
+    });
+    return count;
+  }
+
+  /**
+   * Permanently deletes the files in the trash. If the olderThan option is
+   * specified, then only the files that were deleted more than that many
+   * days ago are removed.
+   * @example <caption>Empty the trash of files deleted over a week ago</caption>
+   * await mongofs.emptyTrash({ olderThan: 7 });
+   * @param {object} [options] - The optional olderThan property.
    * @returns {Promise} Resolved with the number of files deleted.
    */
-  async deleteFolder(folder) {
-    folder = resolve(folder);
-    const files = await this._bucket.find({ filename: { $regex: `^${folder}/` } }).toArray();
+  async emptyTrash(options) {
+    const query = { 'trashed.id': { $exists: true }, 'trashed.filename': within(this._root) };
+    if (options != null && options.olderThan != null) {
+      const cutoff = Date.now() - options.olderThan * 24 * 60 * 60 * 1000;
+      query['trashed.deleted'] = { $lt: new Date(cutoff) };
+    }
+    const files = await this._filter(
+      await this._files().find(query).toArray(),
+      'delete',
+      (f) => f.trashed.filename
+    );
     const count = files.length;
     for (let i = 0; i < count; i++) {
-      await this._bucket.delete(files[i]._id);
+      await this._delete(files[i]);
+    }
+    const event = { type: 'delete', pathname: this._root || '/', folder: true, trash: true, count };
+    await this._notify('emptyTrash', count > 0 ? event : null);
+    return count;
+  }
+
+  /**
+   * Creates the indexes used for conflict detection. The unique index on the
+   * case-folded pathname prevents concurrent writers from creating the same
+   * file. Files created by an earlier version of this module are migrated
+   * by adding the properties used by these indexes, as are files written
+   * by other GridFS clients. This migration scans the files collection, so
+   * it is only done by this method. It is safe to call at every startup
+   * and it must be called before using a bucket created by an earlier
+   * version, since conflicts, permissions and quotas are checked by these
+   * properties. The promise is rejected if the bucket
+   * has files whose names differ only in case. Unless the changeLog option
+   * is false, the index removing the old recorded events is created as well.
+   * @returns {Promise} Resolved with the number of files migrated.
+   */
+  async ensureIndexes() {
+    await this._authorize('', 'admin');
+    const count = await this._setPathKeys();
+    await this._files().createIndex(
+      { key: 1 },
+      { unique: true, partialFilterExpression: { key: { $exists: true } } }
+    );
+    await this._files().createIndex({ ancestors: 1 });
+    await this._files().createIndex({ 'journal.id': 1 }, { sparse: true });
+    if (this._changeLog !== false) {
+      const { maxAge } = this._changeLog || {};
+      const days = maxAge != null ? maxAge : 1;
+      await this._changes().createIndex({ date: 1 }, { expireAfterSeconds: days * 24 * 60 * 60 });
     }
-    this._modified(`deleteFolder: ${folder || '/'}`);
     return count;
   }
 
+  /**
+   * Exports the files in the specified folder and its subfolders to the
+   * local directory, which is created if it does not exist. The explicit
+   * folders (see `createFolder`) are created as directories, so empty
+   * folders are exported as well. The content type and metadata of the
+   * files and folders are written to the `.mongofs.json` manifest in the
+   * directory, so that `importDirectory` restores them. Symbolic links are
+   * not exported.
+   *
+   * The options are:
+   *
+   * - `overwrite`: If true, existing local files are replaced. Otherwise,
+   *   the promise is rejected with an error having the code `EEXIST` if any
+   *   local file exists, before anything is written.
+   * - `filter`: A function that is called with the pathname of each file
+   *   relative to the folder (such as 'docs/readme.txt') and returns (or
+   *   resolves with) true to export it.
+   * - `manifest`: If false, then the manifest is not written.
+   * - `dryRun`: If true, then the checks are made and the progress is
+   *   reported, but nothing is written.
+   * - `progress`: A function that is called after each file with an object
+   *   having the `pathname`, `size`, `count` (of files so far) and `total`
+   *   (number of files) properties.
+   * @example <caption>Back up a folder and report the progress</caption>
+   * await mongofs.exportFolder('/site', '/backups/site', {
+   *   progress: ({ count, total }) => console.log(`${count} of ${total}`),
+   * });
+   * @param {string} folder - The folder to export.
+   * @param {string} localDir - The path of the local directory.
+   * @param {object} [options] - The export options (see above).
+   * @returns {Promise} Resolved with the number of files exported.
+   */
+  async exportFolder(folder, localDir, options) {
+    options = options || {};
+    const tree = await this._exportTree(folder, options.filter);
+    const localPath = (name) => join(localDir, ...name.split('/'));
+    const manifest = options.manifest === false ? null : manifestOf(tree);
+    if (!options.overwrite) {
+      const names = tree.files.map((f) => f.name).concat(manifest ? [MANIFEST_NAME] : []);
+      for (const name of names) {
+        if (await localExists(localPath(name))) {
+          throw error('EEXIST', `exportFolder: '${localPath(name)}' already exists`);
+        }
+      }
+    }
+    const flags = options.overwrite ? 'w' : 'wx';
+    if (!options.dryRun) {
+      await fs.promises.mkdir(localDir, { recursive: true });
+      for (const entry of tree.folders) {
+        await fs.promises.mkdir(localPath(entry.name), { recursive: true });
+      }
+    }
+    for (let i = 0; i < tree.files.length; i++) {
+      const file = tree.files[i];
+      if (!options.dryRun) {
+        const target = localPath(file.name);
+        await fs.promises.mkdir(dirname(target), { recursive: true });
+        await pipe(this.createReadStream(file.pathname), fs.createWriteStream(target, { flags }));
+      }
+      await reportProgress(options, file.pathname, file.contentLength, i + 1, tree.files.length);
+    }
+    if (manifest && !options.dryRun) {
+      await fs.promises.writeFile(localPath(MANIFEST_NAME), manifest, { flag: flags });
+    }
+    return tree.files.length;
+  }
+
+  /**
+   * Exports the files in the specified folder and its subfolders as a tar
+   * archive, which is gzipped if the gzip option is true. The first entry
+   * of the archive is the `.mongofs.json` manifest having the content type
+   * and metadata of the files and folders, followed by a directory entry
+   * for each explicit folder and the files, all named relative to the
+   * folder. The returned stream emits an `error` event if the export fails.
+   * The filter, manifest and progress options are the same as those of
+   * `exportFolder`.
+   * @example <caption>Download a folder as a gzipped tar archive</caption>
+   * mongofs.exportTar('/site', { gzip: true }).pipe(fs.createWriteStream('site.tar.gz'));
+   * @param {string} folder - The folder to export.
+   * @param {object} [options] - The optional gzip, filter, manifest and progress properties.
+   * @returns {stream.Readable} A readable stream of the archive.
+   */
+  exportTar(folder, options) {
+    options = options || {};
+    const view = this;
+    async function* entries() {
+      const tree = await view._exportTree(folder, options.filter);
+      if (options.manifest !== false) {
+        const manifest = manifestOf(tree);
+        yield {
+          name: MANIFEST_NAME,
+          type: 'file',
+          size: manifest.length,
+          content: () => [manifest],
+        };
+      }
+      for (const entry of tree.folders) {
+        yield { name: entry.name, type: 'directory' };
+      }
+      const total = tree.files.length;
+      for (let i = 0; i < total; i++) {
+        const file = tree.files[i];
+        yield {
+          name: file.name,
+          type: 'file',
+          size: file.contentLength,
+          mtime: file.lastModified,
+          content: async function* () {
+            yield* view.createReadStream(file.pathname);
+            await reportProgress(options, file.pathname, file.contentLength, i + 1, total);
+          },
+        };
+      }
+    }
+    const stream = Readable.from(pack(entries()));
+    return options.gzip ? pipeline(stream, zlib.createGzip(), () => {}) : stream;
+  }
+
+  /**
+   * Finds the files having the specified content hash (see the
+   * `contentHash` property of the descriptors). Files written by an earlier
+   * version of this module do not have a content hash.
+   * @param {string} hash - The hexadecimal content hash.
+   * @returns {Promise} Resolved with an array of descriptor objects.
+   */
+  async findByHash(hash) {
+    return this.findFiles({ contentHash: String(hash).toLowerCase() });
+  }
+
   /**
    * Finds all files matching the specified query. The query is a standard
-   * MongoDB query.
+   * MongoDB query. If the options are specified, then the promise is
+   * resolved with a page of the results as described for `getFiles`.
    * @example <caption>Find files authored by Smith</caption>
    * { 'metadata.author.name.last': 'Smith' }
    * @param {object} query - The MongoDB query.
-   * @returns {Promise} - Resolved with an array of descriptor objects.
+   * @param {object} [options] - The optional limit, sort, after and fields properties.
+   * @returns {Promise} - Resolved with an array of descriptor objects or a page.
+   */
+  async findFiles(query, options) {
+    // Prior versions are stored under names that are not absolute paths.
+    query = { $and: [query, { filename: within(this._root), type: { $nin: ['folder', 'link'] } }] };
+    if (options != null) {
+      return this._page(query, options);
+    }
+    const files = await this._filter(await this._bucket.find(query).toArray(), 'read');
+    return Promise.all(files.map((f) => this._describe(f, this._relative(f.filename))));
+  }
+
+  /**
+   * Iterates over all files matching the specified query. This is the async
+   * iterator variant of `findFiles` and it has the same options as
+   * `getFilesIterator`.
+   * @param {object} query - The MongoDB query.
+   * @param {object} [options] - The optional pageSize, sort, after and fields properties.
+   * @returns {AsyncIterator} An async iterator of descriptor objects.
+   */
+  findFilesIterator(query, options) {
+    query = { $and: [query, { filename: within(this._root), type: { $nin: ['folder', 'link'] } }] };
+    return this._iterate(query, options);
+  }
+
+  /**
+   * Gets the access stored with the specified file or explicit folder (see
+   * `as`). The promise is resolved with null if it has no access of its own,
+   * which is the case for folders that are only implicitly defined by the
+   * files in them, and it is rejected if the file or folder does not exist.
+   * @param {string} pathname - The pathname of the file or folder.
+   * @returns {Promise} Resolved with the access object or null.
+   */
+  async getAccess(pathname) {
+    pathname = this._resolve(pathname);
+    await this._authorize(pathname, 'read');
+    const entry = await this._files().findOne({ filename: pathname });
+    if (entry) {
+      return entry.access || null;
+    }
+    if (pathname === '') {
+      return this._rootAccess;
+    }
+    if (pathname === this._root || (await this._isFolder(pathname))) {
+      return null;
+    }
+    throw notFound(pathname);
+  }
+
+  /**
+   * Gets the descriptor of the specified file without its content. This is
+   * the same descriptor that `getFile` returns, minus the content property.
+   * The promise is rejected with an error having the code `ENOENT` if the
+   * file does not exist.
+   * @param {string} pathname - The pathname of the file.
+   * @returns {Promise} Resolved with a descriptor object.
    */
-  async findFiles(query) {
-    const files = await this._bucket.find(query).toArray();
-    return files.map((f) => descriptor(f));
+  async getDescriptor(pathname) {
+    const link = this._resolve(pathname);
+    pathname = await this._follow(link);
+    await this._authorize(pathname, 'read');
+    const file = await this._findOne(pathname);
+    return this._describeLinked(file, link, pathname);
   }
 
   /**
@@ -210,17 +1062,53 @@ class MongoFS {
    *   content: <Buffer 74 65 78 74>,
    *   contentType: 'text/plain',
    *   contentLength: 4,
-   *   lastModified: '2020-06-05T12:53:03.128Z'
+   *   contentHash: '982d9e3eb996f559e633f4d194def3761d909f5a3b647d1a851fead67c32c9d1',
+   *   lastModified: '2020-06-05T12:53:03.128Z',
+   *   etag: '5eda3f2f8e1b4c2d3c4b5a69'
    * }
    * ```
+   * The contentHash is the hexadecimal hash of the content (see the
+   * `hashAlgorithm` option). It is undefined for files written by an
+   * earlier version of this module.
+   *
+   * If the options specify a start or end offset, then only that (inclusive)
+   * byte range is read. The content is the requested slice, the
+   * contentLength is still the length of the whole file, and the descriptor
+   * has an additional `range: { start, end }` property. The promise is
+   * rejected with an error having the code `ERANGE` if the range cannot be
+   * satisfied. An end offset beyond the end of the file is truncated.
+   *
+   * If the options specify a version number (see `getVersions`), then
+   * that version of the file is retrieved and the descriptor has an
+   * additional `version` property.
+   *
+   * If the pathname is a symbolic link (see `createSymlink`), then the file
+   * it refers to is retrieved and the descriptor has the `link` property.
+   * @example <caption>Read bytes 100 through 199</caption>
+   * const file = await mongofs.getFile('/videos/intro.mp4', { start: 100, end: 199 });
+   * @example <caption>Read the first version of a file</caption>
+   * const file = await mongofs.getFile('/docs/report.txt', { version: 1 });
    * @param {string} pathname - The pathname of the file to get.
+   * @param {object} [options] - Optional start and end byte offsets and version number.
    * @returns {Promise} Resolved with a descriptor that includes content.
    */
-  async getFile(pathname) {
-    pathname = resolve(pathname);
-    const file = await this._findOne(pathname);
-    const retval = descriptor(file);
-    const stream = this._bucket.openDownloadStream(file._id);
+  async getFile(pathname, options) {
+    const link = this._resolve(pathname);
+    pathname = await this._follow(link);
+    await this._authorize(pathname, 'read');
+    let file = await this._findOne(pathname);
+    let retval;
+    if (options != null && options.version != null) {
+      file = await this._findVersion(file, options.version);
+      retval = await this._describeLinked(file, link, pathname, true);
+    } else {
+      retval = await this._describeLinked(file, link, pathname);
+    }
+    const range = checkRange(file, options);
+    if (range) {
+      retval.range = range;
+    }
+    const stream = await this._openDownloadStream(file, range);
     return new Promise((resolve, reject) => {
       const chunks = [];
       stream.on('data', (data) => {
@@ -240,18 +1128,94 @@ class MongoFS {
    * Gets a list of the files in the specified folder. If the filenamesOnly
    * flag is true, then an array of filenames is returned instead of an array
    * of descriptor objects. The content is not included in the returned array.
+   *
+   * If an options object is specified instead of the filenamesOnly flag,
+   * then the promise is resolved with a page of the files. A page is an
+   * object having the `items` array of descriptor objects and the
+   * `nextCursor` token for getting the next page, which is null for the
+   * last page. The options have the following properties:
+   *
+   * - `limit`: The maximum number of items in a page (default is no limit).
+   * - `sort`: The order of the items: 'name' (the default), 'lastModified'
+   *   or 'size' (the stored size of compressed files), prefixed with '-' for
+   *   descending order. Items having the same value are ordered by their
+   *   creation (newest first if descending).
+   * - `after`: The nextCursor of the previous page. The pages are
+   *   continued after the last item of that page, so files created or
+   *   deleted in the meantime do not shift the pages.
+   * - `fields`: An array of the descriptor properties to include. The
+   *   other properties are not read from the database.
+   *
+   * The promise is rejected with the code `EINVAL` if the limit, sort or
+   * after property is invalid.
+   * @example <caption>Get the largest files, 100 at a time</caption>
+   * const options = { limit: 100, sort: '-size' };
+   * let page = await mongofs.getFiles('/uploads', options);
+   * while (page.nextCursor) {
+   *   page = await mongofs.getFiles('/uploads', { ...options, after: page.nextCursor });
+   * }
    * @param {string} folder - The folder of which to list the files.
-   * @param {boolean} filenamesOnly - True to return only filenames.
-   * @returns {Promise} Resolved with an array of descriptor objects or filenames.
+   * @param {boolean|object} [filenamesOnly] - True to return only filenames,
+   * or the limit, sort, after and fields options.
+   * @returns {Promise} Resolved with an array of descriptor objects or filenames, or a page.
    */
   async getFiles(folder, filenamesOnly) {
-    folder = resolve(folder);
-    const files = await this._bucket.find({ filename: { $regex: `^${folder}/[^/]+$` } }).toArray();
+    folder = await this._follow(this._resolve(folder));
+    const query = { filename: within(folder, '[^/]+$'), type: { $ne: 'folder' } };
+    if (filenamesOnly != null && typeof filenamesOnly === 'object') {
+      return this._page(query, filenamesOnly);
+    }
+    const files = await this._filter(await this._bucket.find(query).toArray(), 'read');
     if (filenamesOnly) {
-      return files.map((f) => basename(f.filename));
-    } else {
-      return files.map((f) => descriptor(f));
+      const names = [];
+      for (const file of files) {
+        if (file.type !== 'link' || (await this._linked(file))) {
+          names.push(basename(file.filename));
+        }
+      }
+      return names;
+    }
+    const items = await Promise.all(files.map((f) => this._describeListed(f)));
+    return items.filter((item) => item != null);
+  }
+
+  /**
+   * Iterates over the files in the specified folder without reading them
+   * into an array. The files are read one page at a time (see `getFiles`).
+   * The options have the same sort, after and fields properties as the
+   * options of `getFiles`, and the pageSize property is the number of files
+   * read per query (default is 1000).
+   * @example <caption>Process a huge folder</caption>
+   * for await (const file of mongofs.getFilesIterator('/logs', { sort: 'lastModified' })) {
+   *   await archive(file.pathname);
+   * }
+   * @param {string} folder - The folder of which to iterate the files.
+   * @param {object} [options] - The optional pageSize, sort, after and fields properties.
+   * @returns {AsyncIterator} An async iterator of descriptor objects.
+   */
+  async *getFilesIterator(folder, options) {
+    folder = await this._follow(this._resolve(folder));
+    yield* this._iterate({ filename: within(folder, '[^/]+$'), type: { $ne: 'folder' } }, options);
+  }
+
+  /**
+   * Gets the metadata of the specified folder. The promise is resolved with
+   * null if the folder is only implicitly defined by the files in it and it
+   * is rejected if the folder does not exist.
+   * @param {string} folder - The folder.
+   * @returns {Promise} Resolved with the metadata of the folder.
+   */
+  async getFolderMetadata(folder) {
+    folder = await this._follow(this._resolve(folder));
+    await this._authorize(folder, 'read');
+    const entry = await this._files().findOne({ filename: folder, type: 'folder' });
+    if (entry) {
+      return this._openMetadata(entry.metadata);
+    }
+    if (await this._isFolder(folder)) {
+      return null;
     }
+    throw error('ENOENT', 'Folder not found: ' + folder);
   }
 
   /**
@@ -260,15 +1224,36 @@ class MongoFS {
    * @returns {Promise} Resolved with an array of subfolder names.
    */
   async getFolders(parent) {
-    parent = resolve(parent);
+    parent = await this._follow(this._resolve(parent));
     const folders = await this._bucket
-      .find({ filename: { $regex: `^${parent}/.+/.+$` } })
+      .find({
+        $or: [
+          { filename: within(parent, '[^/]+/') },
+          { filename: within(parent, '[^/]+$'), type: 'folder' },
+        ],
+      })
       .toArray();
-    const names = folders.map((f) => {
+    let names = folders.map((f) => {
       const name = f.filename.substring(parent.length + 1);
-      return name.substring(0, name.indexOf('/'));
+      const index = name.indexOf('/');
+      return index < 0 ? name : name.substring(0, index);
     });
-    return names.filter((name, i) => names.indexOf(name) === i);
+    // Links are files, but they are listed here if they refer to folders.
+    const links = await this._files()
+      .find({ filename: within(parent, '[^/]+$'), type: 'link' })
+      .toArray();
+    for (const link of links) {
+      const target = await this._target(link.filename);
+      if (target != null && (target === '' || (await this._isFolder(target)))) {
+        names.push(basename(link.filename));
+      }
+    }
+    names = names.filter((name, i) => names.indexOf(name) === i);
+    if (this._principal) {
+      const entries = names.map((name) => ({ filename: `${parent}/${name}` }));
+      names = (await this._filter(entries, 'read')).map((f) => basename(f.filename));
+    }
+    return names;
   }
 
   /**
@@ -277,137 +1262,2451 @@ class MongoFS {
    * @returns {Promise} - Resolved with the metadata of the file.
    */
   async getMetadata(pathname) {
-    pathname = resolve(pathname);
+    pathname = await this._follow(this._resolve(pathname));
+    await this._authorize(pathname, 'read');
     const file = await this._findOne(pathname);
-    return file.metadata;
+    return this._openMetadata(file.metadata);
   }
 
   /**
-   * Determines if the pathname identifies an existing file.
-   * @param {string} pathname - The pathname of the file to check.
-   * @returns {Promise} - Resolved with a boolean.
+   * Gets the quota of the specified folder (see `setQuota`). The promise is
+   * resolved with null if the folder has no quota of its own and it is
+   * rejected if the folder does not exist.
+   * @param {string} folder - The folder.
+   * @returns {Promise} Resolved with the quota object or null.
    */
-  async isFile(pathname) {
-    pathname = resolve(pathname);
-    const file = await this._files().findOne({ filename: pathname });
-    return !!file;
+  async getQuota(folder) {
+    folder = await this._follow(this._resolve(folder));
+    await this._authorize(folder, 'read');
+    const entry = await this._files().findOne({ filename: folder, type: 'folder' });
+    if (entry) {
+      return entry.quota || null;
+    }
+    if (folder === this._root || (await this._isFolder(folder))) {
+      return null;
+    }
+    throw error('ENOENT', 'Folder not found: ' + (folder || '/'));
   }
 
   /**
-   * Determines if the pathname identifies an existing folder. Since the
-   * concept of folders is somewhat artificial, this method simply checks
-   * if there are any files having the folder prefix.
-   * @param {string} pathname - The pathname of the folder to check.
-   * @returns {Promise} - Resolved with a boolean.
+   * Gets the storage used by the files within the specified folder and its
+   * subfolders. The promise is resolved with an object having the `bytes`
+   * property, which is the total content length of the files (before
+   * compression or deduplication), and the `files` property, which is the
+   * number of files. Prior versions and files in the trash are not
+   * counted. The usage is computed by an aggregation over the files
+   * collection, so it is always current.
+   * @example <caption>Report the usage of a customer</caption>
+   * const { bytes, files } = await mongofs.getUsage('/customers/acme');
+   * @param {string} folder - The folder.
+   * @returns {Promise} Resolved with the usage object.
    */
-  async isFolder(pathname) {
-    pathname = resolve(pathname);
-    const files = await this._files()
-      .find({ filename: { $regex: `^${pathname}/` } })
-      .toArray();
-    return files.length > 0;
+  async getUsage(folder) {
+    folder = await this._follow(this._resolve(folder));
+    await this._authorize(folder, 'read');
+    return this._usage(folder);
   }
 
   /**
-   * Renames a file specified by the oldPathname with the newPathname. The promise
-   * is rejected if the file does not exist, a file by that name already exists,
-   * or the newPathname is actually a folder already containing other files.
-   * @param {string} oldPathname - The absolute pathname of the file to rename.
-   * @param {string} newPathname - The relative or absolute target pathname.
-   * @returns {Promise} Resolved with the number of files renamed (always 1).
+   * Gets the versions of the specified file, oldest first. Each descriptor
+   * has an additional `version` property and the last one describes the
+   * current content. Prior versions also have an `archived` property that
+   * is the date they were replaced. Prior versions are only kept if the
+   * versioning option was specified when creating this instance.
+   * @param {string} pathname - The pathname of the file.
+   * @returns {Promise} Resolved with an array of descriptor objects.
    */
-  async renameFile(oldPathname, newPathname) {
-    [oldPathname, newPathname] = resolve(oldPathname, newPathname);
-    const file = await this._findOne(oldPathname);
-    await this._checkForConflict(newPathname, 'Rename File');
-    await this._bucket.rename(file._id, newPathname);
-    this._modified(`renameFile: ${oldPathname} to ${newPathname}`);
-    return 1;
+  async getVersions(pathname) {
+    const link = this._resolve(pathname);
+    pathname = await this._follow(link);
+    await this._authorize(pathname, 'read');
+    const file = await this._findOne(pathname);
+    const versions = await this._files()
+      .find({ versionOf: file.fileId || file._id })
+      .sort({ version: 1 })
+      .toArray();
+    versions.push(file);
+    return Promise.all(versions.map((f) => this._describeLinked(f, link, pathname, true)));
   }
 
   /**
-   * Renames a folder by finding all files where the filename begins with the
-   * specified oldFolder and replacing that part of the filename with the
-   * prefix specified by the newFolder. The promise is rejected if the
-   * newFolder already exists.
-   * @param {string} oldFolder - The old absolute folder path.
-   * @param {string} newFolder - The new relative or absolute folder path.
-   * @returns {Promise} Resolved with the number of files renamed.
+   * Finds the files matching the specified glob pattern. The pattern is
+   * matched against the whole pathname and it supports the following:
+   *
+   * - `**`: Any number of folders (as a path component) or any characters.
+   * - `*`: Any characters except a slash.
+   * - `?`: Any single character except a slash.
+   * - `[...]`: A character class, such as `[a-z]`, negated by `[!...]`.
+   * - `{a,b}`: Either of the alternatives, which may contain patterns.
+   *
+   * The pattern is translated into a single query. Lookups are case-sensitive
+   * like the other methods, but the nocase option matches the case-folded
+   * pathnames used for conflict detection instead (see `ensureIndexes`).
+   * The promise is rejected with the code `EINVAL` if the braces are not
+   * balanced.
+   * @example <caption>Find the JSON files of two folders</caption>
+   * const files = await mongofs.glob('/config/{app,db}/*.json');
+   * @example <caption>Find images having either extension</caption>
+   * const files = await mongofs.glob('/images/*.{png,jpg}', { nocase: true });
+   * @param {string} pattern - The glob pattern.
+   * @param {object} [options] - The optional nocase property.
+   * @returns {Promise} Resolved with an array of descriptor objects sorted by pathname.
    */
-  async renameFolder(oldFolder, newFolder) {
-    [oldFolder, newFolder] = resolve(oldFolder, newFolder);
-    await this._checkForConflict(newFolder, 'Rename Folder');
-    const files = await this._bucket.find({ filename: { $regex: `^${oldFolder}/` } }).toArray();
-    const count = files.length;
-    for (let i = 0; i < count; i++) {
-      const file = files[i];
-      const newName = newFolder + file.filename.substring(oldFolder.length);
-      await this._bucket.rename(file._id, newName);
+  async glob(pattern, options) {
+    const nocase = options != null && !!options.nocase;
+    pattern = String(pattern);
+    if (!pattern.startsWith('/')) {
+      pattern = '/' + pattern;
     }
-    this._modified(`renameFolder: ${oldFolder} to ${newFolder}`);
-    return count;
+    let root = this._root;
+    if (nocase) {
+      root = root.toLowerCase();
+      pattern = pattern.toLowerCase();
+    }
+    const regex = new RegExp(`^${escapeRegExp(root)}${globSource(pattern)}$`);
+    const files = await this._files()
+      .find({ [nocase ? 'key' : 'filename']: regex, type: { $nin: ['folder', 'link'] } })
+      .sort({ filename: 1 })
+      .toArray();
+    return Promise.all(
+      (await this._filter(files, 'read')).map((f) => this._describe(f, this._relative(f.filename)))
+    );
   }
 
   /**
-   * Updates an existing file from the specified buffer. If the metadata
-   * is not specified, then the existing metadata is used.
-   * @param {string} pathname - The pathname of the file to update.
-   * @param {string|Buffer} buf - The file data.
-   * @param {object} [metadata] - Optional metadata.
-   * @param {string} [contentType] - Optional content type.
-   * @returns {Promise} Resolved if successful.
+   * Imports the files in the local directory and its subdirectories into
+   * the target folder. If the directory has a `.mongofs.json` manifest (see
+   * `exportFolder`), then the content type and metadata of the files and
+   * folders are restored from it and the folders listed in it are created
+   * as explicit folders. Otherwise, the content types are detected with the
+   * `contentTypeDetection` option and empty directories are created as
+   * explicit folders. Entries other than files and directories, such as
+   * symbolic links, are skipped.
+   *
+   * The options are:
+   *
+   * - `overwrite`: If true, existing files are replaced. Otherwise, the
+   *   promise is rejected with an error having the code `EEXIST` if any
+   *   file exists, before anything is imported.
+   * - `filter`: A function that is called with the pathname of each file
+   *   relative to the directory (such as 'docs/readme.txt') and returns (or
+   *   resolves with) true to import it.
+   * - `dryRun`: If true, then the checks are made and the progress is
+   *   reported, but nothing is imported.
+   * - `progress`: A function that is called after each file with an object
+   *   having the `pathname`, `size`, `count` (of files so far) and `total`
+   *   (number of files) properties.
+   *
+   * The import is not atomic: if a file cannot be imported, then the files
+   * imported before it remain.
+   * @example <caption>Seed a folder, skipping hidden files</caption>
+   * await mongofs.importDirectory('./fixtures', '/site', {
+   *   overwrite: true,
+   *   filter: (name) => !name.split('/').some((part) => part.startsWith('.')),
+   * });
+   * @param {string} localDir - The path of the local directory.
+   * @param {string} targetFolder - The folder into which the files are imported.
+   * @param {object} [options] - The optional overwrite, filter, dryRun and progress properties.
+   * @returns {Promise} Resolved with the number of files imported.
    */
-  async updateFile(pathname, buf, metadata, contentType) {
-    if (typeof metadata === 'string') {
-      contentType = metadata;
-      metadata = null;
+  async importDirectory(localDir, targetFolder, options) {
+    options = options || {};
+    targetFolder = this._resolve(targetFolder);
+    const manifestPath = join(localDir, MANIFEST_NAME);
+    const manifest = (await localExists(manifestPath))
+      ? parseManifest(await fs.promises.readFile(manifestPath))
+      : null;
+    const files = [];
+    const folders = [];
+    const scan = async (name) => {
+      const entries = await fs.promises.readdir(join(localDir, ...name.split('/')), {
+        withFileTypes: true,
+      });
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+      if (name && entries.length === 0 && !manifest) {
+        folders.push(name);
+      }
+      for (const entry of entries) {
+        const entryName = name ? `${name}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await scan(entryName);
+        } else if (entry.isFile() && entryName !== MANIFEST_NAME) {
+          if (!options.filter || (await options.filter(entryName))) {
+            files.push(entryName);
+          }
+        }
+      }
+    };
+    await scan('');
+    if (manifest) {
+      folders.push(...Object.keys(manifest.folders).map(importName));
     }
-    if (metadata == null) {
-      metadata = await this.getMetadata(pathname);
+    for (const name of files) {
+      const pathname = `${targetFolder}/${name}`;
+      await this._authorize(pathname, 'write');
+      if (!options.overwrite) {
+        await this._checkForConflict(pathname, 'importDirectory');
+      }
+    }
+    for (const name of folders) {
+      await this._importFolder(`${targetFolder}/${name}`, manifest, name, options);
     }
-    await this.deleteFile(pathname);
-    await this.createFile(pathname, buf, metadata, contentType);
+    for (let i = 0; i < files.length; i++) {
+      const name = files[i];
+      const localPath = join(localDir, ...name.split('/'));
+      const pathname = `${targetFolder}/${name}`;
+      const { size } = await fs.promises.stat(localPath);
+      if (!options.dryRun) {
+        const readable = fs.createReadStream(localPath);
+        await this._importFile(readable, pathname, manifest, name, options);
+      }
+      await reportProgress(options, this._relative(pathname), size, i + 1, files.length);
+    }
+    return files.length;
   }
 
   /**
-   * Updates the metadata of the file specified by the pathname to the
-   * specified metadata. This replaces the current metadata object.
-   * @param {string} pathname - The pathname of the file to update.
-   * @param {object} metadata - The new metadata object.
-   * @returns {Promise} Resolved with the number of files updated (always 1).
+   * Imports the files of the tar archive read from the readable stream into
+   * the target folder. A gzipped archive is decompressed. If the first entry
+   * is a `.mongofs.json` manifest (see `exportTar`), then the content type
+   * and metadata of the files and folders are restored from it and the
+   * folders listed in it are created as explicit folders. Otherwise, the
+   * content types are detected with the `contentTypeDetection` option and
+   * the directories of the archive are created as explicit folders. The
+   * names of the entries must not leave the target folder and entries
+   * other than files and directories are skipped.
+   *
+   * The options are the same as those of `importDirectory`, except that the
+   * files are imported as they are read, so an existing file is only
+   * detected when the archive reaches it and the total of the progress is
+   * null.
+   * @example <caption>Restore a folder from a gzipped tar archive</caption>
+   * await mongofs.importTar(fs.createReadStream('site.tar.gz'), '/site', { overwrite: true });
+   * @param {stream.Readable} readable - The stream providing the archive.
+   * @param {string} targetFolder - The folder into which the files are imported.
+   * @param {object} [options] - The optional overwrite, filter, dryRun and progress properties.
+   * @returns {Promise} Resolved with the number of files imported.
    */
-  async updateMetadata(pathname, metadata) {
-    pathname = resolve(pathname);
-    const file = await this._findOne(pathname);
-    await this._files().updateOne({ _id: file._id }, { $set: { metadata } });
-    this._modified(`updateMetadata: ${pathname}`);
-    return 1;
+  async importTar(readable, targetFolder, options) {
+    options = options || {};
+    targetFolder = this._resolve(targetFolder);
+    let manifest = null;
+    let first = true;
+    let count = 0;
+    for await (const entry of extract(await tarChunks(readable))) {
+      const name = importName(entry.name);
+      const isManifest = first && name === MANIFEST_NAME && entry.type === 'file';
+      first = false;
+      if (isManifest) {
+        const chunks = [];
+        for await (const chunk of entry.content()) {
+          chunks.push(chunk);
+        }
+        manifest = parseManifest(Buffer.concat(chunks));
+        for (const folder of Object.keys(manifest.folders)) {
+          const folderName = importName(folder);
+          await this._importFolder(`${targetFolder}/${folderName}`, manifest, folderName, options);
+        }
+      } else if (entry.type === 'directory') {
+        if (name && !manifest) {
+          await this._importFolder(`${targetFolder}/${name}`, null, name, options);
+        }
+      } else if (name && (!options.filter || (await options.filter(name)))) {
+        const pathname = `${targetFolder}/${name}`;
+        if (options.dryRun) {
+          await this._authorize(pathname, 'write');
+          if (!options.overwrite) {
+            await this._checkForConflict(pathname, 'importTar');
+          }
+        } else {
+          await this._importFile(Readable.from(entry.content()), pathname, manifest, name, options);
+        }
+        count++;
+        await reportProgress(options, this._relative(pathname), entry.size, count, null);
+      }
+    }
+    return count;
   }
 
-  //----------------------------------------------------------------------------
-  // Private methods
-  //----------------------------------------------------------------------------
-
-  // Gets the underlying files collection
-  _files() {
-    return this._db.collection(this._collectionName);
-  }
+  /**
+   * Determines if the pathname identifies an existing file.
+   * @param {string} pathname - The pathname of the file to check.
+   * @returns {Promise} - Resolved with a boolean.
+   */
+  async isFile(pathname) {
+    pathname = await this._target(this._resolve(pathname));
+    if (pathname == null) {
+      return false;
+    }
+    const file = await this._files().findOne({ filename: pathname, type: { $ne: 'folder' } });
+    return !!file && (await this._allows(pathname, 'read'));
+  }
+
+  /**
+   * Determines if the pathname identifies an existing folder. Since the
+   * concept of folders is somewhat artificial, this method simply checks
+   * if there are any files having the folder prefix.
+   * @param {string} pathname - The pathname of the folder to check.
+   * @returns {Promise} - Resolved with a boolean.
+   */
+  async isFolder(pathname) {
+    pathname = await this._target(this._resolve(pathname));
+    if (pathname == null) {
+      return false;
+    }
+    return (await this._isFolder(pathname)) && (await this._allows(pathname, 'read'));
+  }
+
+  /**
+   * Gets the contents of the trash, most recent deletion first. There is
+   * one entry per `deleteFile` or `deleteFolder` call and each entry has the
+   * following properties:
+   *
+   * - `id`: The deletion id used to restore the entry.
+   * - `pathname`: The original pathname of the deleted file or folder.
+   * - `folder`: True if the entry was deleted by `deleteFolder`.
+   * - `deleted`: The date of the deletion.
+   * - `files`: The descriptors of the deleted files, using the original pathnames.
+   * @returns {Promise} Resolved with an array of trash entries.
+   */
+  async listTrash() {
+    const files = await this._filter(
+      await this._files()
+        .find({ 'trashed.id': { $exists: true }, 'trashed.filename': within(this._root) })
+        .sort({ 'trashed.deleted': -1 })
+        .toArray(),
+      'read',
+      (f) => f.trashed.filename
+    );
+    const entries = new Map();
+    for (const file of files) {
+      const { id, pathname, folder, deleted } = file.trashed;
+      if (!entries.has(id)) {
+        entries.set(id, { id, pathname: this._relative(pathname), folder, deleted, files: [] });
+      }
+      if (file.type !== 'folder') {
+        const retval = await this._describe(file, this._relative(file.trashed.filename));
+        entries.get(id).files.push(retval);
+      }
+    }
+    return Array.from(entries.values());
+  }
+
+  /**
+   * Pipes the content of the specified file into a writable stream.
+   * @param {string} pathname - The pathname of the file to read.
+   * @param {stream.Writable} writable - The destination stream.
+   * @returns {Promise} Resolved when the content has been written.
+   */
+  async pipeFileToStream(pathname, writable) {
+    const stream = this.createReadStream(pathname);
+    return new Promise((resolve, reject) => {
+      pipeline(stream, writable, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Deletes the prior versions that are no longer retained by the keep and
+   * maxAge properties of the versioning option. This happens automatically
+   * for a file whenever it is updated. Call this method periodically to
+   * enforce the maxAge limit for files that are not updated.
+   * @param {string} [pathname] - The file to prune (default is all files).
+   * @returns {Promise} Resolved with the number of versions deleted.
+   */
+  async pruneVersions(pathname) {
+    if (pathname !== undefined) {
+      pathname = await this._follow(this._resolve(pathname));
+      await this._authorize(pathname, 'delete');
+      const file = await this._findOne(pathname);
+      return this._pruneVersions(file.fileId || file._id);
+    }
+    await this._authorize('', 'admin');
+    // A scoped view only prunes the versions of the files within its root.
+    const ids = this._root
+      ? await this._files().distinct('fileId', { filename: within(this._root) })
+      : await this._files().distinct('versionOf');
+    let count = 0;
+    for (let i = 0; i < ids.length; i++) {
+      count += await this._pruneVersions(ids[i]);
+    }
+    return count;
+  }
+
+  /**
+   * Gets the target of the specified symbolic link (see `createSymlink`)
+   * without following it. The promise is rejected with the code `ENOENT`
+   * if the link does not exist and with the code `EINVAL` if the pathname
+   * is not a link.
+   * @param {string} linkPath - The pathname of the link.
+   * @returns {Promise} Resolved with the absolute pathname of the target.
+   */
+  async readlink(linkPath) {
+    linkPath = this._resolve(linkPath);
+    await this._authorize(linkPath, 'read');
+    const file = await this._findOne(linkPath);
+    if (file.type !== 'link') {
+      throw error('EINVAL', 'Not a symbolic link: ' + linkPath);
+    }
+    if (!isWithin(file.target, this._root)) {
+      throw notFound(file.target || '/');
+    }
+    return this._relative(file.target);
+  }
+
+  /**
+   * Undoes the operations that did not complete, for example, because the
+   * process stopped. This only applies to operations that do not use a
+   * transaction. Operations that were completed, but not cleaned up, are
+   * finished instead. Only operations started more than olderThan minutes
+   * ago (default is 10) are recovered so that operations in progress in
+   * other processes are not affected.
+   * @param {object} [options] - The optional olderThan property.
+   * @returns {Promise} Resolved with the number of operations recovered.
+   */
+  async recover(options) {
+    await this._authorize('', 'admin');
+    const minutes = options != null && options.olderThan != null ? options.olderThan : 10;
+    const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+    const journals = await this._journal()
+      .find({ started: { $lt: cutoff } })
+      .toArray();
+    for (let i = 0; i < journals.length; i++) {
+      const { _id, committed } = journals[i];
+      if (committed) {
+        await this._commit(_id);
+      } else {
+        const files = await this._files().find({ 'journal.id': _id }).toArray();
+        await this._undo(
+          files.map((file) =>
+            Object.assign({ _id: file._id, filename: file.filename }, file.journal)
+          )
+        );
+        await this._journal().deleteOne({ _id });
+      }
+    }
+    if (journals.length > 0) {
+      this._modified(`recover: ${journals.length}`);
+    }
+    return journals.length;
+  }
+
+  /**
+   * Renames a file specified by the oldPathname with the newPathname. The promise
+   * is rejected if the file does not exist, a file by that name already exists,
+   * or the newPathname is actually a folder already containing other files.
+   *
+   * The contentType option is either a content type, which is set, or a
+   * boolean. If it is true, then the content type is set from the new
+   * extension if the extension changes and its content type is known. The
+   * default is the `renames` property of the `contentTypeDetection` option.
+   * @example <caption>Rename a file and set the content type of the new extension</caption>
+   * await mongofs.renameFile('/data/export.txt', 'export.csv', { contentType: true }); // text/csv
+   * @param {string} oldPathname - The absolute pathname of the file to rename.
+   * @param {string} newPathname - The relative or absolute target pathname.
+   * @param {object} [options] - The optional ifMatch and contentType properties.
+   * @returns {Promise} Resolved with the number of files renamed (always 1).
+   */
+  async renameFile(oldPathname, newPathname, options) {
+    const { ifMatch, contentType } = options || {};
+    [oldPathname, newPathname] = this._resolve(oldPathname, newPathname);
+    await this._authorize(oldPathname, 'delete');
+    await this._authorize(newPathname, 'write');
+    const file = await this._atomic(async (view) => {
+      const file = await view._findOne(oldPathname, ifMatch);
+      await view._checkForConflict(newPathname, 'Rename File');
+      const size = contentLength(file);
+      const files = file.type === 'link' ? 0 : 1;
+      await view._checkQuota(newPathname, { bytes: size, files, size }, oldPathname);
+      const match = ifMatch == null ? null : unchanged(file);
+      const fields = view._renamedType(file, newPathname, contentType);
+      await view._claim(file, newPathname, fields, 'Rename File', match);
+      return Object.assign(file, fields);
+    }, true);
+    await this._notify(`renameFile: ${oldPathname} to ${newPathname}`, {
+      type: 'rename',
+      pathname: newPathname,
+      oldPathname,
+      descriptor: descriptor(file, newPathname),
+    });
+    return 1;
+  }
+
+  /**
+   * Renames a folder by finding all files where the filename begins with the
+   * specified oldFolder and replacing that part of the filename with the
+   * prefix specified by the newFolder. The promise is rejected if the
+   * newFolder already exists.
+   * @param {string} oldFolder - The old absolute folder path.
+   * @param {string} newFolder - The new relative or absolute folder path.
+   * @returns {Promise} Resolved with the number of files renamed.
+   */
+  async renameFolder(oldFolder, newFolder) {
+    [oldFolder, newFolder] = this._resolve(oldFolder, newFolder);
+    await this._authorize(oldFolder, 'delete');
+    await this._authorize(newFolder, 'write');
+    const count = await this._atomic(async (view) => {
+      await view._checkForConflict(newFolder, 'Rename Folder');
+      const query = {
+        $or: [{ filename: within(oldFolder) }, { filename: oldFolder, type: 'folder' }],
+      };
+      const files = await view._files().find(query, view._session()).toArray();
+      await view._checkQuota(newFolder, folderChange(files), oldFolder);
+      await view._apply(
+        files.map((file) => {
+          const newName = newFolder + file.filename.substring(oldFolder.length);
+          return { file, set: Object.assign({ filename: newName }, pathKeys(newName)) };
+        })
+      );
+      return files.filter((f) => f.type !== 'folder').length;
+    });
+    await this._notify(`renameFolder: ${oldFolder} to ${newFolder}`, {
+      type: 'rename',
+      pathname: newFolder,
+      oldPathname: oldFolder,
+      folder: true,
+      count,
+    });
+    return count;
+  }
+
+  /**
+   * Restores the trash entry having the specified deletion id (see
+   * `listTrash`) to its original location. The promise is rejected if
+   * any of the files conflict with existing files or folders, in which
+   * case nothing is restored.
+   * @param {string} id - The deletion id of the trash entry.
+   * @returns {Promise} Resolved with the number of files restored.
+   */
+  async restore(id) {
+    const files = await this._atomic(async (view) => {
+      const query = { 'trashed.id': id, 'trashed.filename': within(this._root) };
+      const files = await view._files().find(query, view._session()).toArray();
+      if (files.length === 0) {
+        throw error('ENOENT', `Trash entry not found: ${id}`);
+      }
+      await view._authorize(files[0].trashed.pathname, 'write');
+      for (let i = 0; i < files.length; i++) {
+        const { filename } = files[i].trashed;
+        await view._checkForConflict(filename, 'restore', files[i].type === 'folder');
+      }
+      await view._checkQuota(files[0].trashed.pathname, folderChange(files));
+      await view._apply(
+        files.map((file) => {
+          const { filename } = file.trashed;
+          const set = Object.assign({ filename }, pathKeys(filename));
+          return { file, set, unset: { trashed: '' }, op: 'restore' };
+        })
+      );
+      return files;
+    });
+    const { pathname, folder } = files[0].trashed;
+    const count = files.filter((f) => f.type !== 'folder').length;
+    await this._notify(`restore: ${pathname}`, {
+      type: 'create',
+      pathname,
+      folder,
+      restored: true,
+      count,
+    });
+    return count;
+  }
+
+  /**
+   * Restores a prior version of a file. The content, metadata and content
+   * type of that version become a new version of the file, so the version
+   * that is replaced is kept as well.
+   * @param {string} pathname - The pathname of the file to restore.
+   * @param {number} version - The version number to restore.
+   * @returns {Promise} Resolved with the new version number.
+   */
+  async restoreVersion(pathname, version) {
+    pathname = await this._follow(this._resolve(pathname));
+    await this._authorize(pathname, 'read');
+    const file = await this._findOne(pathname);
+    const prior = await this._findVersion(file, version);
+    const options = { file, message: `restoreVersion: ${pathname} to ${version}` };
+    const download = await this._openDownloadStream(prior);
+    await new Promise((resolve, reject) => {
+      pipeline(
+        download,
+        this._openWriteStream(pathname, prior.metadata, prior.contentType, options),
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+    const current = await this._findOne(pathname);
+    return current.version || 1;
+  }
+
+  /**
+   * Re-encrypts the content and the encrypted metadata fields that are not
+   * encrypted with the current key of the key provider. This includes prior
+   * versions, files in the trash and shared content, and it applies to the
+   * whole bucket. Files are re-encrypted one at a time and a file changed
+   * concurrently is skipped, so the method can simply be run again. Keys
+   * that are no longer used can be removed from the key provider
+   * afterwards. Files that were written before encryption was enabled are
+   * not encrypted.
+   * @example <caption>Switch to a new key</caption>
+   * const mongofs = new MongoFS(db, { encryption: { keys: { k1, k2 }, keyId: 'k2' } });
+   * await mongofs.rotateKeys();
+   * @returns {Promise} Resolved with the number of files re-encrypted.
+   */
+  async rotateKeys() {
+    await this._authorize('', 'admin');
+    const keyId = await this._currentKeyId();
+    const ids = new Set();
+    let cursor = this._files().find({ 'encryption.keyId': { $exists: true, $ne: keyId } });
+    for (let file = await cursor.next(); file; file = await cursor.next()) {
+      if (await this._reencrypt(file)) {
+        ids.add(String(file._id));
+      }
+    }
+    for (const field of this._encryption.metadataFields) {
+      const path = `metadata.${field}`;
+      cursor = this._files().find({
+        [`${path}.encrypted`]: CIPHER,
+        [`${path}.keyId`]: { $ne: keyId },
+      });
+      for (let file = await cursor.next(); file; file = await cursor.next()) {
+        if (await this._resealMetadata(file, field)) {
+          ids.add(String(file._id));
+        }
+      }
+    }
+    if (ids.size > 0) {
+      this._modified(`rotateKeys: ${keyId}`);
+    }
+    return ids.size;
+  }
+
+  /**
+   * Creates a view of this instance that is confined to the specified
+   * folder. The view has the same methods, but all pathnames passed to it
+   * are relative to the folder and `..` sequences cannot escape it. The
+   * descriptors and trash entries returned by the view have pathnames
+   * relative to the folder, `findFiles` only finds files within it, and
+   * the trash of the view only has the files deleted within it. The view
+   * and its watchers only emit the changes within the folder, having
+   * pathnames relative to it, and a file or folder renamed into or out of
+   * the folder is created or deleted for them. The modified function and
+   * the listeners of the instance are passed the full pathnames. The
+   * `ensureIndexes` and `recover` methods apply to the whole bucket.
+   * @example <caption>Confine each tenant to its own folder</caption>
+   * const tenant = mongofs.scope(`/tenants/${tenantId}`);
+   * await tenant.createFile('/notes.txt', 'test'); // creates /tenants/42/notes.txt
+   * await tenant.getFile('../../other/secret'); // gets /tenants/42/other/secret
+   * @param {string} folder - The root folder of the view.
+   * @returns {MongoFS} The scoped view.
+   */
+  scope(folder) {
+    const view = this._derive();
+    view._root = this._resolve(folder);
+    return view;
+  }
+
+  /**
+   * Sets the access of the specified file or folder (see `as`), replacing its
+   * current access. A folder that is only implicitly defined by the files in
+   * it is made explicit. The access is stored with the file or folder, so it
+   * moves with it when it is renamed. A null access removes the access. The
+   * access of the root folder is set by the rootAccess option instead.
+   * The promise is rejected with the code `EINVAL` if the access is invalid.
+   * @example <caption>Let everyone read a folder and a team write to it</caption>
+   * await mongofs.setAccess('/public', {
+   *   acl: [{ permissions: ['read'] }, { group: 'editors', permissions: ['write', 'delete'] }],
+   * });
+   * @param {string} pathname - The pathname of the file or folder.
+   * @param {object} access - The access object or null.
+   * @returns {Promise} Resolved with the number of files or folders updated (always 1).
+   */
+  async setAccess(pathname, access) {
+    pathname = this._resolve(pathname);
+    access = accessOption(access);
+    if (pathname === this._root && this._root === '') {
+      throw error('EINVAL', 'The access of the root folder is set by the rootAccess option');
+    }
+    await this._authorize(pathname, 'admin');
+    const update = access == null ? { $unset: { access: '' } } : { $set: { access } };
+    const result = await this._files().updateOne({ filename: pathname }, update);
+    if (result.matchedCount === 0) {
+      if (!(await this._isFolder(pathname))) {
+        throw notFound(pathname);
+      }
+      if (access != null) {
+        await this._insertFolder(pathname, null, { access }, { owned: false });
+      }
+    }
+    this._modified(`setAccess: ${pathname}`);
+    return 1;
+  }
+
+  /**
+   * Sets the quota of the specified folder, which applies to the files within
+   * the folder and its subfolders. The quota is an object having any of the
+   * following properties:
+   *
+   * - `maxBytes`: The maximum total content length of the files.
+   * - `maxFiles`: The maximum number of files.
+   * - `maxFileSize`: The maximum content length of a single file.
+   *
+   * The quota is stored with the folder, which is made explicit if it is
+   * only implicitly defined by the files in it, so it is shared by all
+   * instances using the bucket. It moves with the folder when the folder is
+   * renamed and it is removed when the folder is deleted. A null quota
+   * removes the quota.
+   *
+   * Writing, copying, renaming and restoring files is checked against the
+   * quotas of all folders containing the target, using the usage reported by
+   * `getUsage`. Moving files within a folder does not change its usage. The
+   * promise is rejected with an error having the code `EDQUOT` if a quota
+   * would be exceeded. Uploads are checked while they are written, so an
+   * upload is stopped as soon as it exceeds a quota. Concurrent writes are
+   * checked independently, so they may exceed a quota together.
+   * @example <caption>Limit a customer to 1 GB and 10 MB per file</caption>
+   * await mongofs.setQuota('/customers/acme', { maxBytes: 1e9, maxFileSize: 1e7 });
+   * @param {string} folder - The folder.
+   * @param {object} quota - The quota object or null.
+   * @returns {Promise} Resolved with the number of folders updated (always 1).
+   */
+  async setQuota(folder, quota) {
+    folder = this._resolve(folder);
+    if (quota != null) {
+      quota = quotaOption(quota);
+    }
+    if (folder === this._root && this._root === '') {
+      throw error('EINVAL', 'The root folder cannot have a quota');
+    }
+    await this._authorize(folder, 'admin');
+    const update = quota == null ? { $unset: { quota: '' } } : { $set: { quota } };
+    const result = await this._files().updateOne({ filename: folder, type: 'folder' }, update);
+    if (result.matchedCount === 0) {
+      if (!(await this._isFolder(folder))) {
+        throw error('ENOENT', 'Folder not found: ' + folder);
+      }
+      if (quota != null) {
+        await this._insertFolder(folder, null, { quota }, { owned: false });
+      }
+    }
+    this._modified(`setQuota: ${folder}`);
+    return 1;
+  }
+
+  /**
+   * Updates an existing file from the specified buffer. If the metadata
+   * is not specified, then the existing metadata is used. If the content
+   * type is not specified, then it is detected with the
+   * `contentTypeDetection` option. With the versioning option, the prior
+   * content is kept as a version.
+   *
+   * The new content is stored before it replaces the existing file, so the
+   * file is unchanged if the update fails.
+   * @example <caption>Update a file unless it was changed by someone else</caption>
+   * const { etag } = await mongofs.getDescriptor('/docs/report.txt');
+   * await mongofs.updateFile('/docs/report.txt', 'new data', null, null, { ifMatch: etag });
+   * @param {string} pathname - The pathname of the file to update.
+   * @param {string|Buffer} buf - The file data.
+   * @param {object} [metadata] - Optional metadata.
+   * @param {string} [contentType] - Optional content type.
+   * @param {object} [options] - The optional ifMatch property.
+   * @returns {Promise} Resolved if successful.
+   */
+  async updateFile(pathname, buf, metadata, contentType, options) {
+    if (typeof metadata === 'string') {
+      options = contentType;
+      contentType = metadata;
+      metadata = null;
+    }
+    const { ifMatch } = options || {};
+    pathname = await this._follow(this._resolve(pathname));
+    await this._authorize(pathname, 'write');
+    const file = await this._findOne(pathname, ifMatch);
+    if (metadata == null) {
+      metadata = file.metadata;
+    }
+    let detect = false;
+    [buf, metadata, contentType, detect] = fileArguments(buf, metadata, contentType);
+    await this._writeFile(pathname, buf, metadata, contentType, { file, ifMatch, detect });
+  }
+
+  /**
+   * Updates the metadata of the specified folder. A folder that is only
+   * implicitly defined by the files in it is made explicit.
+   * @param {string} folder - The folder to update.
+   * @param {object} metadata - The new metadata.
+   * @returns {Promise} Resolved with the number of folders updated (always 1).
+   */
+  async updateFolderMetadata(folder, metadata) {
+    folder = this._resolve(folder);
+    await this._authorize(folder, 'write');
+    metadata = await this._sealMetadata(metadata);
+    const result = await this._files().updateOne(
+      { filename: folder, type: 'folder' },
+      { $set: { metadata } }
+    );
+    if (result.matchedCount === 0) {
+      if (folder === this._root || !(await this._isFolder(folder))) {
+        throw error('ENOENT', 'Folder not found: ' + (folder || '/'));
+      }
+      await this._insertFolder(folder, metadata, null, { owned: false });
+    }
+    await this._notify(`updateFolderMetadata: ${folder}`, {
+      type: 'metadata',
+      pathname: folder,
+      folder: true,
+      metadata,
+    });
+    return 1;
+  }
+
+  /**
+   * Updates the metadata of the file specified by the pathname to the
+   * specified metadata. This replaces the current metadata object.
+   * @param {string} pathname - The pathname of the file to update.
+   * @param {object} metadata - The new metadata object.
+   * @param {object} [options] - The optional ifMatch property.
+   * @returns {Promise} Resolved with the number of files updated (always 1).
+   */
+  async updateMetadata(pathname, metadata, options) {
+    const { ifMatch } = options || {};
+    pathname = await this._follow(this._resolve(pathname));
+    await this._authorize(pathname, 'write');
+    const file = await this._findOne(pathname, ifMatch);
+    const query = ifMatch == null ? { _id: file._id } : unchanged(file);
+    const etag = new ObjectId().toHexString();
+    metadata = await this._sealMetadata(metadata);
+    const result = await this._files().updateOne(query, { $set: { metadata, etag } });
+    if (result.matchedCount === 0) {
+      throw ifMatch == null ? notFound(pathname) : precondition(pathname);
+    }
+    await this._notify(`updateMetadata: ${pathname}`, {
+      type: 'metadata',
+      pathname,
+      descriptor: descriptor(Object.assign({}, file, { metadata, etag }), pathname),
+    });
+    return 1;
+  }
+
+  /**
+   * Walks the files within the specified folder and its subfolders. This is
+   * an async iterator yielding the descriptor of each file, sorted by
+   * pathname. All files are found by a single query whose results are
+   * yielded as they arrive.
+   *
+   * The depth option limits the folder levels: 1 only yields the files in
+   * the folder, 2 also yields the files in its subfolders, and so on. The
+   * filter option is either a MongoDB query (see `findFiles`) that the
+   * files must also match or a function that is called with each
+   * descriptor and returns (or resolves with) true to yield it.
+   * @example <caption>Walk the JSON files of a folder and its subfolders</caption>
+   * for await (const file of mongofs.walk('/config', { depth: 2 })) {
+   *   if (file.filename.endsWith('.json')) console.log(file.pathname);
+   * }
+   * @param {string} folder - The folder to walk.
+   * @param {object} [options] - The optional depth and filter properties.
+   * @returns {AsyncIterator} An async iterator of descriptor objects.
+   */
+  async *walk(folder, options) {
+    const { depth, filter } = options || {};
+    folder = await this._follow(this._resolve(folder));
+    if (depth != null && depth < 1) {
+      return;
+    }
+    const levels = depth == null ? '' : `(?:[^/]+/){0,${depth - 1}}[^/]+$`;
+    let query = { filename: within(folder, levels), type: { $nin: ['folder', 'link'] } };
+    if (filter != null && typeof filter === 'object') {
+      query = { $and: [filter, query] };
+    }
+    const cursor = this._files().find(query).sort({ filename: 1 });
+    try {
+      for (let file = await cursor.next(); file; file = await cursor.next()) {
+        if (!(await this._allows(file.filename, 'read'))) {
+          continue;
+        }
+        const retval = await this._describe(file, this._relative(file.filename));
+        if (typeof filter !== 'function' || (await filter(retval))) {
+          yield retval;
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * Watches the changes within the specified folder, including the changes
+   * made by other instances and processes sharing the bucket. The returned
+   * watcher is an EventEmitter emitting the same events as this instance
+   * (see the class description) for the changes having a pathname, old
+   * pathname or source within the folder, or the folder itself. It emits an
+   * `error` event if the change stream fails and its `close()` method
+   * stops watching.
+   *
+   * This is backed by a MongoDB change stream of the database. It delivers
+   * the changes recorded by instances having the changeLog option, which
+   * is enabled for this instance by watching unless it is false. Files
+   * written to the bucket by other GridFS clients, which do not record
+   * their changes, are delivered as `create` events. Other changes made
+   * by instances that do not record them, and files deleted or renamed by
+   * other GridFS clients, are not delivered. Change streams require a
+   * replica set or a sharded cluster. The options are passed to the change
+   * stream, such as `startAtOperationTime` or `resumeAfter`.
+   * @example <caption>Reload the configuration when it changes</caption>
+   * const watcher = mongofs.watch('/config');
+   * watcher.on('update', (event) => reload(event.pathname));
+   * watcher.on('error', (err) => console.error(err));
+   * @param {string} folder - The folder to watch.
+   * @param {object} [options] - The optional change stream options.
+   * @returns {EventEmitter} The watcher.
+   */
+  watch(folder, options) {
+    folder = this._resolve(folder);
+    const paths = [];
+    ['pathname', 'oldPathname', 'source'].forEach((name) => {
+      paths.push({ [`fullDocument.${name}`]: within(folder) });
+      paths.push({ [`fullDocument.${name}`]: folder || '/' });
+    });
+    const files = this._bucketName + '.files';
+    const recorded = { 'ns.coll': this._bucketName + '.changes', $or: paths };
+    // The files written by other GridFS clients are inserted under their
+    // pathname, while those of MongoFS are first uploaded under another name
+    // or have a type (folders and links).
+    const written = {
+      'ns.coll': files,
+      'fullDocument.filename': within(folder),
+      'fullDocument.type': { $exists: false },
+    };
+    const stream = this._db.watch(
+      [{ $match: { operationType: 'insert', $or: [recorded, written] } }],
+      options
+    );
+    this._publishing.watching = true;
+    const watcher = new EventEmitter();
+    // The events are emitted in order, although emitting one may have to
+    // wait for the key decrypting its metadata.
+    let emitted = Promise.resolve();
+    stream.on('change', (change) => {
+      const file = change.fullDocument;
+      let event;
+      if (change.ns.coll === files) {
+        event = { type: 'create', pathname: file.filename, date: file.uploadDate };
+        event.descriptor = descriptor(file, file.filename);
+      } else {
+        event = Object.assign({}, file);
+        delete event._id;
+      }
+      emitted = emitted
+        .then(async () => {
+          const local = await this._localEvent(event);
+          if (local) {
+            emit(watcher, await this._openEvent(local));
+          }
+        })
+        .catch((err) => watcher.emit('error', err));
+    });
+    stream.on('error', (err) => watcher.emit('error', err));
+    watcher.close = () => stream.close();
+    return watcher;
+  }
+
+  //----------------------------------------------------------------------------
+  // Private methods
+  //----------------------------------------------------------------------------
+
+  // Normalizes a pathname, or resolves a target pathname against a source
+  // pathname, like the resolve function. The results are prefixed with the
+  // root folder of a scoped view. Since resolve never returns a path above
+  // the root, the pathnames cannot escape the scope.
+  _resolve(source, target) {
+    if (target === undefined) {
+      return this._root + resolve(source);
+    }
+    return resolve(source, target).map((pathname) => this._root + pathname);
+  }
+
+  // Removes the root folder of a scoped view from a normalized pathname.
+  _relative(pathname) {
+    return pathname.substring(this._root.length) || '/';
+  }
+
+  // Gets the underlying files collection
+  _files() {
+    return this._db.collection(this._bucketName + '.files');
+  }
+
+  // Gets the GridFS chunks collection.
+  _chunks() {
+    return this._db.collection(this._bucketName + '.chunks');
+  }
+
+  // Gets the collection of the pending operations that use a journal.
+  _journal() {
+    return this._db.collection(this._bucketName + '.journal');
+  }
+
+  // Gets the collection recording the changes for watch.
+  _changes() {
+    return this._db.collection(this._bucketName + '.changes');
+  }
+
+  // Gets the options passing the session of the current unit, if any.
+  _session() {
+    return this._unit && this._unit.session ? { session: this._unit.session } : {};
+  }
+
+  // Opens a writable stream for the normalized pathname. The conflict check
+  // runs immediately and writes wait for it. The GridFS upload stream calls
+  // back once a chunk is stored, which gives us backpressure for free. The
+  // options may specify the file to replace (file), whether an existing file
+  // is replaced (overwrite), its required etag (ifMatch), whether the content
+  // type is detected (detect), in which case the contentType is the fallback,
+  // and the message passed to the modified function (message).
+  _openWriteStream(pathname, metadata, contentType, options) {
+    options = options || {};
+    let upload = null;
+    let uploaded = null;
+    let ended = false;
+    let file = null;
+    let length = 0;
+    const hash = createHash(this._hashAlgorithm);
+    // The first bytes are kept for the content type detection. Compression
+    // is decided before any content is written, so by the extension only.
+    const detection = options.detect ? this._detection : null;
+    let head = detection ? Buffer.alloc(0) : null;
+    const contentEncoding = this._encoding(
+      pathname,
+      (detection && detect(pathname, null, detection)) || contentType
+    );
+    // The content is written to the compressor and the cipher, which are
+    // piped to the upload.
+    let sink = null;
+    let cipher = null;
+    // The quotas are checked as the content is written, starting with the
+    // number of files.
+    let quotas = [];
+    let replaced = 0;
+    const opened = this._authorize(pathname, 'write').then(async () => {
+      file = await this._prepareWrite(pathname, options);
+      quotas = await this._quotas(pathname);
+      replaced = file ? contentLength(file) : 0;
+      const err = quotaError(quotas, { bytes: -replaced, files: file ? 0 : 1, size: 0 });
+      if (err) {
+        throw err;
+      }
+      metadata = await this._sealMetadata(metadata);
+      cipher = this._encryption ? await this._cipher() : null;
+      if (!stream.destroyed) {
+        // The file is uploaded under a hidden name and then claims the pathname.
+        const name = `uploading:${pathname}`;
+        upload = this._bucket.openUploadStream(name, { metadata, contentType });
+        upload.on('error', (err) => stream.destroy(err));
+        uploaded = { _id: upload.id, filename: name };
+        const streams = [];
+        if (contentEncoding) {
+          streams.push(COMPRESSORS[contentEncoding]());
+        }
+        if (cipher) {
+          streams.push(cipher.stream);
+        }
+        streams.push(upload);
+        for (let i = 0; i < streams.length - 1; i++) {
+          streams[i].on('error', (err) => stream.destroy(err));
+          streams[i].pipe(streams[i + 1]);
+        }
+        sink = streams[0];
+        if (this._unit) {
+          this._unit.created.push(upload.id);
+        }
+      }
+    });
+    opened.catch(() => {}); // reported by the next write or end
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        opened.then(() => {
+          if (upload) {
+            const size = length + chunk.length;
+            const err = quotaError(quotas, { bytes: size - replaced, files: 0, size });
+            if (err) {
+              callback(err);
+              return;
+            }
+            hash.update(chunk);
+            if (head && head.length < SNIFF_LENGTH) {
+              head = Buffer.concat([head, chunk.slice(0, SNIFF_LENGTH - head.length)]);
+            }
+            length += chunk.length;
+            sink.write(chunk, encoding, () => callback());
+          } else {
+            callback(); // destroyed before the upload was opened
+          }
+        }, callback);
+      },
+      final: (callback) => {
+        opened.then(() => {
+          ended = true;
+          upload.once('finish', () => {
+            const fields = { contentHash: hash.digest('hex'), hashAlgorithm: this._hashAlgorithm };
+            if (contentEncoding) {
+              Object.assign(fields, { encoding: contentEncoding, contentLength: length });
+            }
+            if (cipher) {
+              fields.encryption = cipher.encryption();
+            }
+            if (detection) {
+              const complete = length === head.length;
+              const detected = detect(pathname, head, Object.assign({ complete }, detection));
+              fields.contentType = detected || contentType;
+            }
+            const done = this._finishUpload(uploaded, fields).then(() =>
+              file
+                ? this._replace(uploaded, pathname, file, options.ifMatch)
+                : this._claim(uploaded, pathname, this._ownership(), 'Create File')
+            );
+            done.then(
+              () => {
+                const action = file ? 'updateFile' : 'createFile';
+                const type = file ? 'update' : 'create';
+                this._files()
+                  .findOne({ _id: uploaded._id }, this._session())
+                  .then((current) =>
+                    this._notify(options.message || `${action}: ${pathname}`, {
+                      type,
+                      pathname,
+                      descriptor: descriptor(current, pathname),
+                    })
+                  )
+                  .then(() => callback(), callback);
+              },
+              (err) => this._purge(uploaded).then(() => callback(err), callback)
+            );
+          });
+          sink.end();
+        }, callback);
+      },
+      destroy(err, callback) {
+        if (upload && !ended) {
+          upload.abort(() => callback(err));
+        } else {
+          callback(err);
+        }
+      },
+    });
+    return stream;
+  }
+
+  // Opens a download stream for the content of the file. The content may be
+  // stored in a shared blob, and a blob whose key was rotated refers to
+  // another blob. The options may specify an inclusive start and end offset
+  // that is checked against the length. An encrypted file is decrypted and a
+  // compressed file is decompressed, so their range is taken from the
+  // resulting content.
+  async _openDownloadStream(file, options) {
+    const range = checkRange(file, options);
+    let content = file;
+    while (content.blob) {
+      const id = content.blob;
+      content = await this._files().findOne({ _id: id });
+      if (!content) {
+        throw error('ENOENT', `Content not found: ${file.filename} (${id})`);
+      }
+    }
+    if (!content.encryption && !file.encoding) {
+      if (range) {
+        // GridFS expects an exclusive end offset.
+        return this._bucket.openDownloadStream(content._id, {
+          start: range.start,
+          end: range.end + 1,
+        });
+      }
+      return this._bucket.openDownloadStream(content._id);
+    }
+    const streams = [await this._openStored(content)];
+    if (file.encoding) {
+      streams.push(DECOMPRESSORS[file.encoding]());
+    }
+    if (range) {
+      streams.push(slice(range.start, range.end));
+    }
+    return streams.length > 1 ? pipeline(...streams, () => {}) : streams[0];
+  }
+
+  // Opens a download stream for the stored bytes of the file having its own
+  // chunks. These are decrypted if the file is encrypted, but not
+  // decompressed.
+  async _openStored(content) {
+    const download = this._bucket.openDownloadStream(content._id);
+    if (!content.encryption) {
+      return download;
+    }
+    const decipher = await this._decipher(content.encryption);
+    return pipeline(download, decipher, () => {}); // errors destroy the last stream
+  }
+
+  // Creates a cipher encrypting new content with the current key. Resolves
+  // with the cipher stream and a function getting the encryption field of
+  // the file once the stream has ended.
+  async _cipher() {
+    const keyId = await this._currentKeyId();
+    const key = await this._key(keyId);
+    const iv = randomBytes(IV_LENGTH);
+    const stream = createCipheriv(CIPHER, key, iv);
+    return {
+      stream,
+      encryption: () => ({
+        algorithm: CIPHER,
+        keyId,
+        iv: iv.toString('base64'),
+        tag: stream.getAuthTag().toString('base64'),
+      }),
+    };
+  }
+
+  // Creates a transform stream decrypting content having the encryption
+  // field. The authentication tag is checked at the end of the content,
+  // so tampered content makes the stream emit an error before it ends.
+  async _decipher(encryption) {
+    const key = await this._key(encryption.keyId);
+    const decipher = createDecipheriv(CIPHER, key, Buffer.from(encryption.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'base64'));
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, decipher.update(chunk));
+      },
+      flush(callback) {
+        try {
+          callback(null, decipher.final());
+        } catch (err) {
+          callback(unauthentic());
+        }
+      },
+    });
+  }
+
+  // Gets the id of the key encrypting new content from the key provider.
+  async _currentKeyId() {
+    if (!this._encryption) {
+      throw error('ENOKEY', 'Encryption is not configured');
+    }
+    const keyId = await this._encryption.keyProvider.currentKeyId();
+    if (typeof keyId !== 'string' || !keyId) {
+      throw error('ENOKEY', 'The key provider has no current key');
+    }
+    return keyId;
+  }
+
+  // Gets the key having the id from the key provider. The promise is cached
+  // so each key is only requested once, unless that request fails.
+  _key(keyId) {
+    if (!this._encryption) {
+      return Promise.reject(error('ENOKEY', `Encryption is not configured (key ${keyId})`));
+    }
+    let key = this._keys.get(keyId);
+    if (!key) {
+      key = Promise.resolve(this._encryption.keyProvider.getKey(keyId)).then((value) => {
+        if (value == null) {
+          throw error('ENOKEY', `Key not found: ${keyId}`);
+        }
+        if (!Buffer.isBuffer(value) || value.length !== KEY_LENGTH) {
+          throw error('EINVAL', `Expected a ${KEY_LENGTH} byte buffer for key ${keyId}`);
+        }
+        return value;
+      });
+      key.catch(() => this._keys.delete(keyId));
+      this._keys.set(keyId, key);
+    }
+    return key;
+  }
+
+  // Encrypts the metadata fields selected by the encryption option. Returns
+  // a copy of the metadata, in which values that are already encrypted are
+  // kept as they are.
+  async _sealMetadata(metadata) {
+    const fields = this._encryption ? this._encryption.metadataFields : [];
+    let keyId = null;
+    let key = null;
+    for (const field of fields) {
+      const value = getField(metadata, field);
+      if (value !== undefined && !isSealed(value)) {
+        if (!key) {
+          keyId = await this._currentKeyId();
+          key = await this._key(keyId);
+        }
+        metadata = setField(metadata, field, seal(value, keyId, key));
+      }
+    }
+    return metadata;
+  }
+
+  // Decrypts the encrypted metadata fields selected by the encryption
+  // option. Returns a copy of the metadata.
+  async _openMetadata(metadata) {
+    const fields = this._encryption ? this._encryption.metadataFields : [];
+    for (const field of fields) {
+      const value = getField(metadata, field);
+      if (isSealed(value)) {
+        metadata = setField(metadata, field, unseal(value, await this._key(value.keyId)));
+      }
+    }
+    return metadata;
+  }
+
+  // Creates the descriptor of the file having the pathname (or the version
+  // descriptor if the version flag is set) with decrypted metadata.
+  async _describe(file, pathname, version) {
+    const retval = version ? versionDescriptor(file, pathname) : descriptor(file, pathname);
+    if (retval.metadata != null) {
+      retval.metadata = await this._openMetadata(retval.metadata);
+    }
+    if (file.type === 'link' && isWithin(file.target, this._root)) {
+      retval.link = this._relative(file.target);
+    }
+    return retval;
+  }
+
+  // Creates the descriptor of the file having the normalized pathname for
+  // the link pathname that refers to it (see _describe for the version flag).
+  // If these differ, then the descriptor has the link property.
+  async _describeLinked(file, link, pathname, version) {
+    const retval = await this._describe(file, this._relative(link), version);
+    if (link !== pathname) {
+      retval.link = this._relative(pathname);
+    }
+    return retval;
+  }
+
+  // Creates the descriptor of a file listed in a folder. A link is described
+  // by the file it refers to, or it is omitted (null) if it does not refer
+  // to a file that the principal of this view can read.
+  async _describeListed(file) {
+    if (file.type !== 'link') {
+      return this._describe(file, this._relative(file.filename));
+    }
+    const target = await this._linked(file);
+    return target && this._describeLinked(target, file.filename, target.filename);
+  }
+
+  // Encrypts the content of the file under the current key. The new content
+  // is uploaded as a blob (having its own reference count) and the file
+  // then refers to it instead of its own chunks. The file is only changed
+  // if it was not re-encrypted concurrently. Resolves with true if it was
+  // changed.
+  async _reencrypt(file) {
+    const stored = await this._openStored(file);
+    const cipher = await this._cipher();
+    const id = new ObjectId();
+    const name = `blob:${id}`;
+    const upload = this._bucket.openUploadStreamWithId(id, name, {
+      chunkSizeBytes: file.chunkSize,
+    });
+    try {
+      // The upload emits finish once its file document is inserted, which
+      // pipeline does not wait for.
+      await new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.on('error', reject);
+        pipeline(stored, cipher.stream, (err) => err && reject(err)).pipe(upload);
+      });
+    } catch (err) {
+      await this._chunks().deleteMany({ files_id: id });
+      throw err;
+    }
+    const encryption = cipher.encryption();
+    await this._files().updateOne({ _id: id }, { $set: { key: name, refs: 1, encryption } });
+    const result = await this._files().updateOne(
+      { _id: file._id, 'encryption.iv': file.encryption.iv },
+      { $set: { blob: id }, $unset: { encryption: '' } }
+    );
+    if (result.matchedCount === 0) {
+      await this._purge({ _id: id });
+      return false;
+    }
+    await this._chunks().deleteMany({ files_id: file._id });
+    return true;
+  }
+
+  // Encrypts the metadata field of the file under the current key. The file
+  // is only changed if the field was not changed concurrently. Resolves with
+  // true if it was changed.
+  async _resealMetadata(file, field) {
+    const path = `metadata.${field}`;
+    const value = getField(file.metadata, field);
+    const plain = unseal(value, await this._key(value.keyId));
+    const keyId = await this._currentKeyId();
+    const sealed = seal(plain, keyId, await this._key(keyId));
+    const result = await this._files().updateOne(
+      { _id: file._id, [`${path}.data`]: value.data },
+      { $set: { [path]: sealed } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  // Sets the fields describing the content of an uploaded file, such as its
+  // hash. With the dedup option, the content is then shared with the other
+  // files having the same hash.
+  async _finishUpload(uploaded, fields) {
+    const set = Object.assign({}, fields);
+    if (this._dedup) {
+      // The encryption of shared content is a property of the blob.
+      set.blob = uploaded.blob = await this._share(uploaded._id, fields);
+      delete set.encryption;
+    }
+    await this._files().updateOne({ _id: uploaded._id }, { $set: set });
+  }
+
+  // Gets the encoding of a new file if it is compressed, otherwise null.
+  _encoding(pathname, contentType) {
+    const compression = this._compression;
+    if (!compression) {
+      return null;
+    }
+    if (!compression.contentTypes && !compression.pathnames) {
+      return compression.encoding;
+    }
+    const type = String(contentType || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    const types = compression.contentTypes || [];
+    const matched =
+      types.some((t) => t === type || (t.endsWith('/*') && type.startsWith(t.slice(0, -1)))) ||
+      (compression.pathnames != null && compression.pathnames.test(this._relative(pathname)));
+    return matched ? compression.encoding : null;
+  }
+
+  // Gets the files and the explicit folders within the folder that are
+  // exported (see exportFolder). Each file is a descriptor and each folder
+  // has its metadata. Both have the name relative to the folder.
+  async _exportTree(folder, filter) {
+    folder = await this._follow(this._resolve(folder));
+    if (folder !== this._root && !(await this._isFolder(folder))) {
+      throw error('ENOENT', 'Folder not found: ' + folder);
+    }
+    const prefix = folder.length - this._root.length + 1;
+    const files = [];
+    for await (const file of this.walk(this._relative(folder))) {
+      file.name = file.pathname.substring(prefix);
+      if (!filter || (await filter(file.name))) {
+        files.push(file);
+      }
+    }
+    let entries = await this._files()
+      .find({ filename: within(folder), type: 'folder' })
+      .sort({ filename: 1 })
+      .toArray();
+    entries = await this._filter(entries, 'read');
+    const folders = [];
+    for (const entry of entries) {
+      const metadata = await this._openMetadata(entry.metadata);
+      folders.push({ name: entry.filename.substring(folder.length + 1), metadata });
+    }
+    return { files, folders };
+  }
+
+  // Imports the content of the readable stream as the file having the
+  // normalized pathname, which has the name in the manifest, if any.
+  async _importFile(readable, pathname, manifest, name, options) {
+    const entry = (manifest && manifest.files[name]) || {};
+    const stream = this._openWriteStream(
+      pathname,
+      entry.metadata || {},
+      entry.contentType || 'application/octet-stream',
+      { overwrite: !!options.overwrite, detect: typeof entry.contentType !== 'string' }
+    );
+    await pipe(readable, stream);
+  }
+
+  // Creates the explicit folder having the normalized pathname, which has
+  // the name in the manifest, if any. The metadata of an existing folder is
+  // only replaced with the overwrite option.
+  async _importFolder(folder, manifest, name, options) {
+    const entry = (manifest && manifest.folders[name]) || {};
+    const metadata = entry.metadata || undefined;
+    await this._authorize(folder, 'write');
+    if (options.dryRun) {
+      return;
+    }
+    const explicit = await this._files().findOne({ filename: folder, type: 'folder' });
+    if (!explicit && !(await this._isFolder(folder))) {
+      await this.createFolder(this._relative(folder), { recursive: true, metadata });
+    } else if (!explicit || (metadata && options.overwrite)) {
+      await this.updateFolderMetadata(this._relative(folder), metadata || {});
+    }
+  }
+
+  // Gets the fields setting the content type of the file renamed to the
+  // pathname, or null if it is kept (see renameFile).
+  _renamedType(file, pathname, contentType) {
+    if (typeof contentType === 'string') {
+      return { contentType };
+    }
+    const enabled =
+      contentType == null ? !!this._detection && this._detection.renames : contentType;
+    if (!enabled || file.type != null || extension(file.filename) === extension(pathname)) {
+      return null;
+    }
+    const type = extensionType(pathname, this._detection ? this._detection.types : null);
+    return type ? { contentType: type } : null;
+  }
+
+  // Moves the chunks of the uploaded file having the id to the blob having
+  // the content hash (and encoding) of the fields. Encrypted content is not
+  // shared with content that is not. If that blob already
+  // exists, then its reference count is incremented and the chunks are
+  // removed instead. A blob is a file document named by the hash. Its unique
+  // key prevents concurrent uploads from creating the same blob and it is
+  // only inserted after its chunks have been moved. Resolves with the id of
+  // the blob.
+  async _share(id, fields) {
+    const { contentHash, hashAlgorithm, encoding, encryption } = fields;
+    let name = `blob:${hashAlgorithm}:${contentHash}` + (encoding ? `:${encoding}` : '');
+    if (encryption) {
+      name += ':encrypted';
+    }
+    for (;;) {
+      const shared = await this._files().findOneAndUpdate(
+        { filename: name },
+        { $inc: { refs: 1 } },
+        { projection: { _id: 1 } }
+      );
+      if (shared.value) {
+        await this._chunks().deleteMany({ files_id: id });
+        return shared.value._id;
+      }
+      const upload = await this._files().findOne({ _id: id });
+      const blob = Object.assign(
+        {
+          _id: new ObjectId(),
+          filename: name,
+          key: name,
+          length: upload.length,
+          chunkSize: upload.chunkSize,
+          uploadDate: new Date(),
+          refs: 1,
+        },
+        fields
+      );
+      await this._chunks().updateMany({ files_id: id }, { $set: { files_id: blob._id } });
+      try {
+        await this._files().insertOne(blob);
+        return blob._id;
+      } catch (err) {
+        await this._chunks().updateMany({ files_id: blob._id }, { $set: { files_id: id } });
+        if (err.code !== 11000) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  // Permanently removes a file document and its content. The file need only
+  // have the _id and blob properties.
+  async _purge(file) {
+    await this._files().deleteOne({ _id: file._id }, this._session());
+    await this._dropContent(file);
+  }
+
+  // Removes the chunks of a removed file document or, if its content is a
+  // shared blob, decrements the reference count of the blob. The blob is
+  // removed when it is no longer referenced, along with its own content.
+  async _dropContent(file) {
+    const options = this._session();
+    if (!file.blob) {
+      await this._chunks().deleteMany({ files_id: file._id }, options);
+      return;
+    }
+    const id = file.blob;
+    await this._files().updateOne({ _id: id }, { $inc: { refs: -1 } }, options);
+    const result = await this._files().findOneAndDelete(
+      { _id: id, refs: { $lte: 0 } },
+      Object.assign({ projection: { _id: 1, blob: 1 } }, options)
+    );
+    if (result.value) {
+      await this._dropContent(result.value);
+    }
+  }
+
+  // Writes the buffer to a new file, or replaces a file as specified by the
+  // options of _openWriteStream. Resolves with 1 (the file count).
+  _writeFile(pathname, buf, metadata, contentType, options) {
+    const stream = this._openWriteStream(pathname, metadata, contentType, options);
+    return new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.on('finish', () => resolve(1));
+      stream.end(buf);
+    });
+  }
+
+  // Determines the file replaced by a write stream, if any, and checks the
+  // pathname for conflicts if there is none. Resolves with the file.
+  async _prepareWrite(pathname, options) {
+    let file = options.file;
+    if (!file && (options.overwrite || options.ifMatch != null)) {
+      file = await this._findOne(pathname, options.ifMatch).catch((err) => {
+        if (err.code === 'ENOENT' && options.ifMatch == null) {
+          return null;
+        }
+        throw err;
+      });
+    }
+    if (!file) {
+      await this._checkForConflict(pathname, 'Create File');
+    }
+    return file;
+  }
+
+  // Replaces the file with the uploaded file. The file is removed from the
+  // namespace and the uploaded file is given the pathname as one unit, so
+  // that the pathname always refers to one of them and an interrupted
+  // replacement can be recovered. If the file was concurrently replaced,
+  // then the last writer wins unless the ifMatch option was specified.
+  async _replace(uploaded, pathname, file, ifMatch) {
+    let fields;
+    for (;;) {
+      fields = Object.assign(
+        this._versioning ? nextVersion(file) : {},
+        file.access ? { access: file.access } : null
+      );
+      const set = Object.assign({ filename: pathname }, pathKeys(pathname), fields);
+      const changes = [this._archive(file, ifMatch), { file: uploaded, set, op: 'Update File' }];
+      try {
+        await this._atomic((view) => view._apply(changes));
+        break;
+      } catch (err) {
+        if (err.code !== 'ENOENT' || ifMatch != null) {
+          throw err;
+        }
+        const current = await this._findOne(pathname);
+        if (current._id.equals(file._id)) {
+          throw err; // the uploaded file is gone
+        }
+        file = current;
+      }
+    }
+    if (this._versioning) {
+      await this._pruneVersions(fields.fileId);
+    } else {
+      await this._purge(file);
+    }
+  }
+
+  // Gets the change moving a file out of the namespace while it is being
+  // replaced. The file is given a name that is not an absolute path. If the
+  // versioning option is set, then the file is kept as a prior version. The
+  // change fails if the file was renamed or removed after it was read or,
+  // if ifMatch is specified, if it was changed in any way.
+  _archive(file, ifMatch) {
+    const change = {
+      file,
+      set: { filename: `replacing:${file._id}` },
+      unset: { key: '', ancestors: '' },
+      match: ifMatch == null ? null : unchanged(file),
+    };
+    if (this._versioning) {
+      const fileId = file.fileId || file._id;
+      const version = file.version || 1;
+      change.set = {
+        filename: `versions:${fileId}:${version}`,
+        versionOf: fileId,
+        version,
+        archived: new Date(),
+      };
+      change.unset.fileId = '';
+    }
+    return change;
+  }
+
+  // Finds the specified version of a file. Throws an exception if not found.
+  async _findVersion(file, version) {
+    if (version === (file.version || 1)) {
+      return file;
+    }
+    const prior = await this._files().findOne({ versionOf: file.fileId || file._id, version });
+    if (!prior) {
+      throw error('ENOENT', `Version not found: ${file.filename} (${version})`);
+    }
+    return prior;
+  }
+
+  // Inserts an explicit folder entry. It is a file document without chunks.
+  // The optional fields (such as the quota) are stored with it. The folder
+  // is owned by the principal of this view unless the owned option is
+  // false, as it is when an implicit folder containing the files of others
+  // is made explicit.
+  async _insertFolder(name, metadata, fields, options) {
+    const owned = !options || options.owned !== false;
+    metadata = await this._sealMetadata(metadata);
+    const folder = Object.assign(
+      {
+        _id: new ObjectId(),
+        filename: name,
+        type: 'folder',
+        length: 0,
+        uploadDate: new Date(),
+        metadata: metadata || {},
+      },
+      pathKeys(name),
+      owned ? this._ownership() : null,
+      fields
+    );
+    await this._files()
+      .insertOne(folder)
+      .catch((err) => {
+        throw conflict(err, 'createFolder', name);
+      });
+    if (this._unit) {
+      this._unit.created.push(folder._id);
+    }
+    try {
+      await this._checkForConflict(name, 'createFolder', true, folder._id);
+    } catch (err) {
+      await this._files().deleteOne({ _id: folder._id });
+      throw err;
+    }
+  }
+
+  // Gives the file the pathname, setting the optional fields as well, as a
+  // unit on its own or as part of the current unit. See _apply for the match
+  // query and the conflict checks.
+  async _claim(file, pathname, fields, op, match) {
+    const set = Object.assign({ filename: pathname }, pathKeys(pathname), fields);
+    await this._atomic((view) => view._apply([{ file, set, op, match }]), true);
+  }
+
+  // Copies the file document and its chunks to a new file having the name,
+  // which is not an absolute path. The file document is recorded like an
+  // upload of the unit, so it is removed with its chunks if the unit does
+  // not complete, and the chunks are written as part of the transaction of
+  // the unit, if any. Resolves with the new file document.
+  async _copy(file, name, metadata) {
+    const copy = {
+      _id: new ObjectId(),
+      filename: name,
+      length: file.length,
+      chunkSize: file.chunkSize,
+      uploadDate: new Date(),
+      metadata: metadata === undefined ? file.metadata : await this._sealMetadata(metadata),
+    };
+    COPIED_FIELDS.forEach((field) => {
+      if (file[field] !== undefined) {
+        copy[field] = file[field];
+      }
+    });
+    if (this._principal) {
+      copy.access = Object.assign({}, copy.access, { owner: this._principal.id });
+    }
+    if (copy.blob) {
+      // The reference is counted first so that the blob cannot be removed
+      // in the meantime, and released again if the copy is not inserted.
+      await this._files().updateOne({ _id: copy.blob }, { $inc: { refs: 1 } });
+      try {
+        await this._files().insertOne(copy);
+      } catch (err) {
+        await this._dropContent(copy);
+        throw err;
+      }
+    } else {
+      await this._files().insertOne(copy);
+    }
+    if (this._unit) {
+      this._unit.created.push(copy._id);
+    }
+    if (file.type == null && !copy.blob) {
+      try {
+        const options = this._session();
+        const cursor = this._chunks().find({ files_id: file._id }, options).sort({ n: 1 });
+        let chunks = [];
+        for (let chunk = await cursor.next(); chunk; chunk = await cursor.next()) {
+          chunks.push({ files_id: copy._id, n: chunk.n, data: chunk.data });
+          if (chunks.length === COPIED_CHUNKS) {
+            await this._chunks().insertMany(chunks, options);
+            chunks = [];
+          }
+        }
+        if (chunks.length > 0) {
+          await this._chunks().insertMany(chunks, options);
+        }
+      } catch (err) {
+        await this._purge(copy);
+        throw err;
+      }
+    }
+    return copy;
+  }
+
+  // Permanently deletes a file and its prior versions.
+  async _delete(file) {
+    await this._purge(file);
+    await this._deleteVersions(file);
+  }
+
+  // Gets the changes that delete the files. These either move the files to
+  // the trash or remove them and their prior versions. The pathname and
+  // folder flag describe the deletion as a whole.
+  async _deletions(files, pathname, folder, match) {
+    if (this._trash) {
+      const id = new ObjectId().toHexString();
+      const deleted = new Date();
+      return files.map((file) => {
+        const trashed = { id, pathname, folder, deleted, filename: file.filename };
+        const set = { filename: `trash:${id}:${file._id}`, trashed };
+        return { file, match, set, unset: { key: '', ancestors: '' } };
+      });
+    }
+    const ids = files.map((file) => file.fileId || file._id);
+    const versions = await this._files()
+      .find({ versionOf: { $in: ids } }, this._session())
+      .toArray();
+    return files
+      .map((file) => ({ file, match, remove: true }))
+      .concat(versions.map((file) => ({ file, remove: true })));
+  }
+
+  // Runs the function as an all-or-nothing unit. The function is passed a
+  // view of this instance having the _unit property, and all changes made
+  // through the view are part of the unit. A unit uses a transaction if it
+  // is supported and a journal otherwise. A single change to one file does
+  // not need either of them, so only the in-memory undo log is used.
+  async _atomic(fn, single) {
+    if (this._unit) {
+      return fn(this); // already part of a unit
+    }
+    if (!single && (await this._supportsTransactions())) {
+      return this._transaction(fn);
+    }
+    const unit = { undo: [], created: [], messages: [], events: [], journal: null };
+    if (!single) {
+      unit.journal = new ObjectId();
+      await this._journal().insertOne({ _id: unit.journal, started: new Date(), committed: false });
+    }
+    let result;
+    try {
+      result = await fn(this._view(unit));
+    } catch (err) {
+      await this._undo(unit.undo);
+      await this._deleteUploads(unit);
+      if (unit.journal) {
+        await this._journal().deleteOne({ _id: unit.journal });
+      }
+      throw err;
+    }
+    if (unit.journal) {
+      await this._journal().updateOne({ _id: unit.journal }, { $set: { committed: true } });
+      await this._commit(unit.journal);
+    }
+    return result;
+  }
+
+  // Runs the function of _atomic in a transaction. The driver retries the
+  // function on a transient error, each time in a new unit, and the commit
+  // if its result is unknown. The files uploaded by a unit that did not
+  // complete are deleted before the function is retried.
+  async _transaction(fn) {
+    const session = this._client.startSession();
+    let unit = null;
+    let result;
+    try {
+      await session.withTransaction(async () => {
+        if (unit) {
+          await this._deleteUploads(unit);
+        }
+        unit = { session, undo: [], created: [], messages: [], events: [] };
+        result = await fn(this._view(unit));
+      });
+    } catch (err) {
+      if (unit) {
+        await this._deleteUploads(unit);
+      }
+      throw err;
+    } finally {
+      session.endSession();
+    }
+    return result;
+  }
+
+  // Determines if the client option was specified and the deployment supports
+  // transactions by starting one. The result is cached.
+  async _supportsTransactions() {
+    if (this._transactions === null) {
+      this._transactions = false;
+      if (this._client) {
+        let session = null;
+        try {
+          session = this._client.startSession();
+          session.startTransaction();
+          await this._files().findOne({}, { session });
+          await session.abortTransaction();
+          this._transactions = true;
+        } catch (err) {
+          // Sessions or transactions are not supported.
+        } finally {
+          if (session) {
+            session.endSession();
+          }
+        }
+      }
+    }
+    return this._transactions;
+  }
+
+  // Reports a completed change. The message is passed to the modified
+  // function and the optional event is published.
+  _notify(message, event) {
+    this._modified(message);
+    if (event) {
+      this._publish(event);
+    }
+  }
+
+  // Emits the event on the instance and relays it to the views having
+  // listeners. With the changeLog option, it is also recorded for the
+  // watchers of other instances. The metadata of the event is stored as
+  // it is in the file, so encrypted fields are only decrypted when emitted.
+  // The events are published in order once the operation has completed,
+  // which does not fail if recording, decrypting or emitting an event does.
+  _publish(event) {
+    event = Object.assign({ date: new Date() }, event);
+    const publishing = this._publishing;
+    const { instance } = publishing;
+    publishing.last = publishing.last
+      .then(() => new Promise((resolve) => setImmediate(resolve)))
+      .then(async () => {
+        if (this._changeLog || (this._changeLog === null && publishing.watching)) {
+          await this._changes()
+            .insertOne(Object.assign({}, event))
+            .catch((err) => instance._emitError(err));
+        }
+        event = await this._openEvent(event);
+        publishing.views.forEach((view) => view._relay(event));
+        emit(instance, event);
+      })
+      .catch((err) => instance._emitError(err));
+  }
+
+  // Emits an event of the instance on this view if the view can see it (see
+  // _localEvent). The events are emitted in order, although checking one
+  // may have to wait for the database. The view stops relaying the events
+  // once it has no listeners.
+  _relay(event) {
+    if (this.eventNames().length === 0) {
+      this._publishing.views.delete(this);
+      return;
+    }
+    this._relayed = this._relayed
+      .then(async () => {
+        const local = await this._localEvent(event);
+        if (local) {
+          emit(this, local);
+        }
+      })
+      .catch((err) => this._emitError(err));
+  }
+
+  // Gets the event as seen by this view, or null if the view cannot see it.
+  // The pathnames are relative to the root folder of the view, and an old
+  // pathname or source outside of it or that the principal cannot read is
+  // omitted. So a file or folder renamed into or out of the root folder is
+  // created or deleted for the view.
+  async _localEvent(event) {
+    const visible = async (pathname) =>
+      pathname != null && isWithin(pathname, this._root) && this._allows(pathname, 'read');
+    const local = Object.assign({}, event);
+    if (!(await visible(event.pathname))) {
+      if (event.type !== 'rename' || !(await visible(event.oldPathname))) {
+        return null;
+      }
+      Object.assign(local, { type: 'delete', pathname: event.oldPathname });
+      delete local.oldPathname;
+      delete local.descriptor;
+    }
+    for (const name of ['oldPathname', 'source']) {
+      if (local[name] != null && !(await visible(local[name]))) {
+        delete local[name];
+        if (name === 'oldPathname') {
+          local.type = 'create';
+        }
+      }
+    }
+    ['pathname', 'oldPathname', 'source'].forEach((name) => {
+      if (local[name] != null) {
+        local[name] = this._relative(local[name]);
+      }
+    });
+    if (local.descriptor) {
+      local.descriptor = Object.assign({}, local.descriptor, { pathname: local.pathname });
+    }
+    return local;
+  }
+
+  // Emits the error of publishing an event if the instance has an error
+  // listener. Otherwise, it is ignored, since the operation has completed.
+  _emitError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+  }
+
+  // Decrypts the metadata of the event.
+  async _openEvent(event) {
+    if (event.descriptor && event.descriptor.metadata != null) {
+      const metadata = await this._openMetadata(event.descriptor.metadata);
+      event.descriptor = Object.assign({}, event.descriptor, { metadata });
+    }
+    if (event.metadata != null) {
+      event.metadata = await this._openMetadata(event.metadata);
+    }
+    return event;
+  }
+
+  // Creates a view of this instance for as and scope. The view has its own
+  // listeners, and adding one makes the instance relay its events to them.
+  _derive() {
+    const view = Object.create(this);
+    EventEmitter.call(view);
+    view._relayed = Promise.resolve();
+    LISTENER_METHODS.forEach((name) => {
+      view[name] = function (...args) {
+        this._publishing.views.add(this);
+        return EventEmitter.prototype[name].apply(this, args);
+      };
+    });
+    return view;
+  }
+
+  // Creates a view of this instance for a unit. The messages and events of
+  // the view are collected by the unit instead of being reported.
+  _view(unit) {
+    const view = Object.create(this);
+    view._unit = unit;
+    view._notify = async (message, event) => {
+      unit.messages.push(message);
+      if (event) {
+        unit.events.push(event);
+      }
+    };
+    return view;
+  }
+
+  // Applies changes to file documents as part of the current unit. Each
+  // change has the file document, an optional match query replacing the
+  // default one (the file must still have its filename), and either the
+  // remove flag or the set and optional unset fields. The new name of a
+  // change having the op property is then checked for conflicts. With a
+  // journal, each changed file records how to undo the change and removed
+  // files are only marked until the unit is committed.
+  async _apply(changes) {
+    const unit = this._unit;
+    const options = this._session();
+    for (const change of changes) {
+      if (change.remove && !unit.journal) {
+        continue; // removed below
+      }
+      const { file } = change;
+      const update = change.remove
+        ? { $set: { filename: `deleting:${file._id}` }, $unset: { key: '', ancestors: '' } }
+        : { $set: Object.assign({}, change.set), $unset: Object.assign({}, change.unset) };
+      const entry = undoEntry(file, update, unit.undo.length);
+      if (unit.journal) {
+        update.$set.journal = Object.assign({ id: unit.journal, remove: !!change.remove }, entry);
+      }
+      if (Object.keys(update.$unset).length === 0) {
+        delete update.$unset;
+      }
+      const query = change.match || { _id: file._id, filename: file.filename };
+      const result = await this._files()
+        .updateOne(query, update, options)
+        .catch((err) => {
+          throw conflict(err, change.op || 'MongoFS', update.$set.filename);
+        });
+      if (result.matchedCount === 0) {
+        throw change.match ? precondition(file.filename) : notFound(file.filename);
+      }
+      unit.undo.push(Object.assign({ _id: file._id, filename: update.$set.filename }, entry));
+    }
+    for (const change of changes) {
+      if (change.op) {
+        const { file, set } = change;
+        await this._checkForConflict(set.filename, change.op, file.type === 'folder', file._id);
+      }
+    }
+    for (const change of changes) {
+      if (change.remove && !unit.journal) {
+        const { file } = change;
+        const query = change.match || { _id: file._id, filename: file.filename };
+        const result = await this._files().deleteOne(query, options);
+        if (result.deletedCount === 0) {
+          throw change.match ? precondition(file.filename) : notFound(file.filename);
+        }
+        await this._dropContent(file);
+      }
+    }
+  }
+
+  // Undoes the changes recorded by _apply, the most recent change first.
+  async _undo(entries) {
+    entries = entries.slice().sort((a, b) => b.seq - a.seq);
+    for (let i = 0; i < entries.length; i++) {
+      const { _id, filename, prior, absent } = entries[i];
+      const unset = { journal: '' };
+      absent.forEach((field) => (unset[field] = ''));
+      await this._files().updateOne({ _id, filename }, { $set: prior, $unset: unset });
+    }
+  }
+
+  // Completes a journaled unit by removing the files it deleted and the undo
+  // information of the files it changed.
+  async _commit(id) {
+    const removed = await this._files()
+      .find({ 'journal.id': id, 'journal.remove': true })
+      .project({ _id: 1, blob: 1 })
+      .toArray();
+    for (let i = 0; i < removed.length; i++) {
+      await this._purge(removed[i]);
+    }
+    await this._files().updateMany({ 'journal.id': id }, { $unset: { journal: '' } });
+    await this._journal().deleteOne({ _id: id });
+  }
+
+  // Deletes the files uploaded as part of a unit that did not complete.
+  async _deleteUploads(unit) {
+    const uploads = await this._files()
+      .find({ _id: { $in: unit.created } })
+      .project({ _id: 1, blob: 1 })
+      .toArray();
+    for (let i = 0; i < uploads.length; i++) {
+      await this._purge(uploads[i]);
+    }
+  }
+
+  // Deletes the prior versions of a file.
+  async _deleteVersions(file) {
+    const versions = await this._files()
+      .find({ versionOf: file.fileId || file._id })
+      .project({ _id: 1, blob: 1 })
+      .toArray();
+    for (let i = 0; i < versions.length; i++) {
+      await this._purge(versions[i]);
+    }
+  }
+
+  // Deletes the prior versions of a file that exceed the retention policy.
+  // Resolves with the number of versions deleted.
+  async _pruneVersions(fileId) {
+    const { keep, maxAge } = this._versioning || {};
+    if (keep == null && maxAge == null) {
+      return 0;
+    }
+    const cutoff = maxAge == null ? 0 : Date.now() - maxAge * 24 * 60 * 60 * 1000;
+    const versions = await this._files()
+      .find({ versionOf: fileId })
+      .project({ _id: 1, blob: 1, archived: 1 })
+      .sort({ version: -1 })
+      .toArray();
+    let count = 0;
+    for (let i = 0; i < versions.length; i++) {
+      if ((keep != null && i >= keep) || versions[i].archived.getTime() < cutoff) {
+        await this._purge(versions[i]);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Gets a page of the files matching the query. See getFiles for the options.
+  // One more file than the limit is read to determine if there is a next page.
+  async _page(query, options) {
+    const { limit, after, fields } = options;
+    if (limit != null && !(Number.isInteger(limit) && limit > 0)) {
+      throw error('EINVAL', `Invalid limit: ${limit}`);
+    }
+    const sort = sortOrder(options.sort);
+    // The files that the principal cannot read are skipped, so more files
+    // are read until the page is full.
+    const files = [];
+    for (let token = after; ; ) {
+      const order = { [sort.field]: sort.order, _id: sort.order };
+      let cursor;
+      if (sort.computed) {
+        // The continuation is matched against the computed sort value.
+        const stages = [{ $match: query }, { $addFields: { [sort.field]: sort.computed } }];
+        if (token != null) {
+          stages.push({ $match: continuation(sort, token) });
+        }
+        stages.push({ $sort: order });
+        if (limit != null) {
+          stages.push({ $limit: limit + 1 });
+        }
+        if (fields) {
+          stages.push({ $project: projection(fields, sort) });
+        }
+        cursor = this._files().aggregate(stages);
+      } else {
+        const filter = token != null ? { $and: [query, continuation(sort, token)] } : query;
+        cursor = this._files().find(filter).sort(order);
+        if (fields) {
+          cursor = cursor.project(projection(fields, sort));
+        }
+        if (limit != null) {
+          cursor = cursor.limit(limit + 1);
+        }
+      }
+      const found = await cursor.toArray();
+      files.push(...(await this._filter(found, 'read')));
+      if (limit == null || found.length <= limit || files.length > limit) {
+        break;
+      }
+      token = cursorToken(sort, found[found.length - 1]);
+    }
+    let nextCursor = null;
+    if (limit != null && files.length > limit) {
+      files.length = limit;
+      nextCursor = cursorToken(sort, files[limit - 1]);
+    }
+    const items = await Promise.all(
+      files.map(async (f) => {
+        const retval = await this._describeListed(f);
+        return fields && retval ? pick(retval, fields) : retval;
+      })
+    );
+    return { items: items.filter((item) => item != null), nextCursor };
+  }
+
+  // Yields the files matching the query, reading one page at a time.
+  async *_iterate(query, options) {
+    options = Object.assign({}, options);
+    options.limit = options.pageSize || 1000;
+    do {
+      const page = await this._page(query, options);
+      for (let i = 0; i < page.items.length; i++) {
+        yield page.items[i];
+      }
+      options.after = page.nextCursor;
+    } while (options.after);
+  }
+
+  // Gets the usage of the files within the normalized folder (see getUsage).
+  async _usage(folder) {
+    const [usage] = await this._files()
+      .aggregate(
+        [
+          { $match: { filename: within(folder), type: { $nin: ['folder', 'link'] } } },
+          {
+            $group: {
+              _id: null,
+              bytes: { $sum: { $ifNull: ['$contentLength', '$length'] } },
+              files: { $sum: 1 },
+            },
+          },
+        ],
+        this._session()
+      )
+      .toArray();
+    return { bytes: usage ? usage.bytes : 0, files: usage ? usage.files : 0 };
+  }
+
+  // Gets the quotas of the folders containing the normalized pathname, each
+  // having the folder pathname and its current usage. The quotas of the
+  // folders that also contain the optional source pathname are skipped,
+  // since moving files within a folder does not change its usage.
+  async _quotas(pathname, source) {
+    const { ancestors } = pathKeys(pathname);
+    if (ancestors.length === 0) {
+      return [];
+    }
+    const folders = await this._files()
+      .find({ key: { $in: ancestors }, type: 'folder', quota: { $exists: true } }, this._session())
+      .toArray();
+    const retval = [];
+    for (const folder of folders) {
+      if (source == null || !source.toLowerCase().startsWith(folder.key + '/')) {
+        const usage = await this._usage(folder.filename);
+        retval.push(Object.assign({ pathname: folder.filename }, folder.quota, usage));
+      }
+    }
+    return retval;
+  }
+
+  // Checks that adding the files (or bytes) to the normalized pathname does
+  // not exceed a quota. The change has the number of bytes and files added
+  // and the size of the largest file. See _quotas for the source.
+  async _checkQuota(pathname, change, source) {
+    const err = quotaError(await this._quotas(pathname, source), change);
+    if (err) {
+      throw err;
+    }
+  }
+
+  // Sets the path keys (see pathKeys) of the files not having them, such as
+  // those written by an earlier version or by other GridFS clients. A file
+  // whose key is already taken by another file is left as it is. Resolves
+  // with the number of files updated.
+  async _setPathKeys() {
+    const cursor = this._files()
+      .find({ filename: /^\//, key: { $exists: false } })
+      .project({ filename: 1 });
+    let count = 0;
+    for (let file = await cursor.next(); file; file = await cursor.next()) {
+      try {
+        await this._files().updateOne({ _id: file._id }, { $set: pathKeys(file.filename) });
+        count++;
+      } catch (err) {
+        if (err.code !== 11000) {
+          throw err; // not a duplicate key
+        }
+      }
+    }
+    return count;
+  }
+
+  // Gets the permissions of the principal of this view for the normalized
+  // pathname (see as). These are granted by the rootAccess option and the
+  // access of the file or folder and of the folders containing it.
+  async _permissions(pathname) {
+    const { key, ancestors } = pathKeys(pathname);
+    const files = await this._files()
+      .find({ key: { $in: ancestors.concat(key) }, access: { $exists: true } }, this._session())
+      .project({ access: 1 })
+      .toArray();
+    return permissionsOf(this._principal, [this._rootAccess].concat(files.map((f) => f.access)));
+  }
+
+  // Determines if the principal of this view has the permission for the
+  // normalized pathname. Everything is allowed without a principal.
+  async _allows(pathname, permission) {
+    return !this._principal || (await this._permissions(pathname)).has(permission);
+  }
+
+  // Throws the permission error if the principal of this view does not
+  // have the permission for the normalized pathname.
+  async _authorize(pathname, permission) {
+    if (!(await this._allows(pathname, permission))) {
+      throw denied(permission, pathname);
+    }
+  }
+
+  // Gets the files for which the principal of this view has the permission.
+  // The access of all folders containing the files is read by one query.
+  // The optional function gets the pathname of a file (default is its
+  // filename). The access of a file not having that pathname, such as a
+  // file in the trash, is taken from the file itself.
+  async _filter(files, permission, pathnameOf) {
+    if (!this._principal || files.length === 0) {
+      return files;
+    }
+    pathnameOf = pathnameOf || ((f) => f.filename);
+    const keys = new Set();
+    files.forEach((f) => {
+      const { key, ancestors } = pathKeys(pathnameOf(f));
+      ancestors.concat(key).forEach((k) => keys.add(k));
+    });
+    const entries = await this._files()
+      .find({ key: { $in: Array.from(keys) }, access: { $exists: true } }, this._session())
+      .project({ key: 1, access: 1 })
+      .toArray();
+    const access = new Map(entries.map((f) => [f.key, f.access]));
+    return files.filter((f) => {
+      const { key, ancestors } = pathKeys(pathnameOf(f));
+      const accesses = ancestors.map((k) => access.get(k));
+      accesses.push(this._rootAccess, access.has(key) ? access.get(key) : f.access);
+      return permissionsOf(this._principal, accesses).has(permission);
+    });
+  }
+
+  // Gets the fields making the principal of this view the owner of a new
+  // file or folder, or null without a principal.
+  _ownership() {
+    return this._principal ? { access: { owner: this._principal.id } } : null;
+  }
+
+  // Follows the links of the normalized pathname, which may be the link to a
+  // folder containing it (see createSymlink). Resolves with the pathname
+  // that has no links. Throws ELOOP if a pathname repeats or if there are
+  // too many links, and ENOENT if the pathname is outside of the scope.
+  async _follow(pathname) {
+    const visited = new Set([pathname]);
+    for (;;) {
+      const names = [pathname];
+      for (let i = pathname.indexOf('/', 1); i > 0; i = pathname.indexOf('/', i + 1)) {
+        names.push(pathname.substring(0, i));
+      }
+      const links = await this._files()
+        .find({ filename: { $in: names }, type: 'link' }, this._session())
+        .project({ filename: 1, target: 1 })
+        .toArray();
+      if (links.length === 0) {
+        break;
+      }
+      // Nothing can be created within a link, so there is only one.
+      const [link] = links;
+      pathname = link.target + pathname.substring(link.filename.length);
+      if (visited.has(pathname) || visited.size > MAX_LINK_HOPS) {
+        throw error('ELOOP', `Too many symbolic links: ${link.filename}`);
+      }
+      visited.add(pathname);
+    }
+    if (!isWithin(pathname, this._root)) {
+      throw notFound(pathname || '/');
+    }
+    return pathname;
+  }
+
+  // Follows the links of the normalized pathname like _follow, but resolves
+  // with null instead of throwing for a cycle or a pathname outside of the
+  // scope.
+  async _target(pathname) {
+    try {
+      return await this._follow(pathname);
+    } catch (err) {
+      if (err.code === 'ELOOP' || err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Gets the file that the link refers to, or null if it does not refer to
+  // a file that the principal of this view can read.
+  async _linked(link) {
+    const pathname = await this._target(link.filename);
+    if (pathname == null || !(await this._allows(pathname, 'read'))) {
+      return null;
+    }
+    const query = { filename: pathname, type: { $nin: ['folder', 'link'] } };
+    return this._files().findOne(query, this._session());
+  }
+
+  // Determines if the normalized pathname identifies an existing folder.
+  async _isFolder(name) {
+    const file = await this._files().findOne({
+      $or: [{ filename: within(name) }, { filename: name, type: 'folder' }],
+    });
+    return !!file;
+  }
 
-  // Finds a file. Throws an exception if not found or not unique.
-  async _findOne(name) {
-    const files = await this._bucket.find({ filename: name }).toArray();
+  // Finds a file. If ifMatch is specified, it must be the etag of the file.
+  // Throws an exception if not found or not unique.
+  async _findOne(name, ifMatch) {
+    const query = { filename: name, type: { $ne: 'folder' } };
+    const files = await this._files().find(query, this._session()).toArray();
     const count = files.length;
     if (count === 0) {
-      throw new Error('File not found: ' + name);
+      throw notFound(name);
     }
     if (count > 1) {
       // This shouldn't happen.
       throw new Error('Not unique: ' + name);
     }
+    if (ifMatch != null && ifMatch !== etag(files[0])) {
+      throw precondition(name);
+    }
     return files[0];
   }
 
-  // Checks for conflits by performing a bidirectional regex comparison.
+  // Checks for conflicts by querying the indexed key and ancestors.
   //
   // Target Name          In Database         Result
   // --------------------------------------------------------------------
@@ -416,129 +3715,833 @@ class MongoFS {
   // /b                   /a/b                OK
   // /a/b/c               /a/b                Conflict (already a file)
   // /a/c                 /a/b                OK
-  async _checkForConflict(name, op) {
+  //
+  // An explicit folder in the database does not conflict with targets within
+  // it. If the folder flag is set, then the target is a folder and the names
+  // within it do not conflict either. This allows an implicit folder to be
+  // made explicit. The document having the optional id is ignored.
+  async _checkForConflict(name, op, folder, id) {
     op = op || 'MongoFS';
-    if (!name) {
+    if (name.length <= this._root.length) {
       throw new Error(`${op}: The name must not be empty`);
     }
-    name = name.toLowerCase() + '/';
-    const files = await this._files().find({}).project({ _id: 0, filename: 1 }).toArray();
-    const filenames = files.map((f) => f.filename.toLowerCase() + '/');
-
-    filenames.forEach((filename) => {
-      if (filename.startsWith(name) || name.startsWith(filename)) {
-        const a = name.substring(0, name.length - 1);
-        const b = filename.substring(0, filename.length - 1);
-        throw new Error(`${op}: '${a}' conflicts with '${b}'`);
-      }
-    });
+    const { key, ancestors } = pathKeys(name);
+    const conditions = [{ key }, { key: { $in: ancestors }, type: { $ne: 'folder' } }];
+    if (!folder) {
+      conditions.push({ ancestors: key });
+    }
+    const query = { $or: conditions };
+    if (id) {
+      query._id = { $ne: id };
+    }
+    const options = Object.assign({ projection: { filename: 1 } }, this._session());
+    const file = await this._files().findOne(query, options);
+    if (file) {
+      throw error('EEXIST', `${op}: '${name}' conflicts with '${file.filename}'`);
+    }
   }
 }
 
+// The optional properties of a file document kept by a copy.
+const COPIED_FIELDS = [
+  'type',
+  'contentType',
+  'md5',
+  'aliases',
+  'contentHash',
+  'hashAlgorithm',
+  'blob',
+  'encoding',
+  'contentLength',
+  'encryption',
+  'access',
+  'target',
+];
+
+// The compressed stream factories and decompressed stream factories by encoding.
+const COMPRESSORS = {
+  gzip: zlib.createGzip,
+  deflate: zlib.createDeflate,
+  br: zlib.createBrotliCompress,
+};
+const DECOMPRESSORS = {
+  gzip: zlib.createGunzip,
+  deflate: zlib.createInflate,
+  br: zlib.createBrotliDecompress,
+};
+
+// The cipher encrypting content and metadata fields, and its key and IV lengths.
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// The file properties by which pages can be sorted, by sort name.
+const SORT_FIELDS = { name: 'filename', lastModified: 'uploadDate', size: 'contentLength' };
+
+// The expressions of the sort properties that are computed when sorting.
+// The contentLength is only stored for compressed content.
+const COMPUTED_SORT_FIELDS = { contentLength: { $ifNull: ['$contentLength', '$length'] } };
+
+// The file properties from which the descriptor properties are created.
+const DESCRIPTOR_FIELDS = {
+  filename: 'filename',
+  pathname: 'filename',
+  metadata: 'metadata',
+  contentType: 'contentType',
+  contentLength: ['length', 'contentLength'],
+  storedLength: 'length',
+  encoding: 'encoding',
+  contentHash: 'contentHash',
+  lastModified: 'uploadDate',
+  etag: 'etag',
+  link: 'target',
+};
+
+// The permissions granted by the access of files and folders (see as).
+const PERMISSIONS = ['read', 'write', 'delete', 'admin'];
+
+// The maximum number of symbolic links followed for a pathname.
+const MAX_LINK_HOPS = 40;
+
+// The number of chunks inserted at once when copying a file.
+const COPIED_CHUNKS = 32;
+
+// The properties of a folder quota.
+const QUOTA_LIMITS = ['maxBytes', 'maxFiles', 'maxFileSize'];
+
+// The name of the manifest written by exportFolder and exportTar and its
+// format version.
+const MANIFEST_NAME = '.mongofs.json';
+const MANIFEST_VERSION = 1;
+
+// The methods available to the function passed to batch.
+const BATCH_METHODS = [
+  'copyFile',
+  'copyFolder',
+  'createFile',
+  'createFolder',
+  'deleteFile',
+  'deleteFolder',
+  'renameFile',
+  'renameFolder',
+];
+
+// The methods adding a listener to a view, which then gets the events.
+const LISTENER_METHODS = ['addListener', 'on', 'once', 'prependListener', 'prependOnceListener'];
+
 //------------------------------------------------------------------------------
 // Private utility functions
 //------------------------------------------------------------------------------
 
-// Returns the filename portion of the specified pathname.
-function basename(pathname) {
-  return pathname.substring(pathname.lastIndexOf('/') + 1);
+// Gets the relative name of an imported file or folder, which has forward
+// slashes and no empty, '.' or leading components. Rejects names leaving
+// the target folder.
+function importName(name) {
+  const components = String(name)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((c) => c && c !== '.');
+  if (components.includes('..')) {
+    throw error('EINVAL', `Invalid name: ${name}`);
+  }
+  return components.join('/');
+}
+
+// Creates the manifest of the exported tree (see _exportTree), which is a
+// JSON document having the content type and metadata of the files and the
+// metadata of the explicit folders by name. Dates are written as objects
+// having the `$date` property, so that they are restored by parseManifest.
+function manifestOf(tree) {
+  const files = {};
+  tree.files.forEach((f) => {
+    files[f.name] = { contentType: f.contentType, metadata: f.metadata };
+  });
+  const folders = {};
+  tree.folders.forEach((f) => {
+    folders[f.name] = { metadata: f.metadata };
+  });
+  const json = JSON.stringify(
+    { version: MANIFEST_VERSION, files, folders },
+    function (key, value) {
+      return this[key] instanceof Date ? { $date: value } : value;
+    },
+    2
+  );
+  return Buffer.from(json + '\n');
+}
+
+// Parses the manifest created by manifestOf.
+function parseManifest(buf) {
+  let manifest = null;
+  try {
+    manifest = JSON.parse(buf.toString(), (key, value) => {
+      const isDate =
+        value != null &&
+        typeof value === 'object' &&
+        Object.keys(value).length === 1 &&
+        typeof value.$date === 'string';
+      return isDate ? new Date(value.$date) : value;
+    });
+  } catch (err) {
+    throw error('EINVAL', `Invalid manifest: ${err.message}`);
+  }
+  if (manifest == null || typeof manifest !== 'object' || manifest.version !== MANIFEST_VERSION) {
+    throw error('EINVAL', 'Invalid manifest: Unsupported version');
+  }
+  return { files: manifest.files || {}, folders: manifest.folders || {} };
+}
+
+// Gets the chunks of the tar archive read from the readable stream. The
+// archive is decompressed if it starts with the gzip signature.
+async function tarChunks(readable) {
+  const iterator = readable[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const chunks = Readable.from(
+    (async function* () {
+      for (let next = first; !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })()
+  );
+  const gzipped = !first.done && first.value[0] === 0x1f && first.value[1] === 0x8b;
+  return gzipped ? pipeline(chunks, zlib.createGunzip(), () => {}) : chunks;
+}
+
+// Pipes the readable stream into the writable stream. Resolves once the
+// writable stream has finished.
+function pipe(readable, writable) {
+  return new Promise((resolve, reject) => {
+    pipeline(readable, writable, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Determines if the local file or directory exists.
+async function localExists(localPath) {
+  try {
+    await fs.promises.lstat(localPath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Calls the progress function of the import or export options, if any.
+async function reportProgress(options, pathname, size, count, total) {
+  if (typeof options.progress === 'function') {
+    await options.progress({ pathname, size, count, total });
+  }
+}
+
+// Gets the lowercase extension of the pathname, or '' if it has none.
+function extension(pathname) {
+  const name = basename(pathname);
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.substring(index + 1).toLowerCase() : '';
+}
+
+// Validates and normalizes the arguments of the createFile and updateFile
+// methods. Returns the [buf, metadata, contentType, detect] array, where
+// detect is true if the content type was not specified, in which case the
+// content type is the fallback of the detection.
+function fileArguments(buf, metadata, contentType) {
+  let isString = false;
+  if (typeof buf === 'string') {
+    buf = Buffer.from(buf);
+    isString = true;
+  }
+  if (!Buffer.isBuffer(buf)) {
+    throw new Error('Expected a string or buffer as the second argument');
+  }
+  if (metadata == null) {
+    metadata = {}; // metadata is null or undefined
+  } else if (typeof metadata === 'string') {
+    contentType = metadata;
+    metadata = {};
+  } else if (typeof metadata !== 'object') {
+    throw new Error('Expected an object for metadata');
+  }
+  const detect = typeof contentType !== 'string';
+  if (detect) {
+    contentType = isString ? 'text/plain' : 'application/octet-stream';
+  }
+  return [buf, metadata, contentType, detect];
+}
+
+// Creates a regular expression matching the pathnames within the folder that
+// continue with the optional pattern. The folder is escaped so that it is
+// matched literally. The expression is anchored and case-sensitive so that
+// MongoDB can use the filename index for the prefix.
+function within(folder, pattern) {
+  return new RegExp(`^${escapeRegExp(folder)}/${pattern || ''}`);
+}
+
+// Determines if the normalized pathname is the folder or within it.
+function isWithin(pathname, folder) {
+  return pathname === folder || pathname.startsWith(folder + '/');
+}
+
+// Escapes the regular expression metacharacters in the string.
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Translates a glob pattern into the source of a regular expression that
+// matches the same pathnames. A `**` path component matches any number of
+// folders, `*` and `?` match within a path component, `[...]` matches a
+// character class (negated by `!` or `^`) and `{a,b}` matches alternatives.
+// A backslash escapes the next character.
+function globSource(pattern) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (c === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:[^/]+/)*';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      let j = i + 1;
+      const negate = pattern[j] === '!' || pattern[j] === '^';
+      if (negate) {
+        j++;
+      }
+      const end = pattern.indexOf(']', j + 1); // a leading ] is literal
+      if (end < 0) {
+        source += '\\[';
+      } else {
+        const chars = pattern.substring(j, end).replace(/[\\\]^]/g, '\\$&');
+        source += negate ? `[^/${chars}]` : `[${chars}]`;
+        i = end;
+      }
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(c);
+    }
+  }
+  if (braces > 0) {
+    throw error('EINVAL', `Unbalanced braces in pattern: ${pattern}`);
+  }
+  return source;
+}
+
+// Gets the properties used to detect conflicts: the case-folded pathname
+// and the case-folded pathnames of its parent folders.
+function pathKeys(pathname) {
+  const key = pathname.toLowerCase();
+  const ancestors = [];
+  for (let i = key.indexOf('/', 1); i > 0; i = key.indexOf('/', i + 1)) {
+    ancestors.push(key.substring(0, i));
+  }
+  return { key, ancestors };
+}
+
+// Gets the fields identifying the version that replaces the file. The fileId
+// is the same for all versions of a file.
+function nextVersion(file) {
+  return { fileId: file.fileId || file._id, version: (file.version || 1) + 1 };
+}
+
+// Gets the prior values of the fields changed by the update and the names of
+// the fields that did not exist. These undo the update. The sequence number
+// orders the undo operations.
+function undoEntry(file, update, seq) {
+  const prior = {};
+  const absent = [];
+  Object.keys(update.$set)
+    .concat(Object.keys(update.$unset))
+    .forEach((field) => {
+      if (file[field] === undefined) {
+        absent.push(field);
+      } else {
+        prior[field] = file[field];
+      }
+    });
+  return { seq, prior, absent };
+}
+
+// Creates a query matching the file only if it has not changed since it was
+// read. The etag property only exists after the metadata was updated.
+function unchanged(file) {
+  return { _id: file._id, filename: file.filename, etag: file.etag || null };
+}
+
+// Gets the etag of a file. Updating the content creates a new file document
+// and updating the metadata stores a new etag.
+function etag(file) {
+  return file.etag || String(file._id);
+}
+
+// Emits the event on the emitter under its type and as a change event.
+function emit(emitter, event) {
+  emitter.emit(event.type, event);
+  emitter.emit('change', event);
+}
+
+// Creates the error for a missing file.
+function notFound(pathname) {
+  return error('ENOENT', 'File not found: ' + pathname);
+}
+
+// Creates the error for a failed ifMatch option.
+function precondition(pathname) {
+  return error('EPRECONDITION', 'Precondition failed: ' + pathname + ' has changed');
+}
+
+// Converts a duplicate key error into a conflict error.
+function conflict(err, op, pathname) {
+  if (err.code === 11000) {
+    return error('EEXIST', `${op}: '${pathname}' already exists`);
+  }
+  return err;
+}
+
+// Creates the error for a permission denied to the principal of a view.
+function denied(permission, pathname) {
+  return error('EACCES', `Permission denied: ${permission} ${pathname || '/'}`);
+}
+
+// Creates the error for encrypted content or metadata that fails authentication.
+function unauthentic() {
+  return error('EBADMSG', 'The encrypted data failed authentication');
+}
+
+// Creates an error having the specified code property (e.g., ENOENT).
+function error(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Validates the optional start and end offsets in the options against the
+// length of the file. Returns null if neither offset is specified or an
+// object having the inclusive start and end offsets. An end offset past
+// the end of the file is truncated to the last byte (as in HTTP).
+function checkRange(file, options) {
+  if (options == null || (options.start == null && options.end == null)) {
+    return null;
+  }
+  const start = options.start == null ? 0 : options.start;
+  if (!Number.isInteger(start) || start < 0) {
+    throw error('EINVAL', 'Expected a non-negative integer for the range start');
+  }
+  if (options.end != null && (!Number.isInteger(options.end) || options.end < start)) {
+    throw error('EINVAL', 'Expected an integer not less than the start for the range end');
+  }
+  const length = contentLength(file);
+  if (start >= length) {
+    throw error('ERANGE', `Range not satisfiable: ${start} of ${length} in ${file.filename}`);
+  }
+  const end = options.end == null ? length - 1 : Math.min(options.end, length - 1);
+  return { start, end };
+}
+
+// Gets the length of the content of the file. The GridFS length of a
+// compressed file is the compressed length.
+function contentLength(file) {
+  return file.contentLength != null ? file.contentLength : file.length;
 }
 
-// Creates a descriptor from the specified file.
-function descriptor(file) {
+// Normalizes the compression option. Returns null if files are not compressed.
+function compressionOption(compression) {
+  if (!compression) {
+    return null;
+  }
+  if (typeof compression !== 'object') {
+    compression = { encoding: compression === true ? 'gzip' : compression };
+  }
+  const retval = Object.assign({ encoding: 'gzip' }, compression);
+  if (!COMPRESSORS[retval.encoding]) {
+    throw error('EINVAL', `Unsupported compression encoding: ${retval.encoding}`);
+  }
+  if (retval.contentTypes) {
+    retval.contentTypes = [].concat(retval.contentTypes).map((t) => t.toLowerCase());
+  }
+  if (retval.pathnames) {
+    const patterns = [].concat(retval.pathnames).map((p) => {
+      return globSource(p.startsWith('/') ? p : '/' + p);
+    });
+    retval.pathnames = new RegExp(`^(?:${patterns.join('|')})$`);
+  }
+  return retval;
+}
+
+// Normalizes the contentTypeDetection option. Returns null if content types
+// are not detected. The extensions of the types map are lowercase and
+// without the dot.
+function detectionOption(detection) {
+  if (detection == null || detection === false) {
+    return null;
+  }
+  if (detection === true) {
+    detection = {};
+  } else if (typeof detection !== 'object') {
+    throw error('EINVAL', 'Expected a boolean or an object for contentTypeDetection');
+  }
+  const types = {};
+  for (const [extension, type] of Object.entries(detection.types || {})) {
+    if (typeof type !== 'string') {
+      throw error('EINVAL', `Expected a content type for the extension: ${extension}`);
+    }
+    types[extension.replace(/^\./, '').toLowerCase()] = type;
+  }
   return {
-    filename: basename(file.filename),
-    pathname: file.filename,
-    metadata: file.metadata,
-    contentType: file.contentType,
-    contentLength: file.length,
-    lastModified: file.uploadDate,
+    types,
+    sniff: detection.sniff !== false,
+    markup: !!detection.markup,
+    renames: !!detection.renames,
   };
 }
 
-// Takes a path and splits it on path delimiters (slashes). Returns a
-// two-element array in the form [components, isAbsolute] where the
-// components is an array of path components and the isAbsolute flag
-// indicates whether or not the path started with a slash.
-function split(path) {
-  // Ensure that path is a string.
-  path = path == null ? '' : path.toString();
-  // Normalize the path so it only has forward slashes and no leading spaces.
-  path = path.replace(/\\/g, '/').trimStart();
-  // Determine if the path is absolute.
-  const isAbsolute = path.startsWith('/');
-  // Parse the path into components.
-  const components = path
-    .split('/')
-    .map((c) => c.trim())
-    .filter((c) => !!c);
-  // Return the results as a two-element array.
-  return [components, isAbsolute];
-}
-
-// Normalizes an array of path components by handling . and .. sequences.
-// Returns a normalized array.
-function normalize(components) {
-  const retval = [];
-  components.forEach((c) => {
-    if (c === '..') {
-      retval.pop();
-    } else if (c != '.') {
-      retval.push(c);
+// Normalizes the encryption option. Returns null if files are not encrypted.
+// A keys object is turned into a key provider.
+function encryptionOption(encryption) {
+  if (!encryption) {
+    return null;
+  }
+  let { keyProvider, keys, keyId, metadataFields } = encryption;
+  if (keyProvider == null && keys != null) {
+    keyProvider = {
+      currentKeyId: () => keyId,
+      getKey: (id) => (Object.prototype.hasOwnProperty.call(keys, id) ? keys[id] : null),
+    };
+  }
+  if (
+    keyProvider == null ||
+    typeof keyProvider.currentKeyId !== 'function' ||
+    typeof keyProvider.getKey !== 'function'
+  ) {
+    throw error('EINVAL', 'Expected a key provider having the currentKeyId and getKey methods');
+  }
+  if (metadataFields != null && !Array.isArray(metadataFields)) {
+    throw error('EINVAL', 'Expected an array for the metadata fields');
+  }
+  return { keyProvider, metadataFields: metadataFields || [] };
+}
+
+// Encrypts a metadata value, which is serialized as JSON. The encrypted
+// value is an object having the algorithm, the key id and the data, which
+// is the IV, the authentication tag and the ciphertext.
+function seal(value, keyId, key) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value)), cipher.final()]);
+  const data = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  return { encrypted: CIPHER, keyId, data };
+}
+
+// Decrypts a metadata value encrypted by seal.
+function unseal(value, key) {
+  const data = Buffer.from(value.data, 'base64');
+  const decipher = createDecipheriv(CIPHER, key, data.slice(0, IV_LENGTH));
+  decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  try {
+    const plain = Buffer.concat([
+      decipher.update(data.slice(IV_LENGTH + TAG_LENGTH)),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString());
+  } catch (err) {
+    throw unauthentic();
+  }
+}
+
+// Determines if a metadata value was encrypted by seal.
+function isSealed(value) {
+  return value != null && value.encrypted === CIPHER && typeof value.data === 'string';
+}
+
+// Gets the value of the dotted field path (such as 'author.email') of the
+// object, or undefined if it does not exist.
+function getField(obj, path) {
+  return path.split('.').reduce((value, name) => (value != null ? value[name] : undefined), obj);
+}
+
+// Creates a copy of the object having the value at the dotted field path.
+// The objects along the path are copied as well.
+function setField(obj, path, value) {
+  const index = path.indexOf('.');
+  const retval = Object.assign({}, obj);
+  if (index < 0) {
+    retval[path] = value;
+  } else {
+    const name = path.substring(0, index);
+    retval[name] = setField(obj[name], path.substring(index + 1), value);
+  }
+  return retval;
+}
+
+// Validates the quota of a folder. Returns the quota having only the known
+// properties.
+function quotaOption(quota) {
+  if (typeof quota !== 'object') {
+    throw error('EINVAL', 'Expected an object for the quota');
+  }
+  const retval = {};
+  QUOTA_LIMITS.forEach((name) => {
+    if (quota[name] != null) {
+      if (!(Number.isInteger(quota[name]) && quota[name] >= 0)) {
+        throw error('EINVAL', `Invalid ${name}: ${quota[name]}`);
+      }
+      retval[name] = quota[name];
+    }
+  });
+  return retval;
+}
+
+// Gets the quota change (see _checkQuota) of adding the files, which may
+// include explicit folders and links.
+function folderChange(files) {
+  const sizes = files.filter((f) => f.type == null).map(contentLength);
+  return {
+    bytes: sizes.reduce((sum, size) => sum + size, 0),
+    files: sizes.length,
+    size: sizes.reduce((max, size) => Math.max(max, size), 0),
+  };
+}
+
+// Gets the quota error for the change (see _checkQuota) if it exceeds one
+// of the quotas having the current usage, otherwise null.
+function quotaError(quotas, change) {
+  for (const quota of quotas) {
+    let exceeded = null;
+    if (quota.maxFileSize != null && change.size > quota.maxFileSize) {
+      exceeded = `file size of ${quota.maxFileSize} bytes`;
+    } else if (
+      quota.maxFiles != null &&
+      change.files > 0 &&
+      quota.files + change.files > quota.maxFiles
+    ) {
+      exceeded = `${quota.maxFiles} files`;
+    } else if (
+      quota.maxBytes != null &&
+      change.bytes > 0 &&
+      quota.bytes + change.bytes > quota.maxBytes
+    ) {
+      exceeded = `${quota.maxBytes} bytes`;
+    }
+    if (exceeded) {
+      return error('EDQUOT', `Quota exceeded: ${quota.pathname} is limited to ${exceeded}`);
     }
+  }
+  return null;
+}
+
+// Normalizes the principal of a view (see as) to an object having the id
+// and the groups array.
+function principalOption(principal) {
+  if (typeof principal === 'string') {
+    principal = { id: principal };
+  }
+  if (principal == null || typeof principal.id !== 'string' || !principal.id) {
+    throw error('EINVAL', 'Expected a user id or an object having the id property');
+  }
+  const groups = principal.groups == null ? [] : principal.groups;
+  if (!Array.isArray(groups)) {
+    throw error('EINVAL', 'Expected an array for the groups of the principal');
+  }
+  return { id: principal.id, groups };
+}
+
+// Validates the access of a file or folder (see as). Returns null if there is
+// no access or the access having only the known properties.
+function accessOption(access) {
+  if (access == null) {
+    return null;
+  }
+  if (typeof access !== 'object') {
+    throw error('EINVAL', 'Expected an object for the access');
+  }
+  const retval = {};
+  ['owner', 'group'].forEach((name) => {
+    if (access[name] != null) {
+      if (typeof access[name] !== 'string') {
+        throw error('EINVAL', `Expected a string for the access ${name}`);
+      }
+      retval[name] = access[name];
+    }
+  });
+  if (access.acl != null) {
+    if (!Array.isArray(access.acl)) {
+      throw error('EINVAL', 'Expected an array for the access control list');
+    }
+    retval.acl = access.acl.map((entry) => {
+      const { user, group, permissions } = entry || {};
+      if (
+        !Array.isArray(permissions) ||
+        !permissions.every((p) => PERMISSIONS.includes(p)) ||
+        (user != null && typeof user !== 'string') ||
+        (group != null && typeof group !== 'string')
+      ) {
+        throw error('EINVAL', `Invalid access control entry: ${JSON.stringify(entry)}`);
+      }
+      return Object.assign(user != null ? { user } : group != null ? { group } : {}, {
+        permissions: permissions.slice(),
+      });
+    });
+  }
+  return retval;
+}
+
+// Gets the set of permissions that the accesses grant to the principal. The
+// owner has all permissions, the group has the read permission and an
+// access control entry applies to its user, its group or, if it has
+// neither, to everyone. The admin permission implies all others.
+function permissionsOf(principal, accesses) {
+  const retval = new Set();
+  const grant = (permissions) => permissions.forEach((p) => retval.add(p));
+  accesses.forEach((access) => {
+    if (access == null) {
+      return;
+    }
+    if (access.owner === principal.id) {
+      grant(PERMISSIONS);
+    }
+    if (access.group != null && principal.groups.includes(access.group)) {
+      grant(['read']);
+    }
+    (access.acl || []).forEach((entry) => {
+      if (entry.user != null) {
+        if (entry.user === principal.id) {
+          grant(entry.permissions);
+        }
+      } else if (entry.group == null || principal.groups.includes(entry.group)) {
+        grant(entry.permissions);
+      }
+    });
+  });
+  if (retval.has('admin')) {
+    grant(PERMISSIONS);
+  }
+  return retval;
+}
+
+// Creates a transform stream passing the bytes from the inclusive start to
+// the inclusive end offset of the content.
+function slice(start, end) {
+  let offset = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const from = Math.max(start - offset, 0);
+      const to = Math.min(end + 1 - offset, chunk.length);
+      offset += chunk.length;
+      callback(null, from < to ? chunk.slice(from, to) : undefined);
+    },
+  });
+}
+
+// Parses the sort option of a page, such as '-size'. Returns the sort name,
+// the file property, the expression computing it (if any) and the order
+// (1 or -1).
+function sortOrder(sort) {
+  const name = sort == null ? 'name' : String(sort);
+  const order = name.startsWith('-') ? -1 : 1;
+  const field = SORT_FIELDS[order < 0 ? name.substring(1) : name];
+  if (!field) {
+    throw error('EINVAL', `Invalid sort: ${name}`);
+  }
+  return { name, field, computed: COMPUTED_SORT_FIELDS[field], order };
+}
+
+// Creates the opaque token that continues a page after the file. It has the
+// sort name and the sort value and id of the file.
+function cursorToken(sort, file) {
+  let value = file[sort.field];
+  if (value instanceof Date) {
+    value = { $date: value.getTime() };
+  }
+  const json = JSON.stringify([sort.name, value, String(file._id)]);
+  return Buffer.from(json).toString('base64');
+}
+
+// Creates the query matching the files after the cursor token in the sort
+// order. The id orders files having the same sort value.
+function continuation(sort, token) {
+  let name, value, id;
+  try {
+    [name, value, id] = JSON.parse(Buffer.from(String(token), 'base64').toString());
+    id = new ObjectId(id);
+  } catch (err) {
+    throw error('EINVAL', `Invalid cursor: ${token}`);
+  }
+  if (name !== sort.name) {
+    throw error('EINVAL', `The cursor is for a different sort: ${name}`);
+  }
+  if (value != null && value.$date !== undefined) {
+    value = new Date(value.$date);
+  }
+  const op = sort.order > 0 ? '$gt' : '$lt';
+  return {
+    $or: [{ [sort.field]: { [op]: value } }, { [sort.field]: value, _id: { [op]: id } }],
+  };
+}
+
+// Creates the projection reading the file properties for the descriptor
+// properties. The filename and the sort property are always read.
+function projection(fields, sort) {
+  const retval = { filename: 1, type: 1, [sort.field]: 1 };
+  fields.forEach((field) => {
+    [].concat(DESCRIPTOR_FIELDS[field] || []).forEach((name) => (retval[name] = 1));
   });
   return retval;
 }
 
-// When called with one argument, normalizes that argument and returns an
-// absolute path. The argument is assumed to be an absolute path, even if
-// it does not start with a slash. For example, with called as follows...
-//
-//   resolve('a/../../b\\   c  \\ . \\ d/e')refer to an
-//
-// ...returns the absolute path '/b/c/d/e'.
-//
-// When called with two arguments, source and target, resolves the target
-// path against a source path and returns a two-element array in the form
-// [source, target] where source is the normalized source path and target
-// is the original target resolved against the source.
-//
-// Ex 1: resolve('/a/b/old', 'new') -> ['/a/b/old', '/a/b/new']
-//       (a simple filename replacement)
-//
-// Ex 2: resolve('/a/b/old', '../new') -> ['/a/b/old', '/a/new']
-//       (a filename replacement in the parent directory)
-//
-// Ex 3: resolve('/a/b/old', '/dir/new') -> ['/a/b/old', '/dir/new']
-//       (an absolute target where the source is not considered)
-//
-// This function losely follows the concept in section 5.2 of RFC 3986.
-// There, they call the source the base and the target the reference.
-// Note that trailing slashes are ignored and the returned values will
-// always start with a slash and never end with one.
-//
-// In all cases (one- or two-argument variants), a root-only path ('/')
-// returns an empty string. This is done so that substring operations
-// work and that an absolute path with an appended slash will not result
-// in a double-slash for the root folder.
-function resolve(source, target) {
-  // Split and validate the source pathname.
-  let [sourceComponents, _] = split(source);
-  sourceComponents = normalize(sourceComponents);
-  // Single argument variant.
-  if (target === undefined) {
-    sourceComponents.unshift(''); // ensure a leading slash
-    return sourceComponents.join('/');
-  }
-  // Split the target. Resolve first and then validate.
-  let [targetComponents, targetIsAbsolute] = split(target);
-  if (!targetIsAbsolute) {
-    targetComponents = [...sourceComponents.slice(0, -1), ...targetComponents];
-  }
-  targetComponents = normalize(targetComponents);
-  sourceComponents.unshift(''); // ensure a leading slash
-  targetComponents.unshift(''); // ensure a leading slash
-  return [sourceComponents.join('/'), targetComponents.join('/')];
-}
-
-module.exports = { MongoFS };
+// Creates a copy of the object having only the specified properties.
+function pick(obj, fields) {
+  const retval = {};
+  fields.forEach((field) => {
+    if (obj[field] !== undefined) {
+      retval[field] = obj[field];
+    }
+  });
+  return retval;
+}
+
+// Creates a descriptor for a version of the file having the pathname.
+function versionDescriptor(file, pathname) {
+  const retval = descriptor(file, pathname);
+  retval.version = file.version || 1;
+  if (file.archived) {
+    retval.archived = file.archived;
+  }
+  return retval;
+}
+
+// Creates a descriptor from the specified file having the pathname, which
+// is relative to the root folder of a scoped view.
+function descriptor(file, pathname) {
+  return {
+    filename: basename(pathname),
+    pathname,
+    metadata: file.metadata,
+    contentType: file.contentType,
+    contentLength: contentLength(file),
+    storedLength: file.length,
+    encoding: file.encoding,
+    contentHash: file.contentHash,
+    lastModified: file.uploadDate,
+    etag: etag(file),
+  };
+}
+
+module.exports = { MongoFS, serve, webdav };
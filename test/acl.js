@@ -0,0 +1,275 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('access control', function () {
+  let client = null;
+  let db = null;
+  let mfs = null;
+  let smith = null;
+  let jones = null;
+  let brown = null;
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+    smith = mfs.as('smith');
+    jones = mfs.as({ id: 'jones', groups: ['team'] });
+    brown = mfs.as({ id: 'brown', groups: ['other'] });
+  });
+
+  beforeEach(async function () {
+    await mfs.createFolder('/shared');
+    await mfs.setAccess('/shared', {
+      owner: 'smith',
+      acl: [{ group: 'team', permissions: ['read', 'write'] }],
+    });
+    await mfs.createFile('/shared/readme.txt', 'test');
+    await mfs.createFile('/private/secret.txt', 'secret');
+  });
+
+  describe('as', function () {
+    it('should reject an invalid principal', function () {
+      assert.throws(() => mfs.as(null), { code: 'EINVAL' });
+      assert.throws(() => mfs.as({ groups: ['team'] }), { code: 'EINVAL' });
+      assert.throws(() => mfs.as({ id: 'jones', groups: 'team' }), { code: 'EINVAL' });
+    });
+    it('should grant all permissions to the owner', async function () {
+      await smith.updateFile('/shared/readme.txt', 'new content');
+      await smith.renameFile('/shared/readme.txt', '/shared/renamed.txt');
+      await smith.deleteFile('/shared/renamed.txt');
+      await smith.setQuota('/shared', { maxFiles: 10 });
+    });
+    it('should deny the permissions that are not granted', async function () {
+      await assert.rejects(brown.getFile('/shared/readme.txt'), { code: 'EACCES' });
+      await assert.rejects(brown.getDescriptor('/private/secret.txt'), { code: 'EACCES' });
+      await assert.rejects(brown.createFile('/shared/new.txt', 'test'), { code: 'EACCES' });
+      await assert.rejects(jones.deleteFile('/shared/readme.txt'), { code: 'EACCES' });
+      await assert.rejects(jones.deleteFolder('/shared'), { code: 'EACCES' });
+      await assert.rejects(jones.pruneVersions('/shared/readme.txt'), { code: 'EACCES' });
+      await assert.rejects(jones.setQuota('/shared', { maxFiles: 10 }), { code: 'EACCES' });
+      await assert.rejects(jones.ensureIndexes(), { code: 'EACCES' });
+      assert.equal(await mfs.isFile('/shared/readme.txt'), true);
+    });
+    it('should grant the permissions of the access control list', async function () {
+      const file = await jones.getFile('/shared/readme.txt');
+      assert.equal(file.content.toString(), 'test');
+      await jones.updateFile('/shared/readme.txt', 'new content');
+      await jones.updateMetadata('/shared/readme.txt', { author: 'Jones' });
+      assert.deepEqual(await jones.getMetadata('/shared/readme.txt'), { author: 'Jones' });
+    });
+    it('should make the principal the owner of new files and folders', async function () {
+      await jones.createFile('/shared/notes.txt', 'test');
+      await jones.createFolder('/shared/drafts');
+      assert.deepEqual(await mfs.getAccess('/shared/notes.txt'), { owner: 'jones' });
+      assert.deepEqual(await mfs.getAccess('/shared/drafts'), { owner: 'jones' });
+      await jones.deleteFile('/shared/notes.txt');
+      await jones.deleteFolder('/shared/drafts');
+    });
+    it('should not give the ownership of an implicit folder made explicit', async function () {
+      await mfs.createFile('/shared/docs/report.txt', 'test');
+      await jones.updateFolderMetadata('/shared/docs', { topic: 'reports' });
+      assert.equal(await mfs.getAccess('/shared/docs'), null);
+      await assert.rejects(jones.setAccess('/shared/docs/report.txt', { owner: 'jones' }), {
+        code: 'EACCES',
+      });
+      await assert.rejects(jones.deleteFolder('/shared/docs'), { code: 'EACCES' });
+      await mfs.createFile('/shared/data/file.txt', 'test');
+      await smith.setQuota('/shared/data', { maxFiles: 10 });
+      assert.equal(await mfs.getAccess('/shared/data'), null);
+      assert.equal(await mfs.isFile('/shared/docs/report.txt'), true);
+    });
+    it('should keep the access of updated and copied files', async function () {
+      await mfs.setAccess('/shared/readme.txt', { owner: 'brown' });
+      await jones.updateFile('/shared/readme.txt', 'new content');
+      assert.deepEqual(await mfs.getAccess('/shared/readme.txt'), { owner: 'brown' });
+      await jones.copyFile('/shared/readme.txt', 'copy.txt');
+      assert.deepEqual(await mfs.getAccess('/shared/copy.txt'), { owner: 'jones' });
+      await brown.deleteFile('/shared/readme.txt');
+    });
+    it('should require the delete and write permissions to rename', async function () {
+      await jones.createFile('/shared/notes.txt', 'test');
+      await jones.renameFile('/shared/notes.txt', '/shared/renamed.txt');
+      await assert.rejects(jones.renameFile('/shared/renamed.txt', '/private/renamed.txt'), {
+        code: 'EACCES',
+      });
+      await assert.rejects(jones.renameFolder('/shared', '/moved'), { code: 'EACCES' });
+      assert.equal(await mfs.isFile('/shared/renamed.txt'), true);
+    });
+    it('should check the operations of a batch and a scoped view', async function () {
+      await assert.rejects(
+        jones.batch(async (batch) => {
+          await batch.createFile('/shared/batch.txt', 'test');
+          await batch.deleteFile('/shared/readme.txt');
+        }),
+        { code: 'EACCES' }
+      );
+      assert.equal(await mfs.isFile('/shared/batch.txt'), false);
+      const scoped = jones.scope('/shared');
+      await scoped.createFile('/scoped.txt', 'test');
+      await assert.rejects(scoped.deleteFile('/readme.txt'), { code: 'EACCES' });
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('inheritance', function () {
+    it('should inherit the permissions of the containing folders', async function () {
+      await mfs.createFile('/shared/a/b/c.txt', 'test');
+      assert.equal((await jones.getFile('/shared/a/b/c.txt')).content.toString(), 'test');
+      await jones.createFile('/shared/a/b/d.txt', 'test');
+    });
+    it('should grant the permissions of the file itself', async function () {
+      await mfs.setAccess('/private/secret.txt', {
+        acl: [{ user: 'brown', permissions: ['read'] }],
+      });
+      assert.equal((await brown.getFile('/private/secret.txt')).content.toString(), 'secret');
+      await assert.rejects(jones.getFile('/private/secret.txt'), { code: 'EACCES' });
+      await assert.rejects(brown.updateFile('/private/secret.txt', 'test'), { code: 'EACCES' });
+    });
+    it('should give the members of the group the read permission', async function () {
+      await mfs.setAccess('/private', { owner: 'smith', group: 'other' });
+      assert.equal(await brown.isFile('/private/secret.txt'), true);
+      await assert.rejects(brown.createFile('/private/new.txt', 'test'), { code: 'EACCES' });
+    });
+    it('should imply all permissions by the admin permission', async function () {
+      await mfs.setAccess('/private', { acl: [{ user: 'jones', permissions: ['admin'] }] });
+      await jones.setAccess('/private/secret.txt', { owner: 'brown' });
+      await jones.deleteFolder('/private');
+    });
+    it('should grant the permissions of the root access to everyone', async function () {
+      const open = new MongoFS(db, { rootAccess: { acl: [{ permissions: ['read'] }] } });
+      assert.equal(await open.as('brown').isFile('/private/secret.txt'), true);
+      await assert.rejects(open.as('brown').createFile('/new.txt', 'test'), { code: 'EACCES' });
+      assert.deepEqual(await open.getAccess('/'), { acl: [{ permissions: ['read'] }] });
+    });
+    it('should move the access with a renamed folder', async function () {
+      await mfs.renameFolder('/shared', '/team');
+      await jones.createFile('/team/notes.txt', 'test');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('listings', function () {
+    beforeEach(async function () {
+      await mfs.createFile('/shared/b.txt', 'test');
+      await mfs.createFile('/c.txt', 'test');
+      await mfs.setAccess('/c.txt', { owner: 'jones' });
+    });
+    it('should only find the files that the principal can read', async function () {
+      const found = await jones.findFiles({});
+      assert.deepEqual(found.map((f) => f.pathname).sort(), [
+        '/c.txt',
+        '/shared/b.txt',
+        '/shared/readme.txt',
+      ]);
+      assert.deepEqual((await brown.findFiles({})).length, 0);
+      assert.deepEqual((await jones.glob('/**.txt')).length, 3);
+    });
+    it('should only list the files and folders that the principal can read', async function () {
+      assert.deepEqual(await jones.getFiles('/', true), ['c.txt']);
+      assert.deepEqual(await jones.getFolders('/'), ['shared']);
+      assert.deepEqual(await mfs.getFolders('/').then((f) => f.sort()), ['private', 'shared']);
+      assert.equal(await jones.isFolder('/private'), false);
+      assert.equal(await jones.isFolder('/shared'), true);
+    });
+    it('should fill the pages with the files that the principal can read', async function () {
+      await mfs.createFile('/shared/a.txt', 'test');
+      await mfs.setAccess('/shared/a.txt', { owner: 'jones' });
+      const options = { limit: 1, sort: 'name' };
+      let page = await brown.findFiles({}, options);
+      assert.deepEqual(page, { items: [], nextCursor: null });
+      page = await jones.findFiles({}, options);
+      const names = [];
+      for (;;) {
+        names.push(...page.items.map((f) => f.pathname));
+        if (!page.nextCursor) {
+          break;
+        }
+        page = await jones.findFiles({}, Object.assign({ after: page.nextCursor }, options));
+      }
+      assert.deepEqual(names, ['/c.txt', '/shared/a.txt', '/shared/b.txt', '/shared/readme.txt']);
+    });
+    it('should only walk the files that the principal can read', async function () {
+      await mfs.setAccess('/shared/b.txt', { owner: 'brown' });
+      const walked = [];
+      for await (const file of brown.walk('/')) {
+        walked.push(file.pathname);
+      }
+      assert.deepEqual(walked, ['/shared/b.txt']);
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('trash', function () {
+    let trash = null;
+    before(function () {
+      trash = new MongoFS(db, { trash: true });
+    });
+    it('should only list and empty the files that the principal can access', async function () {
+      const user = trash.as('jones');
+      await trash.deleteFile('/private/secret.txt');
+      await mfs.setAccess('/shared', { owner: 'jones' });
+      await user.deleteFile('/shared/readme.txt');
+      const entries = await user.listTrash();
+      assert.deepEqual(
+        entries.map((e) => e.pathname),
+        ['/shared/readme.txt']
+      );
+      assert.equal(await user.emptyTrash(), 1);
+      const [secret] = await trash.listTrash();
+      assert.equal(secret.pathname, '/private/secret.txt');
+      await assert.rejects(user.restore(secret.id), { code: 'EACCES' });
+      await trash.emptyTrash();
+    });
+    after(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('setAccess', function () {
+    it('should reject an invalid access', async function () {
+      await assert.rejects(mfs.setAccess('/shared', { owner: 42 }), { code: 'EINVAL' });
+      await assert.rejects(mfs.setAccess('/shared', { acl: [{ permissions: ['execute'] }] }), {
+        code: 'EINVAL',
+      });
+      await assert.rejects(mfs.setAccess('/', { owner: 'smith' }), { code: 'EINVAL' });
+      await assert.rejects(mfs.setAccess('/nosuchfile', { owner: 'smith' }), { code: 'ENOENT' });
+    });
+    it('should make an implicit folder explicit', async function () {
+      await mfs.setAccess('/private', { owner: 'brown' });
+      assert.deepEqual(await mfs.getAccess('/private'), { owner: 'brown' });
+      await brown.deleteFolder('/private');
+    });
+    it('should remove the access', async function () {
+      await mfs.setAccess('/shared', null);
+      assert.equal(await mfs.getAccess('/shared'), null);
+      await assert.rejects(jones.getFile('/shared/readme.txt'), { code: 'EACCES' });
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
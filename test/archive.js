@@ -0,0 +1,277 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Readable } = require('stream');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+const { extract, pack } = require('../lib/tar');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('import and export', function () {
+  let client = null;
+  let mfs = null;
+  let tmp = null;
+
+  // Reads the stream into a buffer.
+  async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Lists the local files of the directory and its subdirectories.
+  function listLocal(dir, prefix) {
+    let retval = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        retval.push(name + '/');
+        retval = retval.concat(listLocal(path.join(dir, entry.name), name));
+      } else {
+        retval.push(name);
+      }
+    });
+    return retval.sort();
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db, { contentTypeDetection: true });
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  beforeEach(async function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mongofs-'));
+    await mfs.createFile('/site/index.html', '<html></html>', { title: 'Home' });
+    await mfs.createFile('/site/data/report.bin', Buffer.from([1, 2, 3]), 'application/x-report');
+    await mfs.updateMetadata('/site/data/report.bin', { created: new Date(1600000000000) });
+    await mfs.createFolder('/site/empty', { metadata: { purpose: 'uploads' } });
+  });
+
+  describe('exportFolder', function () {
+    it('should write the files, folders and manifest', async function () {
+      const dir = path.join(tmp, 'out');
+      assert.equal(await mfs.exportFolder('/site', dir), 2);
+      assert.deepEqual(listLocal(dir), [
+        '.mongofs.json',
+        'data/',
+        'data/report.bin',
+        'empty/',
+        'index.html',
+      ]);
+      assert.equal(fs.readFileSync(path.join(dir, 'index.html'), 'utf8'), '<html></html>');
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, '.mongofs.json'), 'utf8'));
+      assert.deepEqual(manifest.files['data/report.bin'], {
+        contentType: 'application/x-report',
+        metadata: { created: { $date: '2020-09-13T12:26:40.000Z' } },
+      });
+      assert.deepEqual(manifest.folders, { empty: { metadata: { purpose: 'uploads' } } });
+    });
+    it('should refuse to replace local files unless overwrite is set', async function () {
+      fs.writeFileSync(path.join(tmp, 'index.html'), 'local');
+      await assert.rejects(mfs.exportFolder('/site', tmp), { code: 'EEXIST' });
+      assert.deepEqual(listLocal(tmp), ['index.html']);
+      await mfs.exportFolder('/site', tmp, { overwrite: true });
+      assert.equal(fs.readFileSync(path.join(tmp, 'index.html'), 'utf8'), '<html></html>');
+    });
+    it('should filter, report progress and do a dry run', async function () {
+      const progress = [];
+      const options = {
+        dryRun: true,
+        filter: (name) => name.endsWith('.bin'),
+        progress: (p) => progress.push(p),
+      };
+      assert.equal(await mfs.exportFolder('/site', tmp, options), 1);
+      assert.deepEqual(listLocal(tmp), []);
+      assert.deepEqual(progress, [
+        { pathname: '/site/data/report.bin', size: 3, count: 1, total: 1 },
+      ]);
+    });
+    it('should reject a missing folder', async function () {
+      await assert.rejects(mfs.exportFolder('/nosuchfolder', tmp), { code: 'ENOENT' });
+    });
+  });
+
+  describe('importDirectory', function () {
+    it('should round trip the files, folders and manifest', async function () {
+      await mfs.exportFolder('/site', tmp);
+      assert.equal(await mfs.importDirectory(tmp, '/copy'), 2);
+      const report = await mfs.getFile('/copy/data/report.bin');
+      assert.deepEqual(report.content, Buffer.from([1, 2, 3]));
+      assert.equal(report.contentType, 'application/x-report');
+      assert.ok(report.metadata.created instanceof Date);
+      assert.equal(report.metadata.created.getTime(), 1600000000000);
+      const index = await mfs.getFile('/copy/index.html');
+      assert.deepEqual(index.metadata, { title: 'Home' });
+      assert.deepEqual(await mfs.getFolderMetadata('/copy/empty'), { purpose: 'uploads' });
+      assert.equal(await mfs.isFile('/copy/.mongofs.json'), false);
+    });
+    it('should detect the content types without a manifest', async function () {
+      fs.mkdirSync(path.join(tmp, 'sub'));
+      fs.mkdirSync(path.join(tmp, 'empty'));
+      fs.writeFileSync(path.join(tmp, 'sub', 'data.json'), '{"a": 1}');
+      fs.writeFileSync(path.join(tmp, 'notes'), 'Some notes');
+      assert.equal(await mfs.importDirectory(tmp, '/plain'), 2);
+      assert.equal(
+        (await mfs.getDescriptor('/plain/sub/data.json')).contentType,
+        'application/json'
+      );
+      assert.equal((await mfs.getDescriptor('/plain/notes')).contentType, 'text/plain');
+      assert.equal(await mfs.isFolder('/plain/empty'), true);
+    });
+    it('should refuse to replace files unless overwrite is set', async function () {
+      fs.writeFileSync(path.join(tmp, 'new.txt'), 'new');
+      fs.writeFileSync(path.join(tmp, 'index.html'), 'replaced');
+      await assert.rejects(mfs.importDirectory(tmp, '/site'), { code: 'EEXIST' });
+      assert.equal(await mfs.isFile('/site/new.txt'), false);
+      assert.equal(await mfs.importDirectory(tmp, '/site', { overwrite: true }), 2);
+      assert.equal((await mfs.getFile('/site/index.html')).content.toString(), 'replaced');
+    });
+    it('should filter, report progress and do a dry run', async function () {
+      fs.writeFileSync(path.join(tmp, 'a.txt'), 'a');
+      fs.writeFileSync(path.join(tmp, 'b.log'), 'bb');
+      fs.writeFileSync(path.join(tmp, 'c.txt'), 'ccc');
+      const progress = [];
+      const options = {
+        dryRun: true,
+        filter: (name) => name.endsWith('.txt'),
+        progress: (p) => progress.push(p),
+      };
+      assert.equal(await mfs.importDirectory(tmp, '/dry', options), 2);
+      assert.equal(await mfs.isFolder('/dry'), false);
+      assert.deepEqual(progress, [
+        { pathname: '/dry/a.txt', size: 1, count: 1, total: 2 },
+        { pathname: '/dry/c.txt', size: 3, count: 2, total: 2 },
+      ]);
+    });
+  });
+
+  describe('exportTar and importTar', function () {
+    it('should round trip a gzipped archive', async function () {
+      const archive = await read(mfs.exportTar('/site', { gzip: true }));
+      assert.deepEqual([...archive.slice(0, 2)], [0x1f, 0x8b]);
+      const progress = [];
+      const count = await mfs.importTar(Readable.from([archive]), '/copy', {
+        progress: (p) => progress.push(p.pathname),
+      });
+      assert.equal(count, 2);
+      assert.deepEqual(progress, ['/copy/data/report.bin', '/copy/index.html']);
+      const report = await mfs.getFile('/copy/data/report.bin');
+      assert.equal(report.contentType, 'application/x-report');
+      assert.equal(report.metadata.created.getTime(), 1600000000000);
+      assert.deepEqual(await mfs.getFolderMetadata('/copy/empty'), { purpose: 'uploads' });
+      assert.equal((await mfs.getFile('/copy/index.html')).content.toString(), '<html></html>');
+    });
+    it('should write the manifest, folders and files in order', async function () {
+      const names = [];
+      for await (const entry of extract(mfs.exportTar('/site'))) {
+        names.push(`${entry.type}:${entry.name}`);
+      }
+      assert.deepEqual(names, [
+        'file:.mongofs.json',
+        'directory:empty',
+        'file:data/report.bin',
+        'file:index.html',
+      ]);
+    });
+    it('should import an archive without a manifest', async function () {
+      const entries = [
+        { name: './', type: 'directory' },
+        { name: './docs', type: 'directory' },
+        {
+          name: './docs/readme.md',
+          type: 'file',
+          size: 7,
+          content: () => [Buffer.from('# Title')],
+        },
+      ];
+      const archive = Readable.from(pack(entries));
+      assert.equal(await mfs.importTar(archive, '/imported'), 1);
+      const file = await mfs.getFile('/imported/docs/readme.md');
+      assert.equal(file.contentType, 'text/markdown');
+      assert.equal(await mfs.isFolder('/imported/docs'), true);
+    });
+    it('should reject names leaving the target folder', async function () {
+      const entries = [
+        { name: '../evil.txt', type: 'file', size: 1, content: () => [Buffer.from('x')] },
+      ];
+      await assert.rejects(mfs.importTar(Readable.from(pack(entries)), '/imported'), {
+        code: 'EINVAL',
+      });
+      assert.equal(await mfs.isFile('/evil.txt'), false);
+    });
+    it('should reject an existing file unless overwrite is set', async function () {
+      const archive = await read(mfs.exportTar('/site'));
+      await assert.rejects(mfs.importTar(Readable.from([archive]), '/site'), {
+        code: 'EEXIST',
+      });
+      assert.equal(await mfs.importTar(Readable.from([archive]), '/site', { overwrite: true }), 2);
+      await assert.rejects(mfs.importTar(Readable.from([archive]), '/site', { dryRun: true }), {
+        code: 'EEXIST',
+      });
+    });
+    it('should skip the content of large entries', async function () {
+      const size = 300 * 1024;
+      const entry = (name) => ({
+        name,
+        type: 'file',
+        size,
+        content: () => [Buffer.alloc(size, name)],
+      });
+      const archive = await read(Readable.from(pack([entry('a'), entry('b'), entry('c')])));
+      // Turns the first entry into a global header, which is ignored.
+      archive[156] = 'g'.charCodeAt(0);
+      archive.fill(' ', 148, 156);
+      const sum = archive.slice(0, 512).reduce((a, b) => a + b, 0);
+      archive.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1');
+      const chunks = [];
+      for (let i = 0; i < archive.length; i += 1000) {
+        chunks.push(archive.slice(i, i + 1000));
+      }
+      const names = [];
+      for await (const entry of extract(Readable.from(chunks))) {
+        names.push(entry.name);
+        if (entry.name === 'c') {
+          assert.equal((await read(entry.content())).toString(), 'c'.repeat(size));
+        }
+      }
+      assert.deepEqual(names, ['b', 'c']);
+    });
+    it('should reject an invalid archive', async function () {
+      const stream = new PassThrough();
+      stream.end(Buffer.alloc(512, 'x'));
+      await assert.rejects(mfs.importTar(stream, '/imported'), { code: 'EINVAL' });
+      const gzipped = zlib.gzipSync(Buffer.alloc(100));
+      await assert.rejects(mfs.importTar(Readable.from([gzipped]), '/imported'), {
+        code: 'EINVAL',
+      });
+    });
+    it('should emit an error for a missing folder', async function () {
+      await assert.rejects(read(mfs.exportTar('/nosuchfolder')), { code: 'ENOENT' });
+    });
+  });
+
+  afterEach(async function () {
+    await mfs.deleteFolder('/');
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+const { main } = require('../lib/cli');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('command-line tool', function () {
+  let client = null;
+  let mfs = null;
+  let tmp = null;
+
+  // Runs the command line against the test database. Resolves with the
+  // exit code and the output written to stdout and stderr.
+  async function run(line, input) {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const stdin = new PassThrough();
+    stdin.end(input || '');
+    const argv = ['--uri', URL, '--db', DB].concat(line);
+    const code = await main(argv, { stdin, stdout, stderr });
+    stdout.end();
+    stderr.end();
+    return { code, stdout: stdout.read() || Buffer.alloc(0), stderr: String(stderr.read() || '') };
+  }
+
+  // Runs the command line and resolves with its output as a string.
+  async function output(line) {
+    const result = await run(line);
+    assert.equal(result.code, 0, result.stderr);
+    return result.stdout.toString();
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    mfs = new MongoFS(client.db(DB));
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  beforeEach(async function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mongofs-'));
+    await mfs.createFile('/docs/readme.txt', 'Read me', { author: 'Smith' });
+    await mfs.createFile('/docs/guide/intro.md', '# Intro');
+    await mfs.createFile('/notes.txt', 'notes');
+  });
+
+  describe('usage', function () {
+    it('should show the help', async function () {
+      const result = await run(['--help']);
+      assert.equal(result.code, 0);
+      assert.match(result.stdout.toString(), /^Usage: mongofs/);
+    });
+    it('should reject an invalid command line', async function () {
+      assert.equal((await run([])).code, 2);
+      assert.equal((await run(['format'])).code, 2);
+      assert.equal((await run(['ls', '-x'])).code, 2);
+      assert.equal((await run(['mv', '/notes.txt'])).code, 2);
+      const result = await run(['cat', '--query', '{}', '/notes.txt']);
+      assert.equal(result.code, 2);
+      assert.match(result.stderr, /Unknown option for cat: --query/);
+    });
+    it('should fail with the error message', async function () {
+      const result = await run(['cat', '/nosuchfile']);
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /^mongofs: .*nosuchfile/);
+    });
+  });
+
+  describe('ls', function () {
+    it('should list the folders and files', async function () {
+      assert.equal(await output(['ls']), 'docs/\nnotes.txt\n');
+      assert.equal(await output(['ls', '/docs']), 'guide/\nreadme.txt\n');
+      assert.equal(await output(['ls', '/docs/readme.txt']), '/docs/readme.txt\n');
+    });
+    it('should list the subfolders recursively', async function () {
+      assert.equal(
+        await output(['ls', '-R', '/docs']),
+        '/docs:\nguide/\nreadme.txt\n\n/docs/guide:\nintro.md\n'
+      );
+    });
+    it('should list the details', async function () {
+      const lines = (await output(['ls', '-l', '/docs'])).split('\n');
+      assert.match(lines[0], /^d {2}- {2}-\s+ {2}-\s+ {2}guide\/$/);
+      assert.match(lines[1], /^- {2}7 {2}\d{4}-\d\d-\d\d \d\d:\d\d {2}text\/plain {2}readme\.txt$/);
+    });
+    it('should write JSON', async function () {
+      const entries = JSON.parse(await output(['--json', 'ls', '-R', '/docs']));
+      assert.deepEqual(
+        entries.map((e) => [e.type, e.pathname]),
+        [
+          ['folder', '/docs/guide'],
+          ['file', '/docs/readme.txt'],
+          ['file', '/docs/guide/intro.md'],
+        ]
+      );
+      assert.deepEqual(entries[1].metadata, { author: 'Smith' });
+    });
+    it('should reject a missing folder', async function () {
+      assert.equal((await run(['ls', '/nosuchfolder'])).code, 1);
+    });
+  });
+
+  describe('cat, put and get', function () {
+    it('should write the content of files', async function () {
+      assert.equal(await output(['cat', '/docs/readme.txt', '/notes.txt']), 'Read menotes');
+    });
+    it('should upload and download files', async function () {
+      const local = path.join(tmp, 'data.json');
+      fs.writeFileSync(local, '{"a": 1}');
+      await output(['put', local, '/docs']);
+      const file = await mfs.getFile('/docs/data.json');
+      assert.equal(file.content.toString(), '{"a": 1}');
+      assert.equal(file.contentType, 'application/json');
+      assert.equal((await run(['put', local, '/docs/data.json'])).code, 1);
+      await output(['put', '-f', '--content-type', 'text/plain', local, '/docs/data.json']);
+      assert.equal((await mfs.getDescriptor('/docs/data.json')).contentType, 'text/plain');
+      const target = path.join(tmp, 'readme.txt');
+      await output(['get', '/docs/readme.txt', tmp]);
+      assert.equal(fs.readFileSync(target, 'utf8'), 'Read me');
+      assert.equal((await run(['get', '/docs/readme.txt', target])).code, 1);
+      await output(['get', '-f', '/notes.txt', target]);
+      assert.equal(fs.readFileSync(target, 'utf8'), 'notes');
+    });
+    it('should leave the local file alone if the download fails', async function () {
+      const target = path.join(tmp, 'missing.txt');
+      assert.equal((await run(['get', '/missing.txt', target])).code, 1);
+      assert.equal(fs.existsSync(target), false);
+      fs.writeFileSync(target, 'local');
+      assert.equal((await run(['get', '-f', '/missing.txt', target])).code, 1);
+      assert.equal(fs.readFileSync(target, 'utf8'), 'local');
+      assert.deepEqual(fs.readdirSync(tmp), ['missing.txt']);
+    });
+    it('should use the standard input and output', async function () {
+      assert.equal((await run(['put', '-', '/stdin.txt'], 'from stdin')).code, 0);
+      assert.equal(await output(['get', '/stdin.txt', '-']), 'from stdin');
+    });
+  });
+
+  describe('rm, mv and cp', function () {
+    it('should delete files and folders', async function () {
+      const result = await run(['rm', '/docs']);
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /without -r/);
+      await output(['rm', '/notes.txt']);
+      await output(['rm', '-r', '/docs']);
+      assert.deepEqual(await mfs.getFolders('/'), []);
+      assert.deepEqual(await mfs.getFiles('/'), []);
+    });
+    it('should delete a link instead of its target', async function () {
+      await mfs.createSymlink('/docs', '/current');
+      await output(['rm', '/current']);
+      assert.equal(await mfs.isFile('/docs/readme.txt'), true);
+    });
+    it('should rename files and folders', async function () {
+      await output(['mv', '/notes.txt', '/docs']);
+      assert.equal(await mfs.isFile('/docs/notes.txt'), true);
+      await output(['mv', '/docs/guide', '/manual']);
+      assert.equal(await mfs.isFile('/manual/intro.md'), true);
+    });
+    it('should copy files and folders', async function () {
+      await output(['cp', '/notes.txt', '/copy.txt']);
+      assert.equal((await mfs.getFile('/copy.txt')).content.toString(), 'notes');
+      assert.equal((await run(['cp', '/docs', '/backup'])).code, 1);
+      const count = JSON.parse(await output(['--json', 'cp', '-r', '/docs', '/backup']));
+      assert.deepEqual(count, { count: 2 });
+      assert.equal(await mfs.isFile('/backup/guide/intro.md'), true);
+    });
+  });
+
+  describe('stat, find and du', function () {
+    it('should show the properties of a file or folder', async function () {
+      const text = await output(['stat', '/docs/readme.txt']);
+      assert.match(text, /^type:\s+file$/m);
+      assert.match(text, /^contentLength:\s+7$/m);
+      assert.match(text, /^metadata:\s+\{"author":"Smith"\}$/m);
+      const folder = JSON.parse(await output(['--json', 'stat', '/docs']));
+      assert.deepEqual(folder, {
+        type: 'folder',
+        pathname: '/docs',
+        metadata: null,
+        usage: { bytes: 14, files: 2 },
+      });
+    });
+    it('should find the files matching a query', async function () {
+      const query = '{"metadata.author": "Smith"}';
+      assert.equal(await output(['find', '--query', query]), '/docs/readme.txt\n');
+      assert.equal(await output(['find', '/docs/guide']), '/docs/guide/intro.md\n');
+      const files = JSON.parse(await output(['--json', 'find', '/docs']));
+      assert.equal(files.length, 2);
+      assert.equal((await run(['find', '--query', '{author'])).code, 1);
+    });
+    it('should show the usage of folders', async function () {
+      assert.equal(await output(['du', '/docs']), '14 B  2 files  /docs\n');
+      assert.deepEqual(JSON.parse(await output(['--json', 'du'])), [
+        { pathname: '/', bytes: 19, files: 3 },
+      ]);
+    });
+  });
+
+  describe('meta', function () {
+    it('should get and set the metadata of files and folders', async function () {
+      assert.deepEqual(JSON.parse(await output(['meta', 'get', '/docs/readme.txt'])), {
+        author: 'Smith',
+      });
+      await output(['meta', 'set', '/docs/readme.txt', '{"author": "Jones"}']);
+      assert.deepEqual(await mfs.getMetadata('/docs/readme.txt'), { author: 'Jones' });
+      await output(['meta', 'set', '/docs', '{"owner": "team"}']);
+      assert.deepEqual(JSON.parse(await output(['meta', 'get', '/docs'])), { owner: 'team' });
+    });
+    it('should reject invalid metadata', async function () {
+      assert.equal((await run(['meta', 'set', '/notes.txt', '[1]'])).code, 1);
+      assert.equal((await run(['meta', 'put', '/notes.txt', '{}'])).code, 1);
+    });
+  });
+
+  afterEach(async function () {
+    await mfs.deleteFolder('/');
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+const JSON_CONTENT = JSON.stringify(new Array(200).fill({ name: 'test', value: 42 }));
+
+describe('compression', function () {
+  let client = null;
+  let mfs = null;
+  let chunks = null;
+
+  // Reads the content of the read stream as a string.
+  function read(stream) {
+    return new Promise((resolve, reject) => {
+      const buffers = [];
+      stream.on('data', (data) => buffers.push(data));
+      stream.on('end', () => resolve(Buffer.concat(buffers).toString()));
+      stream.on('error', reject);
+    });
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    chunks = db.collection('fs.chunks');
+    mfs = new MongoFS(db, {
+      compression: { contentTypes: ['application/json', 'text/*'], pathnames: ['**/*.csv'] },
+    });
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  it('should compress the selected content types', async function () {
+    await mfs.createFile('/data.json', JSON_CONTENT, 'application/json; charset=utf-8');
+    const file = await mfs.getFile('/data.json');
+    assert.equal(file.content.toString(), JSON_CONTENT);
+    assert.equal(file.encoding, 'gzip');
+    assert.equal(file.contentLength, JSON_CONTENT.length);
+    assert(file.storedLength < file.contentLength / 10);
+    const { _id } = await client.db(DB).collection('fs.files').findOne({ filename: '/data.json' });
+    const chunk = await chunks.findOne({ files_id: _id });
+    assert.equal(chunk.data.buffer[0], 0x1f); // the gzip header
+  });
+
+  it('should compress wildcard content types and pathnames', async function () {
+    await mfs.createFile('/notes.txt', 'some text', 'text/plain');
+    await mfs.createFile('/reports/2020.csv', 'a,b,c\n1,2,3\n');
+    assert.equal((await mfs.getDescriptor('/notes.txt')).encoding, 'gzip');
+    assert.equal((await mfs.getDescriptor('/reports/2020.csv')).encoding, 'gzip');
+    assert.equal((await mfs.getFile('/reports/2020.csv')).content.toString(), 'a,b,c\n1,2,3\n');
+  });
+
+  it('should not compress other files', async function () {
+    await mfs.createFile('/image.png', 'not really a png', 'image/png');
+    const file = await mfs.getDescriptor('/image.png');
+    assert.equal(file.encoding, undefined);
+    assert.equal(file.storedLength, file.contentLength);
+  });
+
+  it('should read a range of the decompressed content', async function () {
+    const file = await mfs.getFile('/data.json', { start: 1000, end: 1019 });
+    assert.equal(file.content.toString(), JSON_CONTENT.substring(1000, 1020));
+    const stream = mfs.createReadStream('/data.json', { start: 2 });
+    assert.equal(await read(stream), JSON_CONTENT.substring(2));
+    await assert.rejects(mfs.getFile('/data.json', { start: JSON_CONTENT.length }), {
+      code: 'ERANGE',
+    });
+  });
+
+  it('should keep the compression of updated and copied files', async function () {
+    await mfs.updateFile('/data.json', '{"updated":true}');
+    assert.equal((await mfs.getFile('/data.json')).content.toString(), '{"updated":true}');
+    await mfs.copyFile('/data.json', '/copy.json');
+    const copy = await mfs.getFile('/copy.json');
+    assert.equal(copy.encoding, 'gzip');
+    assert.equal(copy.content.toString(), '{"updated":true}');
+  });
+
+  it('should support deflate and brotli', async function () {
+    for (const encoding of ['deflate', 'br']) {
+      const cfs = new MongoFS(client.db(DB), { compression: encoding });
+      await cfs.createFile(`/${encoding}`, JSON_CONTENT);
+      const file = await cfs.getFile(`/${encoding}`);
+      assert.equal(file.encoding, encoding);
+      assert.equal(file.content.toString(), JSON_CONTENT);
+    }
+  });
+
+  it('should read files written before compression was enabled', async function () {
+    const plain = new MongoFS(client.db(DB));
+    await plain.createFile('/legacy.json', JSON_CONTENT, 'application/json');
+    const file = await mfs.getFile('/legacy.json');
+    assert.equal(file.content.toString(), JSON_CONTENT);
+    assert.equal(file.encoding, undefined);
+  });
+
+  it('should reject an unsupported encoding', function () {
+    assert.throws(() => new MongoFS(client.db(DB), { compression: 'zip' }), { code: 'EINVAL' });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0, 0, 0, 0x08, 0]);
+const GZIP = Buffer.from([0x1f, 0x8b, 0x08, 0, 0, 0, 0, 0, 0, 0x03]);
+
+describe('content type detection', function () {
+  let client = null;
+  let db = null;
+  let mfs = null;
+
+  // Writes the buffers to a new file through a write stream.
+  function upload(fs, pathname, buffers, options) {
+    return new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(pathname, options);
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      buffers.forEach((buf) => stream.write(buf));
+      stream.end();
+    });
+  }
+
+  // Gets the content type of the file.
+  async function contentType(fs, pathname) {
+    return (await fs.getDescriptor(pathname)).contentType;
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    db = client.db(DB);
+    mfs = new MongoFS(db, { contentTypeDetection: true });
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  describe('createFile', function () {
+    it('should detect binary formats by their signature', async function () {
+      await mfs.createFile('/logo', PNG);
+      await mfs.createFile('/report.bin', PDF);
+      await mfs.createFile('/archive', GZIP);
+      assert.equal(await contentType(mfs, '/logo'), 'image/png');
+      assert.equal(await contentType(mfs, '/report.bin'), 'application/pdf');
+      assert.equal(await contentType(mfs, '/archive'), 'application/gzip');
+    });
+    it('should refine zip archives and text by the extension', async function () {
+      await mfs.createFile('/letter.docx', ZIP);
+      await mfs.createFile('/letter.zip', ZIP);
+      await mfs.createFile('/letter', ZIP);
+      await mfs.createFile('/style.css', 'body { margin: 0; }');
+      assert.equal(
+        await contentType(mfs, '/letter.docx'),
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      );
+      assert.equal(await contentType(mfs, '/letter.zip'), 'application/zip');
+      assert.equal(await contentType(mfs, '/letter'), 'application/zip');
+      assert.equal(await contentType(mfs, '/style.css'), 'text/css');
+    });
+    it('should prefer the signature over a wrong extension', async function () {
+      await mfs.createFile('/photo.txt', PNG);
+      assert.equal(await contentType(mfs, '/photo.txt'), 'image/png');
+    });
+    it('should detect JSON, XML and text', async function () {
+      await mfs.createFile('/data', '{"a": [1, 2]}');
+      await mfs.createFile('/broken', '{"a": [1, 2}');
+      await mfs.createFile('/feed', '<?xml version="1.0"?><rss></rss>');
+      await mfs.createFile('/icon', '<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+      await mfs.createFile('/readme', Buffer.from('Grüße\n'));
+      await mfs.createFile('/binary', Buffer.from([0x00, 0x01, 0x02, 0xff]));
+      assert.equal(await contentType(mfs, '/data'), 'application/json');
+      assert.equal(await contentType(mfs, '/broken'), 'text/plain');
+      assert.equal(await contentType(mfs, '/feed'), 'application/xml');
+      assert.equal(await contentType(mfs, '/icon'), 'application/xml');
+      assert.equal(await contentType(mfs, '/readme'), 'text/plain');
+      assert.equal(await contentType(mfs, '/binary'), 'application/octet-stream');
+    });
+    it('should not detect HTML and SVG unless enabled', async function () {
+      const page = '<!DOCTYPE html><script>alert(1)</script>';
+      const icon = '<?xml version="1.0"?><svg onload="alert(1)"></svg>';
+      await mfs.createFile('/page', page);
+      await mfs.createFile('/icon', icon);
+      await mfs.createFile('/page.html', page);
+      await mfs.createFile('/icon.svg', icon);
+      await mfs.createFile('/app.ts', 'const a: number = 1;');
+      assert.equal(await contentType(mfs, '/page'), 'text/plain');
+      assert.equal(await contentType(mfs, '/icon'), 'application/xml');
+      assert.equal(await contentType(mfs, '/page.html'), 'text/html');
+      assert.equal(await contentType(mfs, '/icon.svg'), 'image/svg+xml');
+      assert.equal(await contentType(mfs, '/app.ts'), 'text/plain');
+      const markup = new MongoFS(db, { contentTypeDetection: { markup: true } });
+      await markup.createFile('/markup/page', page);
+      await markup.createFile('/markup/icon', icon);
+      assert.equal(await contentType(mfs, '/markup/page'), 'text/html');
+      assert.equal(await contentType(mfs, '/markup/icon'), 'image/svg+xml');
+    });
+    it('should use the extension if the content is not recognized', async function () {
+      await mfs.createFile('/song.MP3', Buffer.from([0x00, 0x01, 0x02, 0xff]));
+      await mfs.createFile('/empty.json', '');
+      await mfs.createFile('/empty', '');
+      assert.equal(await contentType(mfs, '/song.MP3'), 'audio/mpeg');
+      assert.equal(await contentType(mfs, '/empty.json'), 'application/json');
+      assert.equal(await contentType(mfs, '/empty'), 'text/plain');
+    });
+    it('should keep the specified content type', async function () {
+      await mfs.createFile('/logo', PNG, 'application/x-custom');
+      await mfs.createFile('/data.json', '{}', { author: 'Smith' }, 'text/plain');
+      assert.equal(await contentType(mfs, '/logo'), 'application/x-custom');
+      assert.equal(await contentType(mfs, '/data.json'), 'text/plain');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('updateFile', function () {
+    it('should detect the type of the new content', async function () {
+      await mfs.createFile('/image', 'placeholder');
+      assert.equal(await contentType(mfs, '/image'), 'text/plain');
+      await mfs.updateFile('/image', PNG);
+      assert.equal(await contentType(mfs, '/image'), 'image/png');
+      await mfs.updateFile('/image', PNG, 'image/x-png');
+      assert.equal(await contentType(mfs, '/image'), 'image/x-png');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('createWriteStream', function () {
+    it('should detect the type from the first bytes written', async function () {
+      await upload(mfs, '/stream', [PDF.slice(0, 3), PDF.slice(3), Buffer.alloc(2000, 0x20)]);
+      await upload(mfs, '/stream.json', ['[1, ', '2]']);
+      await upload(mfs, '/large', ['[', Buffer.alloc(2000, 0x20), '1]']);
+      assert.equal(await contentType(mfs, '/stream'), 'application/pdf');
+      assert.equal(await contentType(mfs, '/stream.json'), 'application/json');
+      assert.equal(await contentType(mfs, '/large'), 'text/plain');
+    });
+    it('should keep the specified content type', async function () {
+      await upload(mfs, '/stream', [PDF], { contentType: 'application/x-custom' });
+      assert.equal(await contentType(mfs, '/stream'), 'application/x-custom');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('renameFile', function () {
+    beforeEach(async function () {
+      await mfs.createFile('/export.txt', 'a,b\n1,2\n');
+    });
+    it('should keep the content type by default', async function () {
+      await mfs.renameFile('/export.txt', '/export.csv');
+      assert.equal(await contentType(mfs, '/export.csv'), 'text/plain');
+    });
+    it('should set the content type of the new extension if enabled', async function () {
+      const renames = new MongoFS(db, { contentTypeDetection: { renames: true } });
+      await renames.renameFile('/export.txt', '/export.csv');
+      assert.equal(await contentType(mfs, '/export.csv'), 'text/csv');
+      await renames.renameFile('/export.csv', '/export.unknown');
+      assert.equal(await contentType(mfs, '/export.unknown'), 'text/csv');
+      await renames.renameFile('/export.unknown', '/export.txt', { contentType: false });
+      assert.equal(await contentType(mfs, '/export.txt'), 'text/csv');
+    });
+    it('should override the content type per call', async function () {
+      await mfs.renameFile('/export.txt', '/export.csv', { contentType: true });
+      assert.equal(await contentType(mfs, '/export.csv'), 'text/csv');
+      await mfs.renameFile('/export.csv', '/export.dat', { contentType: 'application/x-dat' });
+      assert.equal(await contentType(mfs, '/export.dat'), 'application/x-dat');
+    });
+    it('should not change the type if the extension stays the same', async function () {
+      await mfs.createFile('/notes.TXT', 'test', 'text/x-notes');
+      await mfs.renameFile('/notes.TXT', '/draft.txt', { contentType: true });
+      assert.equal(await contentType(mfs, '/draft.txt'), 'text/x-notes');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('options', function () {
+    it('should use the custom types', async function () {
+      const custom = new MongoFS(db, {
+        contentTypeDetection: { types: { '.LOG': 'text/x-log', pdf: 'application/x-pdf' } },
+      });
+      await custom.createFile('/server.log', 'started');
+      await custom.createFile('/report.pdf', PDF);
+      assert.equal(await contentType(mfs, '/server.log'), 'text/x-log');
+      assert.equal(await contentType(mfs, '/report.pdf'), 'application/pdf');
+    });
+    it('should only use the extension if sniffing is disabled', async function () {
+      const extensions = new MongoFS(db, { contentTypeDetection: { sniff: false } });
+      await extensions.createFile('/logo', PNG);
+      await extensions.createFile('/logo.gif', PNG);
+      assert.equal(await contentType(mfs, '/logo'), 'application/octet-stream');
+      assert.equal(await contentType(mfs, '/logo.gif'), 'image/gif');
+    });
+    it('should not detect content types if disabled', async function () {
+      const disabled = new MongoFS(db, { contentTypeDetection: false });
+      await disabled.createFile('/logo.png', PNG);
+      await disabled.createFile('/data.json', '{}');
+      await upload(disabled, '/stream.pdf', [PDF]);
+      assert.equal(await contentType(mfs, '/logo.png'), 'application/octet-stream');
+      assert.equal(await contentType(mfs, '/data.json'), 'text/plain');
+      assert.equal(await contentType(mfs, '/stream.pdf'), 'application/octet-stream');
+    });
+    it('should not detect content types by default', async function () {
+      const plain = new MongoFS(db);
+      await plain.createFile('/default.png', PNG);
+      await upload(plain, '/default.txt', ['text']);
+      assert.equal(await contentType(mfs, '/default.png'), 'application/octet-stream');
+      assert.equal(await contentType(mfs, '/default.txt'), 'application/octet-stream');
+    });
+    it('should reject an invalid option', function () {
+      assert.throws(() => new MongoFS(db, { contentTypeDetection: 'yes' }), { code: 'EINVAL' });
+      assert.throws(() => new MongoFS(db, { contentTypeDetection: { types: { png: 1 } } }), {
+        code: 'EINVAL',
+      });
+    });
+    it('should compress by the type of the extension', async function () {
+      const compressed = new MongoFS(db, {
+        compression: { contentTypes: ['application/json'] },
+        contentTypeDetection: true,
+      });
+      await compressed.createFile('/data.json', '{"a": 1}');
+      await compressed.createFile('/data', '{"a": 1}');
+      assert.equal((await mfs.getDescriptor('/data.json')).encoding, 'gzip');
+      assert.equal((await mfs.getDescriptor('/data')).encoding, undefined);
+      assert.equal(await contentType(mfs, '/data'), 'application/json');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
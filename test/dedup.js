@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('dedup', function () {
+  let client = null;
+  let mfs = null;
+  let files = null;
+  let chunks = null;
+
+  // Gets the reference counts of the blobs, sorted.
+  async function refs() {
+    const blobs = await files.find({ filename: /^blob:/ }).toArray();
+    return blobs.map((blob) => blob.refs).sort();
+  }
+
+  // Gets the content of the file as a string.
+  async function content(pathname) {
+    const file = await mfs.getFile(pathname);
+    return file.content.toString();
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    files = db.collection('fs.files');
+    chunks = db.collection('fs.chunks');
+    mfs = new MongoFS(db, { dedup: true });
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  it('should share the content of identical files', async function () {
+    await mfs.createFile('/a', 'shared');
+    await mfs.createFile('/b', 'shared');
+    await mfs.createFile('/c', 'other');
+    assert.deepEqual(await refs(), [1, 2]);
+    assert.equal(await chunks.countDocuments(), 2);
+    assert.equal(await content('/b'), 'shared');
+    const file = await mfs.getFile('/a', { start: 1, end: 3 });
+    assert.equal(file.content.toString(), 'har');
+  });
+
+  it('should keep the reference counts when renaming', async function () {
+    await mfs.renameFile('/a', '/dir/a');
+    await mfs.renameFolder('/dir', '/moved');
+    assert.deepEqual(await refs(), [1, 2]);
+    assert.equal(await content('/moved/a'), 'shared');
+    await mfs.renameFile('/moved/a', '/a');
+  });
+
+  it('should increment the reference count when copying', async function () {
+    await mfs.copyFile('/a', '/copy');
+    assert.deepEqual(await refs(), [1, 3]);
+    assert.equal(await chunks.countDocuments(), 2);
+    assert.equal(await content('/copy'), 'shared');
+  });
+
+  it('should release the reference of a failed copy', async function () {
+    const failing = Object.create(mfs);
+    failing._files = function () {
+      const collection = Object.create(mfs._files());
+      collection.insertOne = () => Promise.reject(new Error('insert failed'));
+      return collection;
+    };
+    await assert.rejects(failing.copyFile('/a', '/failed'), /insert failed/);
+    assert.deepEqual(await refs(), [1, 3]);
+    assert.equal(await mfs.isFile('/failed'), false);
+  });
+
+  it('should release the content when updating and deleting', async function () {
+    await mfs.updateFile('/copy', 'other');
+    assert.deepEqual(await refs(), [2, 2]);
+    await mfs.deleteFile('/copy');
+    await mfs.deleteFile('/c');
+    assert.deepEqual(await refs(), [2]);
+    assert.equal(await chunks.countDocuments(), 1);
+    assert.equal(await content('/a'), 'shared');
+  });
+
+  it('should remove the content when the last file is deleted', async function () {
+    await mfs.deleteFolder('/');
+    assert.deepEqual(await refs(), []);
+    assert.equal(await chunks.countDocuments(), 0);
+  });
+
+  it('should count the prior versions and the trash', async function () {
+    const vfs = new MongoFS(client.db(DB), { dedup: true, versioning: true, trash: true });
+    await vfs.createFile('/v', 'one');
+    await vfs.updateFile('/v', 'two');
+    await vfs.createFile('/w', 'one');
+    assert.deepEqual(await refs(), [1, 2]);
+    await vfs.deleteFile('/v');
+    assert.deepEqual(await refs(), [1, 2]);
+    await vfs.restore((await vfs.listTrash())[0].id);
+    assert.equal((await vfs.getFile('/v', { version: 1 })).content.toString(), 'one');
+    await vfs.deleteFile('/v');
+    await vfs.emptyTrash();
+    assert.deepEqual(await refs(), [1]);
+    await vfs.deleteFile('/w');
+    await vfs.emptyTrash();
+    assert.deepEqual(await refs(), []);
+    assert.equal(await chunks.countDocuments(), 0);
+  });
+
+  it('should roll back the references of a failed batch', async function () {
+    await mfs.createFile('/a', 'shared');
+    await assert.rejects(
+      mfs.batch(async (batch) => {
+        await batch.createFile('/b', 'shared');
+        await batch.deleteFile('/a');
+        throw new Error('failed');
+      })
+    );
+    assert.deepEqual(await refs(), [1]);
+    assert.equal(await content('/a'), 'shared');
+    await mfs.deleteFile('/a');
+    assert.deepEqual(await refs(), []);
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
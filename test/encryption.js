@@ -0,0 +1,248 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+const CONTENT = 'the quick brown fox jumps over the lazy dog';
+
+describe('encryption', function () {
+  let client = null;
+  let db = null;
+  let mfs = null;
+  let files = null;
+  let chunks = null;
+  const keys = { k1: crypto.randomBytes(32), k2: crypto.randomBytes(32) };
+
+  // Creates an instance encrypting with the key having the id. The email
+  // and address.street metadata properties are encrypted as well.
+  function create(keyId, options) {
+    const encryption = { keys, keyId, metadataFields: ['email', 'address.street'] };
+    return new MongoFS(db, Object.assign({ encryption }, options));
+  }
+
+  // Reads the content of the read stream as a string.
+  function read(stream) {
+    return new Promise((resolve, reject) => {
+      const buffers = [];
+      stream.on('data', (data) => buffers.push(data));
+      stream.on('end', () => resolve(Buffer.concat(buffers).toString()));
+      stream.on('error', reject);
+    });
+  }
+
+  // Gets the stored bytes of the file having the pathname.
+  async function stored(pathname) {
+    const file = await files.findOne({ filename: pathname });
+    const chunk = await chunks.findOne({ files_id: file.blob || file._id });
+    return Buffer.from(chunk.data.buffer);
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    db = client.db(DB);
+    files = db.collection('fs.files');
+    chunks = db.collection('fs.chunks');
+    mfs = create('k1');
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  describe('content', function () {
+    it('should encrypt the stored content', async function () {
+      await mfs.createFile('/secret.txt', CONTENT);
+      const content = await stored('/secret.txt');
+      assert.equal(content.length, CONTENT.length);
+      assert.notEqual(content.toString(), CONTENT);
+      const file = await files.findOne({ filename: '/secret.txt' });
+      assert.equal(file.encryption.algorithm, 'aes-256-gcm');
+      assert.equal(file.encryption.keyId, 'k1');
+    });
+    it('should decrypt the content when read', async function () {
+      const file = await mfs.getFile('/secret.txt');
+      assert.equal(file.content.toString(), CONTENT);
+      assert.equal(file.contentLength, CONTENT.length);
+      assert.equal(await read(mfs.createReadStream('/secret.txt')), CONTENT);
+    });
+    it('should read a range of the decrypted content', async function () {
+      const file = await mfs.getFile('/secret.txt', { start: 4, end: 8 });
+      assert.equal(file.content.toString(), 'quick');
+      assert.equal(await read(mfs.createReadStream('/secret.txt', { start: 40 })), 'dog');
+    });
+    it('should compress before encrypting', async function () {
+      const compressed = create('k1', { compression: true });
+      const json = JSON.stringify(new Array(100).fill({ name: 'test' }));
+      await compressed.createFile('/data.json', json);
+      const file = await compressed.getFile('/data.json');
+      assert.equal(file.content.toString(), json);
+      assert.equal(file.encoding, 'gzip');
+      assert(file.storedLength < json.length / 10);
+      assert.notEqual((await stored('/data.json'))[0], 0x1f); // not the gzip header
+    });
+    it('should keep the encryption of copied files', async function () {
+      await mfs.copyFile('/secret.txt', '/copy.txt');
+      assert.equal((await mfs.getFile('/copy.txt')).content.toString(), CONTENT);
+    });
+    it('should reject tampered content', async function () {
+      await mfs.createFile('/tampered.txt', CONTENT);
+      const file = await files.findOne({ filename: '/tampered.txt' });
+      const chunk = await chunks.findOne({ files_id: file._id });
+      const data = Buffer.from(chunk.data.buffer);
+      data[0] ^= 1;
+      await chunks.updateOne({ _id: chunk._id }, { $set: { data } });
+      await assert.rejects(mfs.getFile('/tampered.txt'), { code: 'EBADMSG' });
+      await assert.rejects(read(mfs.createReadStream('/tampered.txt')), { code: 'EBADMSG' });
+    });
+    it('should reject reading without the key', async function () {
+      const other = new MongoFS(db, { encryption: { keys: { k2: keys.k2 }, keyId: 'k2' } });
+      await assert.rejects(other.getFile('/secret.txt'), { code: 'ENOKEY' });
+      await assert.rejects(new MongoFS(db).getFile('/secret.txt'), { code: 'ENOKEY' });
+    });
+    it('should use an asynchronous key provider', async function () {
+      const keyProvider = {
+        currentKeyId: async () => 'k2',
+        getKey: async (keyId) => keys[keyId],
+      };
+      const provided = new MongoFS(db, { encryption: { keyProvider } });
+      await provided.createFile('/provided.txt', CONTENT);
+      assert.equal((await mfs.getFile('/provided.txt')).content.toString(), CONTENT);
+      assert.equal((await files.findOne({ filename: '/provided.txt' })).encryption.keyId, 'k2');
+    });
+    it('should reject an invalid key or option', async function () {
+      const short = new MongoFS(db, { encryption: { keys: { k: Buffer.alloc(16) }, keyId: 'k' } });
+      await assert.rejects(short.createFile('/short.txt', CONTENT), { code: 'EINVAL' });
+      assert.equal(await mfs.isFile('/short.txt'), false);
+      assert.throws(() => new MongoFS(db, { encryption: { keyId: 'k1' } }), { code: 'EINVAL' });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('metadata', function () {
+    const metadata = { author: 'Smith', email: 'smith@example.com', address: { street: 'Main' } };
+    before(async function () {
+      await mfs.createFile('/doc.txt', CONTENT, metadata);
+    });
+    it('should encrypt the selected metadata fields', async function () {
+      const file = await files.findOne({ filename: '/doc.txt' });
+      assert.equal(file.metadata.author, 'Smith');
+      assert.equal(file.metadata.email.encrypted, 'aes-256-gcm');
+      assert.equal(file.metadata.email.keyId, 'k1');
+      assert.equal(file.metadata.address.street.encrypted, 'aes-256-gcm');
+      assert(!file.metadata.email.data.includes('smith'));
+    });
+    it('should decrypt the metadata when read', async function () {
+      assert.deepEqual(await mfs.getMetadata('/doc.txt'), metadata);
+      assert.deepEqual((await mfs.getFile('/doc.txt')).metadata, metadata);
+      assert.deepEqual((await mfs.getDescriptor('/doc.txt')).metadata, metadata);
+      const [file] = await mfs.getFiles('/');
+      assert.deepEqual(file.metadata, metadata);
+      const [found] = await mfs.findFiles({ 'metadata.author': 'Smith' });
+      assert.deepEqual(found.metadata, metadata);
+    });
+    it('should encrypt updated metadata', async function () {
+      await mfs.updateMetadata('/doc.txt', { email: 'jones@example.com' });
+      const file = await files.findOne({ filename: '/doc.txt' });
+      assert.equal(file.metadata.email.encrypted, 'aes-256-gcm');
+      assert.deepEqual(await mfs.getMetadata('/doc.txt'), { email: 'jones@example.com' });
+      await mfs.updateFile('/doc.txt', 'new content');
+      assert.deepEqual(await mfs.getMetadata('/doc.txt'), { email: 'jones@example.com' });
+    });
+    it('should encrypt folder metadata', async function () {
+      await mfs.createFolder('/folder', { metadata: { email: 'folder@example.com' } });
+      const folder = await files.findOne({ filename: '/folder' });
+      assert.equal(folder.metadata.email.encrypted, 'aes-256-gcm');
+      assert.deepEqual(await mfs.getFolderMetadata('/folder'), { email: 'folder@example.com' });
+    });
+    it('should reject tampered metadata', async function () {
+      const file = await files.findOne({ filename: '/doc.txt' });
+      const data = Buffer.from(file.metadata.email.data, 'base64');
+      data[data.length - 1] ^= 1;
+      await files.updateOne(
+        { _id: file._id },
+        { $set: { 'metadata.email.data': data.toString('base64') } }
+      );
+      await assert.rejects(mfs.getMetadata('/doc.txt'), { code: 'EBADMSG' });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('rotateKeys', function () {
+    let rotated = null;
+    before(async function () {
+      const versioned = create('k1', { versioning: true });
+      await versioned.createFile('/a.txt', 'version 1', { email: 'a@example.com' });
+      await versioned.updateFile('/a.txt', CONTENT);
+      await versioned.createFile('/b.txt', CONTENT);
+      rotated = create('k2', { versioning: true });
+    });
+    it('should re-encrypt the content and metadata under the new key', async function () {
+      assert.equal(await rotated.rotateKeys(), 3);
+      const stale = await files.countDocuments({ 'encryption.keyId': 'k1' });
+      assert.equal(stale, 0);
+      const file = await files.findOne({ filename: '/a.txt' });
+      assert.equal(file.metadata.email.keyId, 'k2');
+    });
+    it('should read the files without the old key', async function () {
+      const current = new MongoFS(db, {
+        encryption: { keys: { k2: keys.k2 }, keyId: 'k2', metadataFields: ['email'] },
+      });
+      const file = await current.getFile('/a.txt');
+      assert.equal(file.content.toString(), CONTENT);
+      assert.deepEqual(file.metadata, { email: 'a@example.com' });
+      const prior = await current.getFile('/a.txt', { version: 1 });
+      assert.equal(prior.content.toString(), 'version 1');
+      assert.equal((await current.getFile('/b.txt', { start: 4, end: 8 })).content, 'quick');
+    });
+    it('should not re-encrypt files twice', async function () {
+      assert.equal(await rotated.rotateKeys(), 0);
+    });
+    it('should remove the re-encrypted content with the file', async function () {
+      await rotated.deleteFolder('/');
+      assert.equal(await files.countDocuments({}), 0);
+      assert.equal(await chunks.countDocuments({}), 0);
+    });
+  });
+
+  describe('dedup', function () {
+    let shared = null;
+    before(async function () {
+      shared = create('k1', { dedup: true });
+      await shared.createFile('/one.txt', CONTENT);
+      await shared.createFile('/two.txt', CONTENT);
+    });
+    it('should share the encrypted content', async function () {
+      const blobs = await files.find({ refs: { $exists: true } }).toArray();
+      assert.equal(blobs.length, 1);
+      assert.equal(blobs[0].refs, 2);
+      assert.equal(blobs[0].encryption.keyId, 'k1');
+      assert.equal((await shared.getFile('/two.txt')).content.toString(), CONTENT);
+    });
+    it('should rotate the key of the shared content', async function () {
+      const rotated = create('k2', { dedup: true });
+      assert.equal(await rotated.rotateKeys(), 1);
+      assert.equal((await rotated.getFile('/one.txt')).content.toString(), CONTENT);
+      await rotated.deleteFile('/one.txt');
+      assert.equal((await rotated.getFile('/two.txt')).content.toString(), CONTENT);
+      await rotated.deleteFile('/two.txt');
+      assert.equal(await files.countDocuments({}), 0);
+      assert.equal(await chunks.countDocuments({}), 0);
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
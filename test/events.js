@@ -0,0 +1,293 @@
+'use strict';
+
+const assert = require('assert');
+const { GridFSBucket, MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('events', function () {
+  let client = null;
+  let db = null;
+  let mfs = null;
+  let events = [];
+  let messages = [];
+
+  // Collects the events of the emitter, which are listened to as change
+  // events. Typed events must be the same objects.
+  function collect(emitter, list) {
+    emitter.on('change', (event) => {
+      assert.equal(event.date instanceof Date, true);
+      list.push(event);
+    });
+    ['create', 'update', 'delete', 'rename', 'metadata'].forEach((type) => {
+      emitter.on(type, (event) => assert.equal(event.type, type));
+    });
+  }
+
+  // Waits until the list has the number of events.
+  async function waitFor(list, count) {
+    for (let i = 0; i < 100 && list.length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(list.length, count);
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    db = client.db(DB);
+    mfs = new MongoFS(db, (message) => messages.push(message));
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  beforeEach(function () {
+    events = [];
+    messages = [];
+    mfs.removeAllListeners();
+    collect(mfs, events);
+  });
+
+  it('should emit create and update events with the descriptor', async function () {
+    await mfs.createFile('/dir/file.txt', 'test', { author: 'Smith' });
+    await mfs.updateFile('/dir/file.txt', 'new content');
+    await waitFor(events, 2);
+    assert.deepEqual(
+      events.map((e) => [e.type, e.pathname]),
+      [
+        ['create', '/dir/file.txt'],
+        ['update', '/dir/file.txt'],
+      ]
+    );
+    assert.equal(events[0].descriptor.contentLength, 4);
+    assert.deepEqual(events[0].descriptor.metadata, { author: 'Smith' });
+    assert.equal(events[1].descriptor.contentLength, 11);
+    assert.equal(events[1].descriptor.etag, (await mfs.getDescriptor('/dir/file.txt')).etag);
+  });
+
+  it('should keep calling the modified function', async function () {
+    await mfs.renameFile('/dir/file.txt', 'renamed.txt');
+    assert.deepEqual(messages, ['renameFile: /dir/file.txt to /dir/renamed.txt']);
+    await waitFor(events, 1);
+  });
+
+  it('should emit rename events with the old pathname', async function () {
+    await mfs.renameFile('/dir/renamed.txt', 'file.txt');
+    await mfs.createFile('/dir/other.txt', 'test');
+    await waitFor(events, 2);
+    events.length = 0;
+    await mfs.renameFolder('/dir', '/folder');
+    await waitFor(events, 1);
+    const [event] = events;
+    assert.equal(event.type, 'rename');
+    assert.equal(event.pathname, '/folder');
+    assert.equal(event.oldPathname, '/dir');
+    assert.equal(event.folder, true);
+    assert.equal(event.count, 2);
+  });
+
+  it('should emit metadata events', async function () {
+    await mfs.updateMetadata('/folder/file.txt', { author: 'Jones' });
+    await mfs.updateFolderMetadata('/folder', { owner: 'Jones' });
+    await waitFor(events, 2);
+    assert.deepEqual(events[0].descriptor.metadata, { author: 'Jones' });
+    assert.equal(events[0].pathname, '/folder/file.txt');
+    assert.deepEqual(events[1].metadata, { owner: 'Jones' });
+    assert.equal(events[1].folder, true);
+  });
+
+  it('should emit create events for copies', async function () {
+    await mfs.copyFile('/folder/file.txt', '/copy.txt');
+    await mfs.copyFolder('/folder', '/folder2');
+    await waitFor(events, 2);
+    assert.equal(events[0].type, 'create');
+    assert.equal(events[0].pathname, '/copy.txt');
+    assert.equal(events[0].source, '/folder/file.txt');
+    assert.equal(events[0].descriptor.contentLength, 11);
+    assert.equal(events[1].source, '/folder');
+    assert.equal(events[1].count, 2);
+  });
+
+  it('should emit delete events with the count', async function () {
+    await mfs.deleteFile('/copy.txt');
+    await mfs.deleteFolder('/folder2');
+    await waitFor(events, 2);
+    assert.equal(events[0].type, 'delete');
+    assert.equal(events[0].pathname, '/copy.txt');
+    assert.equal(events[0].descriptor.contentLength, 11);
+    assert.equal(events[1].folder, true);
+    assert.equal(events[1].count, 2);
+  });
+
+  it('should emit the events of a batch once it is complete', async function () {
+    await mfs.batch(async (batch) => {
+      await batch.createFile('/batch/a', 'test');
+      await batch.renameFile('/batch/a', '/batch/b');
+      assert.equal(events.length, 0);
+    });
+    await waitFor(events, 2);
+    assert.deepEqual(
+      events.map((e) => e.type),
+      ['create', 'rename']
+    );
+    events.length = 0;
+    await assert.rejects(
+      mfs.batch(async (batch) => {
+        await batch.deleteFile('/batch/b');
+        throw new Error('failed');
+      })
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(events.length, 0);
+  });
+
+  it('should emit events with the full pathnames for scoped views', async function () {
+    await mfs.scope('/folder').createFile('/scoped.txt', 'test');
+    await waitFor(events, 1);
+    assert.equal(events[0].pathname, '/folder/scoped.txt');
+  });
+
+  it('should only emit the events within the folder on scoped views', async function () {
+    const scoped = [];
+    collect(mfs.scope('/folder'), scoped);
+    await mfs.createFile('/outside.txt', 'test');
+    await mfs.scope('/folder').createFile('/inside.txt', 'test');
+    await mfs.renameFile('/outside.txt', '/folder/moved.txt');
+    await mfs.renameFile('/folder/inside.txt', '/outside.txt');
+    await waitFor(events, 4);
+    await waitFor(scoped, 3);
+    assert.deepEqual(
+      scoped.map((e) => [e.type, e.pathname, e.oldPathname]),
+      [
+        ['create', '/inside.txt', undefined],
+        ['create', '/moved.txt', undefined],
+        ['delete', '/inside.txt', undefined],
+      ]
+    );
+    assert.equal(scoped[0].descriptor.pathname, '/inside.txt');
+    assert.equal(events[1].pathname, '/folder/inside.txt');
+  });
+
+  it('should only emit the events that the principal can read on views', async function () {
+    await mfs.createFolder('/shared');
+    await mfs.setAccess('/shared', { acl: [{ user: 'jones', permissions: ['read'] }] });
+    await waitFor(events, 1);
+    const jones = [];
+    const view = mfs.as('jones');
+    collect(view, jones);
+    await mfs.createFile('/private.txt', 'test', { secret: true });
+    await mfs.createFile('/shared/file.txt', 'test');
+    await waitFor(events, 3);
+    await waitFor(jones, 1);
+    assert.equal(jones[0].pathname, '/shared/file.txt');
+    view.removeAllListeners();
+    await mfs.createFile('/shared/other.txt', 'test');
+    await waitFor(events, 4);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(jones.length, 1);
+  });
+
+  it('should emit the events after the operation has completed', async function () {
+    let completed = false;
+    const seen = [];
+    mfs.on('create', () => seen.push(completed));
+    await mfs.createFile('/completed.txt', 'test');
+    completed = true;
+    await waitFor(seen, 1);
+    assert.deepEqual(seen, [true]);
+  });
+
+  it('should emit an error instead of failing the operation', async function () {
+    const errors = [];
+    mfs.on('error', (err) => errors.push(err));
+    mfs.once('create', () => {
+      throw new Error('listener failed');
+    });
+    await mfs.createFile('/thrown.txt', 'test');
+    await waitFor(errors, 1);
+    assert.equal(errors[0].message, 'listener failed');
+    const logged = new MongoFS(db, { changeLog: true });
+    logged._changes = () => ({ insertOne: () => Promise.reject(new Error('log failed')) });
+    logged.on('error', (err) => errors.push(err));
+    const emitted = [];
+    collect(logged, emitted);
+    await logged.createFile('/logged.txt', 'test');
+    await waitFor(emitted, 1);
+    assert.equal(errors[1].message, 'log failed');
+    assert.equal(await mfs.isFile('/logged.txt'), true);
+  });
+
+  describe('watch', function () {
+    let logged = null;
+    let watching = null;
+    let watcher = null;
+    let watched = [];
+
+    before(async function () {
+      const { setName, msg } = await db.command({ isMaster: 1 });
+      if (!setName && msg !== 'isdbgrid') {
+        this.skip(); // change streams require a replica set
+      }
+      logged = new MongoFS(db, { changeLog: true });
+      await logged.ensureIndexes();
+      watching = new MongoFS(db);
+      watcher = watching.watch('/watched');
+      collect(watcher, watched);
+    });
+
+    it('should deliver the changes of other instances', async function () {
+      await logged.createFile('/watched/file.txt', 'test', { author: 'Smith' });
+      await logged.renameFile('/watched/file.txt', '/watched/renamed.txt');
+      await waitFor(watched, 2);
+      assert.equal(watched[0].type, 'create');
+      assert.deepEqual(watched[0].descriptor.metadata, { author: 'Smith' });
+      assert.equal(watched[1].type, 'rename');
+      assert.equal(watched[1].oldPathname, '/watched/file.txt');
+      assert.equal(watched[1].pathname, '/watched/renamed.txt');
+    });
+
+    it('should only deliver the changes within the folder', async function () {
+      await logged.createFile('/other/file.txt', 'test');
+      await logged.renameFile('/watched/renamed.txt', '/other/moved.txt');
+      await logged.deleteFolder('/watched');
+      await waitFor(watched, 4);
+      assert.equal(watched[2].oldPathname, '/watched/renamed.txt');
+      assert.equal(watched[3].type, 'delete');
+      assert.equal(watched[3].pathname, '/watched');
+    });
+
+    it('should deliver the files written by other GridFS clients', async function () {
+      const upload = new GridFSBucket(db).openUploadStream('/watched/plain.txt');
+      await new Promise((resolve, reject) => {
+        upload.on('error', reject).on('finish', resolve).end('test');
+      });
+      await waitFor(watched, 5);
+      assert.equal(watched[4].type, 'create');
+      assert.equal(watched[4].pathname, '/watched/plain.txt');
+      assert.equal(watched[4].descriptor.contentLength, 4);
+    });
+
+    it('should record the changes of the watching instance', async function () {
+      await watching.createFile('/watched/own.txt', 'test');
+      await waitFor(watched, 6);
+      assert.equal(watched[5].pathname, '/watched/own.txt');
+    });
+
+    after(async function () {
+      if (watcher) {
+        await watcher.close();
+      }
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await db.collection('fs.changes').deleteMany({});
+    await client.close();
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+const FILES = [
+  '/site/index.html',
+  '/site/about.HTML',
+  '/site/data.json',
+  '/site/config/app.json',
+  '/site/config/db.json',
+  '/site/config/local/db.json',
+  '/site/img/a1.png',
+  '/site/img/b2.jpg',
+  '/site/img/c3.gif',
+  '/site (old)/data.json',
+];
+
+describe('walk and glob', function () {
+  let client = null;
+  let mfs = null;
+
+  // Collects the pathnames yielded by an async iterator.
+  async function collect(iterator) {
+    const pathnames = [];
+    for await (const file of iterator) {
+      pathnames.push(file.pathname);
+    }
+    return pathnames;
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+    for (const pathname of FILES) {
+      await mfs.createFile(pathname, 'test', { size: pathname.length });
+    }
+    await mfs.createFolder('/site/empty');
+  });
+
+  describe('walk', function () {
+    it('should yield all files in the folder and its subfolders', async function () {
+      const pathnames = await collect(mfs.walk('/site/config'));
+      assert.deepEqual(pathnames, [
+        '/site/config/app.json',
+        '/site/config/db.json',
+        '/site/config/local/db.json',
+      ]);
+    });
+    it('should limit the depth', async function () {
+      assert.equal((await collect(mfs.walk('/site', { depth: 1 }))).length, 3);
+      assert.equal((await collect(mfs.walk('/site', { depth: 2 }))).length, 8);
+      assert.equal((await collect(mfs.walk('/site'))).length, 9);
+      assert.deepEqual(await collect(mfs.walk('/site', { depth: 0 })), []);
+    });
+    it('should apply a filter function', async function () {
+      const filter = (file) => file.filename.endsWith('.json');
+      const pathnames = await collect(mfs.walk('/', { filter }));
+      assert.equal(pathnames.length, 5);
+    });
+    it('should apply a filter query', async function () {
+      const filter = { 'metadata.size': { $gt: 21 } };
+      const pathnames = await collect(mfs.walk('/', { filter }));
+      assert.deepEqual(pathnames, ['/site/config/local/db.json']);
+    });
+    it('should stop early', async function () {
+      for await (const file of mfs.walk('/site')) {
+        assert.equal(file.pathname, '/site/about.HTML');
+        break;
+      }
+    });
+  });
+
+  describe('glob', function () {
+    // Gets the pathnames matching the pattern.
+    async function glob(pattern, options) {
+      const files = await mfs.glob(pattern, options);
+      return files.map((f) => f.pathname);
+    }
+
+    it('should match ** across folders', async function () {
+      assert.deepEqual(await glob('/site/**/db.json'), [
+        '/site/config/db.json',
+        '/site/config/local/db.json',
+      ]);
+      assert.equal((await glob('**/*.json')).length, 5);
+      assert.equal((await glob('/site/**')).length, 9);
+    });
+    it('should match * and ? within a folder', async function () {
+      assert.deepEqual(await glob('/site/*.json'), ['/site/data.json']);
+      assert.deepEqual(await glob('/site/img/??.png'), ['/site/img/a1.png']);
+      assert.deepEqual(await glob('/*/data.json'), ['/site (old)/data.json', '/site/data.json']);
+    });
+    it('should match character classes', async function () {
+      assert.deepEqual(await glob('/site/img/[ab]*'), ['/site/img/a1.png', '/site/img/b2.jpg']);
+      assert.deepEqual(await glob('/site/img/[!ab]*'), ['/site/img/c3.gif']);
+      assert.deepEqual(await glob('/site/img/?[2-3].*'), ['/site/img/b2.jpg', '/site/img/c3.gif']);
+    });
+    it('should match alternatives', async function () {
+      assert.deepEqual(await glob('/site/img/*.{png,jpg}'), [
+        '/site/img/a1.png',
+        '/site/img/b2.jpg',
+      ]);
+      assert.deepEqual(await glob('/site/{config/app,data}.json'), [
+        '/site/config/app.json',
+        '/site/data.json',
+      ]);
+    });
+    it('should match metacharacters literally', async function () {
+      assert.deepEqual(await glob('/site (old)/*'), ['/site (old)/data.json']);
+      assert.deepEqual(await glob('/site/index?html'), ['/site/index.html']);
+      assert.deepEqual(await glob('/site/index\\?html'), []);
+    });
+    it('should be case-sensitive unless nocase is set', async function () {
+      assert.deepEqual(await glob('/site/*.html'), ['/site/index.html']);
+      assert.deepEqual(await glob('/SITE/*.html', { nocase: true }), [
+        '/site/about.HTML',
+        '/site/index.html',
+      ]);
+    });
+    it('should be restricted to a scope', async function () {
+      const site = mfs.scope('/site');
+      const files = await site.glob('**/db.json');
+      assert.deepEqual(
+        files.map((f) => f.pathname),
+        ['/config/db.json', '/config/local/db.json']
+      );
+    });
+    it('should reject unbalanced braces', async function () {
+      await assert.rejects(mfs.glob('/site/{a,b'), { code: 'EINVAL' });
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('symbolic links', function () {
+  let client = null;
+  let db = null;
+  let mfs = null;
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  beforeEach(async function () {
+    await mfs.createFile('/releases/v1/app.js', 'version 1');
+    await mfs.createFile('/releases/v2/app.js', 'version 2');
+    await mfs.createFile('/releases/v2/lib/util.js', 'util');
+    await mfs.createSymlink('v2', '/releases/latest');
+  });
+
+  describe('createSymlink', function () {
+    it('should resolve the target against the link', async function () {
+      assert.equal(await mfs.readlink('/releases/latest'), '/releases/v2');
+      await mfs.createSymlink('../releases/v1/app.js', '/docs/app.js');
+      assert.equal(await mfs.readlink('/docs/app.js'), '/releases/v1/app.js');
+    });
+    it('should treat the link as occupying its path', async function () {
+      await assert.rejects(mfs.createSymlink('v1', '/releases/LATEST'), { code: 'EEXIST' });
+      await assert.rejects(mfs.createFile('/releases/latest', 'test'), { code: 'EEXIST' });
+      await assert.rejects(mfs.createFile('/releases/latest/new.js', 'test'), {
+        code: 'EEXIST',
+      });
+      await assert.rejects(mfs.createSymlink('v1', '/releases/v2'), { code: 'EEXIST' });
+    });
+    it('should allow a link to a missing target', async function () {
+      await mfs.createSymlink('/nosuchfile', '/dangling');
+      assert.equal(await mfs.isFile('/dangling'), false);
+      await assert.rejects(mfs.getFile('/dangling'), { code: 'ENOENT' });
+    });
+    it('should emit a create event', async function () {
+      // The events of the files created before are emitted as well.
+      const created = new Promise((resolve) => {
+        mfs.on('create', (event) => event.pathname === '/previous' && resolve(event));
+      });
+      await mfs.createSymlink('/releases/v1', '/previous');
+      const event = await created;
+      mfs.removeAllListeners();
+      assert.equal(event.pathname, '/previous');
+      assert.equal(event.link, '/releases/v1');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('readlink', function () {
+    it('should reject a pathname that is not a link', async function () {
+      await assert.rejects(mfs.readlink('/releases/v1/app.js'), { code: 'EINVAL' });
+      await assert.rejects(mfs.readlink('/nosuchlink'), { code: 'ENOENT' });
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('following', function () {
+    it('should get a file through a folder link', async function () {
+      const file = await mfs.getFile('/releases/latest/app.js');
+      assert.equal(file.content.toString(), 'version 2');
+      assert.equal(file.pathname, '/releases/latest/app.js');
+      assert.equal(file.link, '/releases/v2/app.js');
+      const util = await mfs.getFile('/releases/latest/lib/util.js');
+      assert.equal(util.content.toString(), 'util');
+    });
+    it('should get a file through a file link', async function () {
+      await mfs.createSymlink('/releases/latest/app.js', '/app.js');
+      const file = await mfs.getFile('/app.js');
+      assert.equal(file.content.toString(), 'version 2');
+      assert.equal(file.link, '/releases/v2/app.js');
+      assert.equal((await mfs.getDescriptor('/app.js')).link, '/releases/v2/app.js');
+      assert.equal((await mfs.getDescriptor('/releases/v2/app.js')).link, undefined);
+    });
+    it('should determine if a link refers to a file or folder', async function () {
+      await mfs.createSymlink('/releases/v1/app.js', '/app.js');
+      assert.equal(await mfs.isFolder('/releases/latest'), true);
+      assert.equal(await mfs.isFile('/releases/latest'), false);
+      assert.equal(await mfs.isFile('/releases/latest/app.js'), true);
+      assert.equal(await mfs.isFolder('/releases/latest/lib'), true);
+      assert.equal(await mfs.isFile('/app.js'), true);
+      assert.equal(await mfs.isFolder('/app.js'), false);
+    });
+    it('should list the files of a linked folder', async function () {
+      assert.deepEqual(await mfs.getFiles('/releases/latest', true), ['app.js']);
+      const [file] = await mfs.getFiles('/releases/latest');
+      assert.equal(file.pathname, '/releases/v2/app.js');
+      assert.deepEqual(await mfs.getFolders('/releases/latest'), ['lib']);
+    });
+    it('should list the links in a folder', async function () {
+      await mfs.createSymlink('v1/app.js', '/releases/app.js');
+      await mfs.createSymlink('nosuchfile', '/releases/dangling');
+      assert.deepEqual(await mfs.getFiles('/releases', true), ['app.js']);
+      const [file] = await mfs.getFiles('/releases');
+      assert.equal(file.pathname, '/releases/app.js');
+      assert.equal(file.link, '/releases/v1/app.js');
+      assert.equal(file.contentLength, 9);
+      const folders = await mfs.getFolders('/releases');
+      assert.deepEqual(folders.sort(), ['latest', 'v1', 'v2']);
+      const page = await mfs.getFiles('/releases', { limit: 10 });
+      assert.deepEqual(
+        page.items.map((f) => f.link),
+        ['/releases/v1/app.js']
+      );
+    });
+    it('should not find links', async function () {
+      const found = await mfs.findFiles({});
+      assert.equal(found.length, 3);
+      assert.equal((await mfs.glob('/releases/**')).length, 3);
+      assert.deepEqual(await mfs.getUsage('/releases'), { bytes: 22, files: 3 });
+    });
+    it('should update the file that the link refers to', async function () {
+      await mfs.updateFile('/releases/latest/app.js', 'version 2.1');
+      await mfs.updateMetadata('/releases/latest/app.js', { author: 'Smith' });
+      const file = await mfs.getFile('/releases/v2/app.js');
+      assert.equal(file.content.toString(), 'version 2.1');
+      assert.deepEqual(file.metadata, { author: 'Smith' });
+    });
+    it('should detect loops', async function () {
+      await mfs.createSymlink('/loop/b', '/loop/a');
+      await mfs.createSymlink('/loop/a', '/loop/b');
+      await assert.rejects(mfs.getFile('/loop/a'), { code: 'ELOOP' });
+      await assert.rejects(mfs.getFiles('/loop/a/dir'), { code: 'ELOOP' });
+      assert.equal(await mfs.isFile('/loop/a'), false);
+      assert.deepEqual(await mfs.getFiles('/loop'), []);
+    });
+    it('should limit the number of links followed', async function () {
+      for (let i = 0; i < 41; i++) {
+        await mfs.createSymlink(`/chain/${i}`, `/chain/${i + 1}`);
+      }
+      await mfs.createFile('/chain/0', 'test');
+      assert.equal((await mfs.getFile('/chain/40')).content.toString(), 'test');
+      await assert.rejects(mfs.getFile('/chain/41'), { code: 'ELOOP' });
+    });
+    it('should not follow a link out of a scoped view', async function () {
+      await mfs.createSymlink('/releases/v1', '/tenant/escape');
+      await mfs.createSymlink('/tenant/data.txt', '/tenant/inside');
+      await mfs.createFile('/tenant/data.txt', 'test');
+      const scoped = mfs.scope('/tenant');
+      await assert.rejects(scoped.getFile('/escape/app.js'), { code: 'ENOENT' });
+      await assert.rejects(scoped.readlink('/escape'), { code: 'ENOENT' });
+      assert.equal(await scoped.readlink('/inside'), '/data.txt');
+      assert.equal((await scoped.getFile('/inside')).link, '/data.txt');
+      await scoped.createSymlink('/data.txt', '/other');
+      assert.equal(await mfs.readlink('/tenant/other'), '/tenant/data.txt');
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('links themselves', function () {
+    it('should rename the link instead of its target', async function () {
+      await mfs.renameFile('/releases/latest', '/releases/current');
+      assert.equal(await mfs.readlink('/releases/current'), '/releases/v2');
+      assert.equal(await mfs.isFolder('/releases/v2'), true);
+      assert.equal(await mfs.isFolder('/releases/latest'), false);
+    });
+    it('should delete the link instead of its target', async function () {
+      await mfs.deleteFile('/releases/latest');
+      assert.equal(await mfs.isFile('/releases/v2/app.js'), true);
+      await mfs.createSymlink('v1', '/releases/latest');
+      assert.equal((await mfs.getFile('/releases/latest/app.js')).content.toString(), 'version 1');
+    });
+    it('should copy and delete links with their folders', async function () {
+      assert.equal(await mfs.copyFolder('/releases', '/backup'), 4);
+      assert.equal(await mfs.readlink('/backup/latest'), '/releases/v2');
+      await mfs.deleteFolder('/releases');
+      assert.equal(await mfs.isFolder('/backup/latest'), false);
+      assert.equal(await db.collection('fs.files').countDocuments({ type: 'link' }), 1);
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
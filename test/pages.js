@@ -0,0 +1,147 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('pagination', function () {
+  let client = null;
+  let mfs = null;
+
+  // Gets all pages of the folder and returns the pathnames of each page.
+  async function pages(folder, options) {
+    const retval = [];
+    let page = await mfs.getFiles(folder, options);
+    retval.push(page.items.map((f) => f.pathname));
+    while (page.nextCursor) {
+      page = await mfs.getFiles(folder, Object.assign({}, options, { after: page.nextCursor }));
+      retval.push(page.items.map((f) => f.pathname));
+    }
+    return retval;
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+    // Files e and d have the same size to test the order of equal values.
+    const sizes = { c: 3, a: 1, e: 4, d: 4, b: 2 };
+    for (const name of Object.keys(sizes)) {
+      await mfs.createFile(`/pages/${name}`, 'x'.repeat(sizes[name]), { page: true });
+    }
+    await mfs.createFile('/pages/sub/file', 'test', { page: true });
+  });
+
+  describe('getFiles', function () {
+    it('should sort by name by default', async function () {
+      const page = await mfs.getFiles('/pages', {});
+      assert.deepEqual(
+        page.items.map((f) => f.filename),
+        ['a', 'b', 'c', 'd', 'e']
+      );
+      assert.equal(page.nextCursor, null);
+    });
+    it('should return pages of the limit', async function () {
+      assert.deepEqual(await pages('/pages', { limit: 2 }), [
+        ['/pages/a', '/pages/b'],
+        ['/pages/c', '/pages/d'],
+        ['/pages/e'],
+      ]);
+    });
+    it('should sort by size in descending order', async function () {
+      assert.deepEqual(await pages('/pages', { limit: 2, sort: '-size' }), [
+        ['/pages/d', '/pages/e'],
+        ['/pages/c', '/pages/b'],
+        ['/pages/a'],
+      ]);
+    });
+    it('should sort compressed files by their content length', async function () {
+      const compressed = new MongoFS(client.db(DB), { compression: { pathnames: ['**'] } });
+      await compressed.createFile('/sizes/large', 'x'.repeat(1000));
+      await compressed.createFile('/sizes/small', 'abcdefghijklmnopqrstuvwxyz');
+      assert.ok((await mfs.getDescriptor('/sizes/large')).encoding);
+      assert.deepEqual(await pages('/sizes', { limit: 1, sort: '-size' }), [
+        ['/sizes/large'],
+        ['/sizes/small'],
+      ]);
+      const page = await mfs.getFiles('/sizes', { sort: 'size', fields: ['contentLength'] });
+      assert.deepEqual(page.items, [{ contentLength: 26 }, { contentLength: 1000 }]);
+      await mfs.deleteFolder('/sizes');
+    });
+    it('should sort by the last modified date', async function () {
+      assert.deepEqual(await pages('/pages', { limit: 3, sort: 'lastModified' }), [
+        ['/pages/c', '/pages/a', '/pages/e'],
+        ['/pages/d', '/pages/b'],
+      ]);
+    });
+    it('should not shift the pages when files are created', async function () {
+      const first = await mfs.getFiles('/pages', { limit: 2 });
+      await mfs.createFile('/pages/0', 'test');
+      const second = await mfs.getFiles('/pages', { limit: 2, after: first.nextCursor });
+      assert.deepEqual(
+        second.items.map((f) => f.filename),
+        ['c', 'd']
+      );
+      await mfs.deleteFile('/pages/0');
+    });
+    it('should only include the specified fields', async function () {
+      const page = await mfs.getFiles('/pages', {
+        limit: 1,
+        fields: ['filename', 'contentLength'],
+      });
+      assert.deepEqual(page.items, [{ filename: 'a', contentLength: 1 }]);
+    });
+    it('should reject invalid options', async function () {
+      await assert.rejects(mfs.getFiles('/pages', { limit: 0 }), { code: 'EINVAL' });
+      await assert.rejects(mfs.getFiles('/pages', { sort: 'color' }), { code: 'EINVAL' });
+      await assert.rejects(mfs.getFiles('/pages', { after: 'garbage' }), { code: 'EINVAL' });
+      const page = await mfs.getFiles('/pages', { limit: 1 });
+      await assert.rejects(mfs.getFiles('/pages', { sort: 'size', after: page.nextCursor }), {
+        code: 'EINVAL',
+      });
+    });
+  });
+
+  describe('findFiles', function () {
+    it('should return a page of the files', async function () {
+      const page = await mfs.findFiles({ 'metadata.page': true }, { limit: 4, sort: '-name' });
+      assert.deepEqual(
+        page.items.map((f) => f.pathname),
+        ['/pages/sub/file', '/pages/e', '/pages/d', '/pages/c']
+      );
+      assert(page.nextCursor);
+    });
+  });
+
+  describe('iterators', function () {
+    it('should iterate over the files of a folder', async function () {
+      const names = [];
+      for await (const file of mfs.getFilesIterator('/pages', { pageSize: 2, sort: '-name' })) {
+        names.push(file.filename);
+      }
+      assert.deepEqual(names, ['e', 'd', 'c', 'b', 'a']);
+    });
+    it('should iterate over the files matching a query', async function () {
+      const pathnames = [];
+      for await (const file of mfs.findFilesIterator({ 'metadata.page': true }, { pageSize: 4 })) {
+        pathnames.push(file.pathname);
+      }
+      assert.equal(pathnames.length, 6);
+      assert.equal(pathnames[5], '/pages/sub/file');
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
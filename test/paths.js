@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+// Folder names containing regular expression metacharacters. Each one is
+// paired with a sibling folder that the unescaped name would also match.
+const SPECIAL = [
+  ['/reports (2020)', '/reports 2020'],
+  ['/a+b', '/aab'],
+  ['/a.b', '/aXb'],
+  ['/[x]', '/x'],
+  ['/a|b', '/b'],
+  ['/^$', '/$'],
+  ['/a*', '/aaa'],
+  ['/a?', '/a'],
+  ['/{1}', '/{11}'],
+  ['/a\\d', '/a1'],
+];
+
+describe('paths', function () {
+  let client = null;
+  let mfs = null;
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  describe('regular expression metacharacters', function () {
+    beforeEach(async function () {
+      for (const [folder, sibling] of SPECIAL) {
+        await mfs.createFile(`${folder}/file`, 'test');
+        await mfs.createFile(`${folder}/sub/file`, 'test');
+        await mfs.createFile(`${sibling}/other`, 'test');
+      }
+    });
+    it('should only get the files in the folder', async function () {
+      for (const [folder] of SPECIAL) {
+        const files = await mfs.getFiles(folder, true);
+        assert.deepEqual(files, ['file'], folder);
+      }
+    });
+    it('should only get the folders in the folder', async function () {
+      for (const [folder] of SPECIAL) {
+        const folders = await mfs.getFolders(folder);
+        assert.deepEqual(folders, ['sub'], folder);
+      }
+    });
+    it('should not match a different folder', async function () {
+      await mfs.deleteFolder('/a');
+      assert.equal(await mfs.isFolder('/a'), false);
+      assert.equal(await mfs.isFolder('/a?'), true);
+      assert.equal(await mfs.isFolder('/a.'), false);
+      assert.equal(await mfs.isFolder('/reports (2020)'), true);
+    });
+    it('should only delete the files in the folder', async function () {
+      for (const [folder, sibling] of SPECIAL) {
+        assert.equal(await mfs.deleteFolder(folder), 2, folder);
+        assert.equal(await mfs.isFile(`${sibling}/other`), true, sibling);
+      }
+    });
+    it('should only rename the files in the folder', async function () {
+      for (const [folder, sibling] of SPECIAL) {
+        assert.equal(await mfs.renameFolder(folder, `/renamed${folder}`), 2, folder);
+        assert.equal(await mfs.isFile(`${sibling}/other`), true, sibling);
+      }
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('unicode', function () {
+    before(async function () {
+      await mfs.createFile('/ünïcødé/日本語/ファイル', 'test');
+      await mfs.createFile('/ünïcødé/emoji 😀', 'test');
+    });
+    it('should get the files and folders', async function () {
+      assert.deepEqual(await mfs.getFiles('/ünïcødé', true), ['emoji 😀']);
+      assert.deepEqual(await mfs.getFolders('/ünïcødé'), ['日本語']);
+      assert.equal(await mfs.isFolder('/ünïcødé/日本語'), true);
+    });
+    it('should detect conflicts that differ in case', async function () {
+      await assert.rejects(mfs.createFile('/ÜNÏCØDÉ/EMOJI 😀', 'test'), { code: 'EEXIST' });
+    });
+    it('should rename and delete the folder', async function () {
+      assert.equal(await mfs.renameFolder('/ünïcødé', '/ñ'), 2);
+      assert.equal(await mfs.isFile('/ñ/日本語/ファイル'), true);
+      assert.equal(await mfs.deleteFolder('/ñ'), 2);
+    });
+  });
+
+  describe('deep paths', function () {
+    const depth = 100;
+    const parts = [];
+    for (let i = 0; i < depth; i++) {
+      parts.push(`level${i}`);
+    }
+    const deep = '/' + parts.join('/');
+    before(async function () {
+      await mfs.createFile(`${deep}/file`, 'test');
+    });
+    it('should get the file', async function () {
+      const file = await mfs.getFile(`${deep}/file`);
+      assert.equal(file.content.toString(), 'test');
+      assert.deepEqual(await mfs.getFiles(deep, true), ['file']);
+    });
+    it('should treat every ancestor as a folder', async function () {
+      assert.deepEqual(await mfs.getFolders('/level0/level1'), ['level2']);
+      await assert.rejects(mfs.createFile('/level0/level1', 'test'), { code: 'EEXIST' });
+    });
+    it('should detect a conflict with a deep file', async function () {
+      await assert.rejects(mfs.createFile(`${deep}/file/below`, 'test'), { code: 'EEXIST' });
+    });
+    it('should delete the folder', async function () {
+      assert.equal(await mfs.deleteFolder('/level0'), 1);
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('quotas', function () {
+  let client = null;
+  let mfs = null;
+
+  // Writes the buffers to a new file through a write stream.
+  function upload(pathname, buffers) {
+    return new Promise((resolve, reject) => {
+      const stream = mfs.createWriteStream(pathname);
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      buffers.forEach((buf) => stream.write(buf));
+      stream.end();
+    });
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  describe('getUsage', function () {
+    before(async function () {
+      await mfs.createFile('/usage/a', '1234');
+      await mfs.createFile('/usage/sub/b', '123456');
+      await mfs.createFolder('/usage/empty');
+      await mfs.createFile('/other/c', '12');
+    });
+    it('should get the bytes and files of a folder', async function () {
+      assert.deepEqual(await mfs.getUsage('/usage'), { bytes: 10, files: 2 });
+      assert.deepEqual(await mfs.getUsage('/usage/sub'), { bytes: 6, files: 1 });
+      assert.deepEqual(await mfs.getUsage('/'), { bytes: 12, files: 3 });
+      assert.deepEqual(await mfs.getUsage('/nosuchfolder'), { bytes: 0, files: 0 });
+    });
+    it('should follow renames', async function () {
+      await mfs.renameFile('/usage/sub/b', '/other/b');
+      assert.deepEqual(await mfs.getUsage('/usage'), { bytes: 4, files: 1 });
+      assert.deepEqual(await mfs.getUsage('/other'), { bytes: 8, files: 2 });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  describe('setQuota', function () {
+    beforeEach(async function () {
+      await mfs.createFolder('/acme');
+      await mfs.setQuota('/acme', { maxBytes: 10, maxFiles: 3, maxFileSize: 6 });
+      await mfs.createFile('/acme/a', '1234');
+    });
+    it('should store the quota with the folder', async function () {
+      assert.deepEqual(await mfs.getQuota('/acme'), { maxBytes: 10, maxFiles: 3, maxFileSize: 6 });
+      assert.equal(await mfs.getQuota('/'), null);
+      await assert.rejects(mfs.getQuota('/nosuchfolder'), { code: 'ENOENT' });
+      await mfs.renameFolder('/acme', '/acme2');
+      assert.deepEqual(await mfs.getQuota('/acme2'), { maxBytes: 10, maxFiles: 3, maxFileSize: 6 });
+      await mfs.setQuota('/acme2', null);
+      assert.equal(await mfs.getQuota('/acme2'), null);
+    });
+    it('should make an implicit folder explicit', async function () {
+      await mfs.createFile('/implicit/file', 'test');
+      await mfs.setQuota('/implicit', { maxFiles: 1 });
+      await assert.rejects(mfs.createFile('/implicit/other', 'test'), { code: 'EDQUOT' });
+    });
+    it('should reject an invalid quota', async function () {
+      await assert.rejects(mfs.setQuota('/acme', { maxBytes: -1 }), { code: 'EINVAL' });
+      await assert.rejects(mfs.setQuota('/', { maxBytes: 1 }), { code: 'EINVAL' });
+      await assert.rejects(mfs.setQuota('/nosuchfolder', { maxBytes: 1 }), { code: 'ENOENT' });
+    });
+    it('should limit the file size', async function () {
+      await assert.rejects(mfs.createFile('/acme/big', '1234567'), { code: 'EDQUOT' });
+      assert.equal(await mfs.isFile('/acme/big'), false);
+      await mfs.createFile('/acme/sub/ok', '123456');
+    });
+    it('should limit the total bytes', async function () {
+      await mfs.createFile('/acme/b', '12345');
+      await assert.rejects(mfs.createFile('/acme/c', '12'), { code: 'EDQUOT' });
+      await assert.rejects(mfs.updateFile('/acme/a', '123456'), { code: 'EDQUOT' });
+      await mfs.updateFile('/acme/a', '12345');
+      assert.deepEqual(await mfs.getUsage('/acme'), { bytes: 10, files: 2 });
+    });
+    it('should limit the number of files', async function () {
+      await mfs.createFile('/acme/b', '');
+      await mfs.createFile('/acme/c', '');
+      await assert.rejects(mfs.createFile('/acme/d', ''), { code: 'EDQUOT' });
+      await mfs.updateFile('/acme/c', '1');
+    });
+    it('should stop an upload exceeding the quota', async function () {
+      await assert.rejects(upload('/acme/stream', ['123', '456', '789']), { code: 'EDQUOT' });
+      assert.equal(await mfs.isFile('/acme/stream'), false);
+      assert.deepEqual(await mfs.getUsage('/acme'), { bytes: 4, files: 1 });
+      await upload('/acme/stream', ['123', '456']);
+    });
+    it('should check copies', async function () {
+      await mfs.createFile('/outside/big', '1234567');
+      await mfs.createFile('/outside/dir/a', '12345');
+      await mfs.createFile('/outside/dir/b', '12');
+      await assert.rejects(mfs.copyFile('/outside/big', '/acme/big'), { code: 'EDQUOT' });
+      await assert.rejects(mfs.copyFolder('/outside/dir', '/acme/dir'), { code: 'EDQUOT' });
+      assert.equal(await mfs.isFolder('/acme/dir'), false);
+      await mfs.copyFile('/outside/dir/a', '/acme/a2');
+    });
+    it('should check renames across quota boundaries', async function () {
+      await mfs.createFile('/outside/dir/a', '12345');
+      await mfs.createFile('/outside/dir/b', '12');
+      await assert.rejects(mfs.renameFolder('/outside/dir', '/acme/dir'), { code: 'EDQUOT' });
+      assert.equal(await mfs.isFile('/outside/dir/a'), true);
+      await mfs.renameFile('/outside/dir/a', '/acme/a2');
+      assert.deepEqual(await mfs.getUsage('/acme'), { bytes: 9, files: 2 });
+      await mfs.renameFile('/acme/a2', '/acme/sub/a2');
+      await mfs.renameFolder('/acme/sub', '/acme/sub2');
+      await assert.rejects(mfs.renameFile('/outside/dir/b', '/acme/b'), { code: 'EDQUOT' });
+      await mfs.renameFolder('/acme/sub2', '/outside/sub');
+      assert.deepEqual(await mfs.getUsage('/acme'), { bytes: 4, files: 1 });
+      await mfs.renameFile('/outside/dir/b', '/acme/b');
+    });
+    it('should check nested quotas', async function () {
+      await mfs.createFolder('/acme/team');
+      await mfs.setQuota('/acme/team', { maxFiles: 1 });
+      await mfs.createFile('/acme/team/a', '1');
+      await assert.rejects(mfs.createFile('/acme/team/b', '1'), { code: 'EDQUOT' });
+      await assert.rejects(mfs.createFile('/acme/team2/b', '123456'), { code: 'EDQUOT' });
+    });
+    afterEach(async function () {
+      await mfs.deleteFolder('/');
+    });
+  });
+
+  after(async function () {
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
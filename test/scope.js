@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const { MongoClient } = require('mongodb');
+const { MongoFS } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('scope', function () {
+  let client = null;
+  let mfs = null;
+  let tenant = null;
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db, { trash: true });
+    await mfs.deleteFolder('/');
+    await mfs.emptyTrash();
+    await mfs.ensureIndexes();
+    tenant = mfs.scope('/tenants/42');
+  });
+
+  beforeEach(async function () {
+    await mfs.createFile('/tenants/42/docs/file', 'test', { owner: 42 });
+    await mfs.createFile('/tenants/43/docs/file', 'other', { owner: 43 });
+    await mfs.createFile('/secret', 'secret');
+  });
+
+  it('should resolve pathnames relative to the scope', async function () {
+    await tenant.createFile('/notes.txt', 'notes');
+    assert.equal(await mfs.isFile('/tenants/42/notes.txt'), true);
+    assert.deepEqual(await tenant.getFolders('/'), ['docs']);
+    assert.deepEqual(await tenant.getFiles('/docs', true), ['file']);
+  });
+
+  it('should not let .. escape the scope', async function () {
+    await assert.rejects(tenant.getFile('../43/docs/file'), { code: 'ENOENT' });
+    await assert.rejects(tenant.getFile('/../../secret'), { code: 'ENOENT' });
+    assert.equal(await tenant.isFolder('/../43'), false);
+    await tenant.renameFile('/docs/file', '../../../moved');
+    assert.equal(await mfs.isFile('/tenants/42/moved'), true);
+    assert.equal(await mfs.isFile('/moved'), false);
+  });
+
+  it('should return scope-relative pathnames', async function () {
+    const file = await tenant.getFile('/docs/file');
+    assert.equal(file.pathname, '/docs/file');
+    const [descriptor] = await tenant.getFiles('/docs');
+    assert.equal(descriptor.pathname, '/docs/file');
+    assert.equal((await tenant.getDescriptor('docs/file')).pathname, '/docs/file');
+  });
+
+  it('should restrict findFiles to the scope', async function () {
+    const files = await tenant.findFiles({ 'metadata.owner': { $exists: true } });
+    assert.deepEqual(
+      files.map((f) => f.pathname),
+      ['/docs/file']
+    );
+  });
+
+  it('should only delete the files within the scope', async function () {
+    assert.equal(await tenant.deleteFolder('/'), 1);
+    assert.equal(await mfs.isFile('/tenants/43/docs/file'), true);
+    assert.equal(await mfs.isFile('/secret'), true);
+  });
+
+  it('should create folders below the root of the scope', async function () {
+    assert.equal(await tenant.createFolder('/empty'), 1);
+    assert.equal(await mfs.isFolder('/tenants/42/empty'), true);
+    await assert.rejects(tenant.createFolder('/'), { code: 'EEXIST' });
+  });
+
+  it('should only list and restore the trash within the scope', async function () {
+    await tenant.deleteFile('/docs/file');
+    await mfs.deleteFile('/tenants/43/docs/file');
+    const entries = await tenant.listTrash();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].pathname, '/docs/file');
+    assert.equal(entries[0].files[0].pathname, '/docs/file');
+    const [other] = (await mfs.listTrash()).filter((e) => e.id !== entries[0].id);
+    await assert.rejects(tenant.restore(other.id), { code: 'ENOENT' });
+    assert.equal(await tenant.restore(entries[0].id), 1);
+    assert.equal(await mfs.isFile('/tenants/42/docs/file'), true);
+  });
+
+  it('should support nested scopes', async function () {
+    const docs = tenant.scope('docs');
+    assert.deepEqual(await docs.getFiles('/', true), ['file']);
+    assert.equal((await docs.getFile('/../file')).pathname, '/file');
+  });
+
+  afterEach(async function () {
+    await mfs.deleteFolder('/');
+    await mfs.emptyTrash();
+  });
+
+  after(async function () {
+    await client.close();
+  });
+});
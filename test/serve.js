@@ -0,0 +1,174 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { MongoClient } = require('mongodb');
+const { MongoFS, serve } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('serve', function () {
+  let client = null;
+  let mfs = null;
+  let server = null;
+
+  // Sends a request to the test server and resolves with the response
+  // status, headers and body (as a string).
+  function request(path, headers, method) {
+    return new Promise((resolve, reject) => {
+      const { port } = server.address();
+      const req = http.request({ port, path, headers, method }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+          });
+        });
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    await mfs.createFile('/public/hello.txt', 'hello world');
+    await mfs.createFile('/public/dir/file', 'test');
+    await mfs.createFile('/private/secret', 'secret');
+    server = http.createServer(serve(mfs, { root: '/public', listing: true }));
+    await new Promise((resolve) => server.listen(0, resolve));
+  });
+
+  describe('GET', function () {
+    it('should serve a file with its headers', async function () {
+      const res = await request('/hello.txt');
+      assert.equal(res.status, 200);
+      assert.equal(res.body, 'hello world');
+      assert.equal(res.headers['content-type'], 'text/plain');
+      assert.equal(res.headers['content-length'], '11');
+      assert.equal(res.headers['x-content-type-options'], 'nosniff');
+      assert(res.headers['etag']);
+      assert(res.headers['last-modified']);
+    });
+    it('should respond with 404 if the file does not exist', async function () {
+      const res = await request('/nosuchfile');
+      assert.equal(res.status, 404);
+    });
+    it('should not allow the path to escape the root folder', async function () {
+      const res = await request('/../private/secret');
+      assert.equal(res.status, 404);
+    });
+    it('should respond with 403 if the principal cannot read the file', async function () {
+      const unrestricted = server;
+      server = http.createServer(serve(mfs.as('guest'), { root: '/public' }));
+      await new Promise((resolve) => server.listen(0, resolve));
+      try {
+        const res = await request('/hello.txt');
+        assert.equal(res.status, 403);
+      } finally {
+        server.close();
+        server = unrestricted;
+      }
+    });
+    it('should respond with 405 for unsupported methods', async function () {
+      const res = await request('/hello.txt', {}, 'DELETE');
+      assert.equal(res.status, 405);
+    });
+  });
+
+  describe('HEAD', function () {
+    it('should send the headers without the content', async function () {
+      const res = await request('/hello.txt', {}, 'HEAD');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-length'], '11');
+      assert.equal(res.body, '');
+    });
+  });
+
+  describe('conditional requests', function () {
+    it('should respond with 304 if the ETag matches', async function () {
+      const { headers } = await request('/hello.txt');
+      const res = await request('/hello.txt', { 'if-none-match': headers['etag'] });
+      assert.equal(res.status, 304);
+    });
+    it('should respond with 304 if the file was not modified', async function () {
+      const { headers } = await request('/hello.txt');
+      const res = await request('/hello.txt', { 'if-modified-since': headers['last-modified'] });
+      assert.equal(res.status, 304);
+    });
+    it('should change the ETag when the file is updated', async function () {
+      await mfs.createFile('/public/changing', 'one');
+      const before = await request('/changing');
+      await mfs.updateFile('/public/changing', 'two');
+      const res = await request('/changing', { 'if-none-match': before.headers['etag'] });
+      assert.equal(res.status, 200);
+      assert.notEqual(res.headers['etag'], before.headers['etag']);
+      await mfs.deleteFile('/public/changing');
+    });
+    it('should respond with 200 if the ETag does not match', async function () {
+      const res = await request('/hello.txt', { 'if-none-match': '"other"' });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('range requests', function () {
+    it('should respond with 206 and the requested range', async function () {
+      const res = await request('/hello.txt', { range: 'bytes=6-' });
+      assert.equal(res.status, 206);
+      assert.equal(res.body, 'world');
+      assert.equal(res.headers['content-range'], 'bytes 6-10/11');
+    });
+    it('should support suffix ranges', async function () {
+      const res = await request('/hello.txt', { range: 'bytes=-5' });
+      assert.equal(res.status, 206);
+      assert.equal(res.body, 'world');
+    });
+    it('should respond with 416 if the range is not satisfiable', async function () {
+      const res = await request('/hello.txt', { range: 'bytes=20-30' });
+      assert.equal(res.status, 416);
+      assert.equal(res.headers['content-range'], 'bytes */11');
+    });
+    it('should ignore the range if If-Range does not match', async function () {
+      const res = await request('/hello.txt', { range: 'bytes=6-', 'if-range': '"other"' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body, 'hello world');
+    });
+  });
+
+  describe('listings', function () {
+    it('should redirect a folder without a trailing slash', async function () {
+      const res = await request('/dir');
+      assert.equal(res.status, 301);
+      assert.equal(res.headers['location'], '/dir/');
+    });
+    it('should list the files and folders as HTML', async function () {
+      const res = await request('/');
+      assert.equal(res.status, 200);
+      assert(res.body.includes('href="dir/"'));
+      assert(res.body.includes('href="hello.txt"'));
+    });
+    it('should list the files and folders as JSON', async function () {
+      const res = await request('/', { accept: 'application/json' });
+      const listing = JSON.parse(res.body);
+      assert.deepEqual(listing.folders, ['dir']);
+      assert.equal(listing.files.length, 1);
+    });
+  });
+
+  after(async function () {
+    server.close();
+    await mfs.deleteFolder('/');
+    await client.close();
+  });
+});
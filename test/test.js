@@ -1,7 +1,9 @@
 'use strict';
 
 const assert = require('assert');
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
+const { PassThrough, Readable, Writable } = require('stream');
+const { MongoClient, MongoError, ObjectId } = require('mongodb');
 const { MongoFS } = require('../mongodb-filesystem');
 
 const URL = 'mongodb://localhost:27017';
@@ -20,6 +22,50 @@ describe('MongoFS', function () {
     const db = client.db(DB);
     mfs = new MongoFS(db);
     await mfs.deleteFolder('/');
+    await mfs.ensureIndexes();
+  });
+
+  describe('ensureIndexes', function () {
+    it('should migrate the files of an earlier version', async function () {
+      await mfs.createFile('/legacy/file', 'test');
+      await client
+        .db(DB)
+        .collection('fs.files')
+        .updateOne({ filename: '/legacy/file' }, { $unset: { key: '', ancestors: '' } });
+      assert.equal(await mfs.ensureIndexes(), 1);
+      await assert.rejects(mfs.createFile('/Legacy/File', 'test'), { code: 'EEXIST' });
+      await assert.rejects(mfs.createFile('/LEGACY', 'test'), { code: 'EEXIST' });
+    });
+    it('should check the migrated files for conflicts, permissions and quotas', async function () {
+      await mfs.createFile('/unmigrated/file', 'test');
+      await mfs.setAccess('/unmigrated', { acl: [{ user: 'jones', permissions: ['read'] }] });
+      await mfs.setQuota('/unmigrated', { maxFiles: 1 });
+      await client
+        .db(DB)
+        .collection('fs.files')
+        .updateMany({ filename: /^\/unmigrated/ }, { $unset: { key: '', ancestors: '' } });
+      const fresh = new MongoFS(client.db(DB));
+      assert.equal(await fresh.ensureIndexes(), 2);
+      await assert.rejects(fresh.createFile('/Unmigrated/File', 'test'), { code: 'EEXIST' });
+      await assert.rejects(fresh.createFile('/unmigrated/other', 'test'), { code: 'EDQUOT' });
+      const file = await fresh.as('jones').getFile('/unmigrated/file');
+      assert.equal(file.content.toString(), 'test');
+      await mfs.deleteFolder('/unmigrated');
+    });
+    it('should not let concurrent writers create the same file', async function () {
+      const results = await Promise.allSettled([
+        mfs.createFile('/race', 'one'),
+        mfs.createFile('/RACE', 'two'),
+      ]);
+      const created = results.filter((result) => result.status === 'fulfilled');
+      assert.equal(created.length, 1);
+      const files = await mfs.getFiles('/');
+      assert.equal(files.filter((f) => f.filename.toLowerCase() === 'race').length, 1);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/legacy');
+      await mfs.deleteFile((await mfs.isFile('/race')) ? '/race' : '/RACE');
+    });
   });
 
   describe('createFile', function () {
@@ -53,8 +99,17 @@ describe('MongoFS', function () {
       const created = await mfs.createOrUpdateFile('/a/b/c/x', 'test');
       assert(!created);
     });
+    it('should let concurrent writers both succeed', async function () {
+      await Promise.all([
+        mfs.createOrUpdateFile('/a/b/c/both', 'one'),
+        mfs.createOrUpdateFile('/a/b/c/both', 'two'),
+      ]);
+      const files = await mfs.getFiles('/a/b/c', true);
+      assert.equal(files.filter((name) => name === 'both').length, 1);
+    });
     after(async function () {
       await mfs.deleteFile('/a/b/c/new');
+      await mfs.deleteFile('/a/b/c/both');
     });
   });
 
@@ -65,9 +120,34 @@ describe('MongoFS', function () {
     it('should fail if the file does not exist', async function () {
       await assert.rejects(mfs.updateFile('/not/found', 'new data'));
     });
+    it('should change the etag', async function () {
+      const { etag } = await mfs.getDescriptor('/a/b/c/x');
+      await mfs.updateFile('/a/b/c/x', 'new data');
+      const file = await mfs.getDescriptor('/a/b/c/x');
+      assert.notEqual(file.etag, etag);
+    });
+    it('should update a file if the etag matches', async function () {
+      const { etag } = await mfs.getDescriptor('/a/b/c/x');
+      await mfs.updateFile('/a/b/c/x', 'matched', null, null, { ifMatch: etag });
+      const file = await mfs.getFile('/a/b/c/x');
+      assert.equal(file.content.toString(), 'matched');
+    });
+    it('should keep the file if the etag does not match', async function () {
+      await assert.rejects(mfs.updateFile('/a/b/c/x', 'stale', null, null, { ifMatch: 'stale' }), {
+        code: 'EPRECONDITION',
+      });
+      const file = await mfs.getFile('/a/b/c/x');
+      assert.equal(file.content.toString(), 'matched');
+    });
   });
 
   describe('deleteFile', function () {
+    it('should not delete a file if the etag does not match', async function () {
+      await assert.rejects(mfs.deleteFile('/a/b/c/x', { ifMatch: 'stale' }), {
+        code: 'EPRECONDITION',
+      });
+      assert.equal(await mfs.isFile('/a/b/c/x'), true);
+    });
     it('should delete a file', async function () {
       await mfs.deleteFile('/a/b/c/x');
       await assert.rejects(mfs.getFile('/a/b/c/x'));
@@ -96,11 +176,108 @@ describe('MongoFS', function () {
       const n = await mfs.deleteFolder('/nosuchfolder');
       assert.equal(n, 0);
     });
+    it('should not delete a non-empty folder unless recursive', async function () {
+      await assert.rejects(mfs.deleteFolder('/dir', { recursive: false }), {
+        code: 'ENOTEMPTY',
+      });
+      await assert.rejects(mfs.deleteFolder('/nosuchfolder', { recursive: false }), {
+        code: 'ENOENT',
+      });
+    });
+    it('should delete an empty folder', async function () {
+      await mfs.createFolder('/empty');
+      await mfs.deleteFolder('/empty', { recursive: false });
+      assert.equal(await mfs.isFolder('/empty'), false);
+    });
     after(async function () {
       await mfs.deleteFolder('/dir');
     });
   });
 
+  describe('createFolder', function () {
+    it('should create an empty folder', async function () {
+      assert.equal(await mfs.createFolder('/folder'), 1);
+      assert.equal(await mfs.isFolder('/folder'), true);
+      assert.deepEqual(await mfs.getFolders('/'), ['folder']);
+      assert.deepEqual(await mfs.getFiles('/folder'), []);
+    });
+    it('should keep the folder after its last file is deleted', async function () {
+      await mfs.createFile('/folder/file', 'test');
+      await mfs.deleteFile('/folder/file');
+      assert.equal(await mfs.isFolder('/folder'), true);
+    });
+    it('should fail if the folder exists', async function () {
+      await assert.rejects(mfs.createFolder('/FOLDER'), { code: 'EEXIST' });
+    });
+    it('should fail if the parent does not exist', async function () {
+      await assert.rejects(mfs.createFolder('/a/b/c'), { code: 'ENOENT' });
+    });
+    it('should create the parent folders if recursive', async function () {
+      assert.equal(await mfs.createFolder('/folder/a/b', { recursive: true }), 2);
+      assert.equal(await mfs.createFolder('/folder/a/b', { recursive: true }), 0);
+      assert.deepEqual(await mfs.getFolders('/folder/a'), ['b']);
+    });
+    it('should fail if a file has the name', async function () {
+      await mfs.createFile('/folder/file', 'test');
+      await assert.rejects(mfs.createFolder('/folder/file'), { code: 'EEXIST' });
+      await assert.rejects(mfs.createFolder('/folder/file/sub', { recursive: true }));
+    });
+    it('should not allow a file to have the name of a folder', async function () {
+      await assert.rejects(mfs.createFile('/folder/a', 'test'), { code: 'EEXIST' });
+    });
+    it('should move the folder when renaming it', async function () {
+      await mfs.renameFolder('/folder', '/renamed');
+      assert.equal(await mfs.isFolder('/folder'), false);
+      assert.equal(await mfs.isFolder('/renamed/a/b'), true);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/renamed');
+    });
+  });
+
+  describe('getFolderMetadata', function () {
+    before(async function () {
+      await mfs.createFolder('/folder', { metadata: { a: 'a' } });
+      await mfs.createFile('/implicit/file', 'test');
+    });
+    it('should get the metadata of a folder', async function () {
+      assert.deepEqual(await mfs.getFolderMetadata('/folder'), { a: 'a' });
+    });
+    it('should return null for an implicit folder', async function () {
+      assert.equal(await mfs.getFolderMetadata('/implicit'), null);
+    });
+    it('should fail if the folder does not exist', async function () {
+      await assert.rejects(mfs.getFolderMetadata('/not/found'), { code: 'ENOENT' });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/folder');
+      await mfs.deleteFolder('/implicit');
+    });
+  });
+
+  describe('updateFolderMetadata', function () {
+    before(async function () {
+      await mfs.createFolder('/folder', { metadata: { a: 'a' } });
+      await mfs.createFile('/implicit/file', 'test');
+    });
+    it('should update the metadata of a folder', async function () {
+      await mfs.updateFolderMetadata('/folder', { a: 'b' });
+      assert.deepEqual(await mfs.getFolderMetadata('/folder'), { a: 'b' });
+    });
+    it('should make an implicit folder explicit', async function () {
+      await mfs.updateFolderMetadata('/implicit', { a: 'c' });
+      await mfs.deleteFile('/implicit/file');
+      assert.deepEqual(await mfs.getFolderMetadata('/implicit'), { a: 'c' });
+    });
+    it('should fail if the folder does not exist', async function () {
+      await assert.rejects(mfs.updateFolderMetadata('/not/found', {}), { code: 'ENOENT' });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/folder');
+      await mfs.deleteFolder('/implicit');
+    });
+  });
+
   describe('getFile', function () {
     before(async function () {
       await mfs.createFile('/dir/file', 'test', { type: 'A' });
@@ -110,12 +287,163 @@ describe('MongoFS', function () {
       assert.deepEqual(file.metadata, { type: 'A' });
       assert.equal(file.content.toString(), 'test');
     });
+    it('should retrieve a byte range of a file', async function () {
+      const file = await mfs.getFile('/dir/file', { start: 1, end: 2 });
+      assert.equal(file.content.toString(), 'es');
+      assert.equal(file.contentLength, 4);
+      assert.deepEqual(file.range, { start: 1, end: 2 });
+    });
+    it('should truncate a range that extends past the end of the file', async function () {
+      const file = await mfs.getFile('/dir/file', { start: 2, end: 100 });
+      assert.equal(file.content.toString(), 'st');
+      assert.deepEqual(file.range, { start: 2, end: 3 });
+    });
+    it('should reject an unsatisfiable range', async function () {
+      await assert.rejects(mfs.getFile('/dir/file', { start: 4 }), { code: 'ERANGE' });
+    });
+    it('should reject an invalid range', async function () {
+      await assert.rejects(mfs.getFile('/dir/file', { start: 2, end: 1 }), { code: 'EINVAL' });
+      await assert.rejects(mfs.getFile('/dir/file', { start: -1 }), { code: 'EINVAL' });
+    });
     it('should fail if the file does not exist', async function () {
       await mfs.deleteFile('/dir/file');
       await assert.rejects(mfs.getFile('/dir/file'));
     });
   });
 
+  describe('createWriteStream', function () {
+    it('should create a file from the written chunks', async function () {
+      const stream = mfs.createWriteStream('/streams/file', { metadata: { type: 'A' } });
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('finish', resolve);
+        stream.write('te');
+        stream.end('st');
+      });
+      const file = await mfs.getFile('/streams/file');
+      assert.deepEqual(file.metadata, { type: 'A' });
+      assert.equal(file.contentType, 'application/octet-stream');
+      assert.equal(file.content.toString(), 'test');
+    });
+    it('should emit an error if the file already exists', async function () {
+      const stream = mfs.createWriteStream('/streams/file');
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          stream.on('error', reject);
+          stream.on('finish', resolve);
+          stream.end('test');
+        })
+      );
+    });
+    it('should replace the file if overwrite is true', async function () {
+      const stream = mfs.createWriteStream('/streams/file', { overwrite: true });
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('finish', resolve);
+        stream.end('replaced');
+      });
+      const file = await mfs.getFile('/streams/file');
+      assert.equal(file.content.toString(), 'replaced');
+    });
+    it('should keep the file if the stream is destroyed', async function () {
+      const stream = mfs.createWriteStream('/streams/file', { overwrite: true });
+      stream.write('partial');
+      await new Promise((resolve) => {
+        stream.on('error', resolve);
+        stream.destroy(new Error('aborted'));
+      });
+      const file = await mfs.getFile('/streams/file');
+      assert.equal(file.content.toString(), 'replaced');
+    });
+    after(async function () {
+      await mfs.deleteFolder('/streams');
+    });
+  });
+
+  describe('createFileFromStream', function () {
+    it('should create a file from a readable stream', async function () {
+      const readable = Readable.from([Buffer.from('te'), Buffer.from('st')]);
+      await mfs.createFileFromStream('/streams/file', readable, 'text/plain');
+      const file = await mfs.getFile('/streams/file');
+      assert.equal(file.contentType, 'text/plain');
+      assert.equal(file.content.toString(), 'test');
+    });
+    it('should not allow us to create a duplicate file', async function () {
+      const readable = Readable.from([Buffer.from('test')]);
+      await assert.rejects(mfs.createFileFromStream('/streams/file', readable));
+    });
+    after(async function () {
+      await mfs.deleteFolder('/streams');
+    });
+  });
+
+  describe('createReadStream', function () {
+    before(async function () {
+      await mfs.createFile('/streams/file', 'test');
+    });
+    it('should stream the content of a file', async function () {
+      const chunks = [];
+      for await (const chunk of mfs.createReadStream('/streams/file')) {
+        chunks.push(chunk);
+      }
+      assert.equal(Buffer.concat(chunks).toString(), 'test');
+    });
+    it('should stream a byte range of a file', async function () {
+      const chunks = [];
+      for await (const chunk of mfs.createReadStream('/streams/file', { start: 1, end: 2 })) {
+        chunks.push(chunk);
+      }
+      assert.equal(Buffer.concat(chunks).toString(), 'es');
+    });
+    it('should emit an error for an unsatisfiable range', async function () {
+      const stream = mfs.createReadStream('/streams/file', { start: 10 });
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          stream.on('error', reject);
+          stream.on('end', resolve);
+          stream.resume();
+        }),
+        { code: 'ERANGE' }
+      );
+    });
+    it('should emit an error if the file does not exist', async function () {
+      const stream = mfs.createReadStream('/streams/nosuchfile');
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          stream.on('error', reject);
+          stream.on('end', resolve);
+          stream.resume();
+        })
+      );
+    });
+    after(async function () {
+      await mfs.deleteFolder('/streams');
+    });
+  });
+
+  describe('pipeFileToStream', function () {
+    before(async function () {
+      await mfs.createFile('/streams/file', 'test');
+    });
+    it('should pipe the content of a file into a writable stream', async function () {
+      const chunks = [];
+      const writable = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+      });
+      await mfs.pipeFileToStream('/streams/file', writable);
+      assert.equal(Buffer.concat(chunks).toString(), 'test');
+    });
+    it('should fail if the file does not exist', async function () {
+      await assert.rejects(mfs.pipeFileToStream('/streams/nosuchfile', new PassThrough()));
+    });
+    after(async function () {
+      await mfs.deleteFolder('/streams');
+    });
+  });
+
   describe('getFiles', function () {
     before(async function () {
       await mfs.createFile('/files/file1', 'test');
@@ -240,6 +568,32 @@ describe('MongoFS', function () {
     });
   });
 
+  describe('findByHash', function () {
+    const hash = crypto.createHash('sha256').update('same').digest('hex');
+    before(async function () {
+      await mfs.createFile('/hash/file1', 'same');
+      await mfs.createFileFromStream('/hash/file2', Readable.from(['sa', 'me']));
+      await mfs.createFile('/hash/other', 'other');
+    });
+    it('should compute the content hash', async function () {
+      const file = await mfs.getDescriptor('/hash/file1');
+      assert.equal(file.contentHash, hash);
+    });
+    it('should find the files having the content hash', async function () {
+      const files = await mfs.findByHash(hash);
+      assert.deepEqual(files.map((f) => f.pathname).sort(), ['/hash/file1', '/hash/file2']);
+    });
+    it('should use the configured algorithm', async function () {
+      const md5 = new MongoFS(client.db(DB), { hashAlgorithm: 'md5' });
+      await md5.createFile('/hash/md5', 'same');
+      const file = await md5.getDescriptor('/hash/md5');
+      assert.equal(file.contentHash, crypto.createHash('md5').update('same').digest('hex'));
+    });
+    after(async function () {
+      await mfs.deleteFolder('/hash');
+    });
+  });
+
   describe('renameFile', function () {
     before(async function () {
       await mfs.createFile('/dir/myfile', 'test');
@@ -257,6 +611,14 @@ describe('MongoFS', function () {
     it('should not allow us to rename it to an existing folder', async function () {
       await assert.rejects(mfs.renameFile('/dir/yourfile', 'folder'));
     });
+    it('should only rename a file if the etag matches', async function () {
+      await assert.rejects(mfs.renameFile('/dir/yourfile', 'theirfile', { ifMatch: 'stale' }), {
+        code: 'EPRECONDITION',
+      });
+      const { etag } = await mfs.getDescriptor('/dir/yourfile');
+      await mfs.renameFile('/dir/yourfile', 'theirfile', { ifMatch: etag });
+      assert.equal(await mfs.isFile('/dir/theirfile'), true);
+    });
     after(async function () {
       await mfs.deleteFolder('/dir');
     });
@@ -276,12 +638,104 @@ describe('MongoFS', function () {
     it('should not allow us to rename it to an existing folder', async function () {
       await assert.rejects(mfs.renameFolder('/newdir/', '/otherdir/'));
     });
+    it('should undo the renamed files if a later file fails', async function () {
+      const files = client.db(DB).collection('fs.files');
+      await files.insertOne({ filename: 'stray', key: '/lastdir/otherfile' });
+      await assert.rejects(mfs.renameFolder('/newdir', '/lastdir'), { code: 'EEXIST' });
+      await files.deleteOne({ filename: 'stray' });
+      assert.deepEqual(await mfs.getFiles('/newdir', true), ['myfile', 'otherfile']);
+      assert.equal(await mfs.isFolder('/lastdir'), false);
+    });
     after(async function () {
       await mfs.deleteFolder('/newdir');
       await mfs.deleteFolder('/otherdir');
     });
   });
 
+  describe('copyFile', function () {
+    before(async function () {
+      await mfs.createFile('/copy/file', 'test', { type: 'A' }, 'text/plain');
+      await mfs.createFile('/copy/existing', 'old');
+    });
+    it('should copy a file to a relative pathname', async function () {
+      assert.equal(await mfs.copyFile('/copy/file', 'copied'), 1);
+      const file = await mfs.getFile('/copy/copied');
+      assert.equal(file.content.toString(), 'test');
+      assert.deepEqual(file.metadata, { type: 'A' });
+      assert.equal(file.contentType, 'text/plain');
+      assert.equal((await mfs.getFile('/copy/file')).content.toString(), 'test');
+    });
+    it('should replace the metadata if specified', async function () {
+      await mfs.copyFile('/copy/file', '/copy/other', { metadata: { type: 'B' } });
+      assert.deepEqual(await mfs.getMetadata('/copy/other'), { type: 'B' });
+    });
+    it('should not copy to an existing file unless overwrite is true', async function () {
+      await assert.rejects(mfs.copyFile('/copy/file', 'EXISTING'), { code: 'EEXIST' });
+      await mfs.copyFile('/copy/file', 'existing', { overwrite: true });
+      assert.equal((await mfs.getFile('/copy/existing')).content.toString(), 'test');
+    });
+    it('should not copy a file that does not exist', async function () {
+      await assert.rejects(mfs.copyFile('/copy/nosuchfile', 'other'), { code: 'ENOENT' });
+    });
+    it('should copy the chunks of a large file', async function () {
+      const buf = Buffer.alloc(600 * 1024, 'x');
+      await mfs.createFile('/copy/large', buf);
+      await mfs.copyFile('/copy/large', 'large2');
+      await mfs.deleteFile('/copy/large');
+      const file = await mfs.getFile('/copy/large2');
+      assert(file.content.equals(buf));
+    });
+    it('should copy the chunks in batches', async function () {
+      const small = new MongoFS(client.db(DB), { chunkSizeBytes: 1024 });
+      const buf = crypto.randomBytes(40 * 1024 + 1);
+      await small.createFile('/copy/chunked', buf);
+      await small.copyFile('/copy/chunked', 'chunked2');
+      const file = await mfs.getFile('/copy/chunked2');
+      assert(file.content.equals(buf));
+      const chunks = client.db(DB).collection('fs.chunks');
+      const copy = await client
+        .db(DB)
+        .collection('fs.files')
+        .findOne({ filename: '/copy/chunked2' });
+      assert.equal(await chunks.countDocuments({ files_id: copy._id }), 41);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/copy');
+    });
+  });
+
+  describe('copyFolder', function () {
+    before(async function () {
+      await mfs.createFile('/src/file', 'test');
+      await mfs.createFile('/src/sub/file', 'test');
+      await mfs.createFolder('/src/empty', { metadata: { type: 'A' } });
+      await mfs.createFile('/occupied/file', 'test');
+    });
+    it('should copy the files and folders', async function () {
+      assert.equal(await mfs.copyFolder('/src', 'dest'), 2);
+      assert.equal((await mfs.getFile('/dest/sub/file')).content.toString(), 'test');
+      assert.deepEqual(await mfs.getFolderMetadata('/dest/empty'), { type: 'A' });
+      assert.equal(await mfs.isFile('/src/sub/file'), true);
+    });
+    it('should not copy to an existing folder', async function () {
+      await assert.rejects(mfs.copyFolder('/src', '/Occupied'), { code: 'EEXIST' });
+      assert.deepEqual(await mfs.getFiles('/occupied', true), ['file']);
+    });
+    it('should remove the copied files if a later file fails', async function () {
+      const files = client.db(DB).collection('fs.files');
+      await files.insertOne({ filename: 'stray', key: '/dest2/sub/file' });
+      await assert.rejects(mfs.copyFolder('/src', '/dest2'), { code: 'EEXIST' });
+      await files.deleteOne({ filename: 'stray' });
+      assert.equal(await mfs.isFolder('/dest2'), false);
+      assert.equal(await files.countDocuments({ filename: /^uploading:/ }), 0);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/src');
+      await mfs.deleteFolder('/dest');
+      await mfs.deleteFolder('/occupied');
+    });
+  });
+
   describe('updateMetadata', function () {
     before(async function () {
       await mfs.createFile('/m', 'test', { a: 'a' });
@@ -291,6 +745,16 @@ describe('MongoFS', function () {
       const metadata = await mfs.getMetadata('/m');
       assert.deepEqual(metadata, { a: 'b' });
     });
+    it('should change the etag', async function () {
+      const { etag } = await mfs.getDescriptor('/m');
+      await mfs.updateMetadata('/m', { a: 'c' }, { ifMatch: etag });
+      const file = await mfs.getDescriptor('/m');
+      assert.notEqual(file.etag, etag);
+      await assert.rejects(mfs.updateMetadata('/m', { a: 'd' }, { ifMatch: etag }), {
+        code: 'EPRECONDITION',
+      });
+      assert.deepEqual(await mfs.getMetadata('/m'), { a: 'c' });
+    });
     it('should fail if the file does not exist', async function () {
       await assert.rejects(mfs.updateMetadata('/not/found', {}));
     });
@@ -299,6 +763,345 @@ describe('MongoFS', function () {
     });
   });
 
+  describe('getVersions', function () {
+    let vfs = null;
+    before(async function () {
+      vfs = new MongoFS(client.db(DB), { versioning: true });
+      await vfs.createFile('/v', 'one', { n: 1 });
+      await vfs.updateFile('/v', 'two', { n: 2 });
+      await vfs.updateFile('/v', 'three');
+    });
+    it('should list the versions of a file', async function () {
+      const versions = await vfs.getVersions('/v');
+      assert.deepEqual(
+        versions.map((v) => v.version),
+        [1, 2, 3]
+      );
+      assert.equal(versions[0].pathname, '/v');
+      assert(versions[0].archived instanceof Date);
+      assert.equal(versions[2].archived, undefined);
+    });
+    it('should get the content of a prior version', async function () {
+      const file = await vfs.getFile('/v', { version: 1 });
+      assert.equal(file.content.toString(), 'one');
+      assert.deepEqual(file.metadata, { n: 1 });
+    });
+    it('should get a range of a prior version', async function () {
+      const file = await vfs.getFile('/v', { version: 2, start: 1 });
+      assert.equal(file.content.toString(), 'wo');
+    });
+    it('should fail if the version does not exist', async function () {
+      await assert.rejects(vfs.getFile('/v', { version: 9 }), { code: 'ENOENT' });
+    });
+    it('should not include prior versions in listings', async function () {
+      const files = await vfs.getFiles('/');
+      assert.equal(files.filter((f) => f.filename === 'v').length, 1);
+      const found = await vfs.findFiles({ 'metadata.n': 1 });
+      assert.equal(found.length, 0);
+    });
+    it('should delete prior versions with the file', async function () {
+      await vfs.deleteFile('/v');
+      await vfs.createFile('/v', 'new');
+      const versions = await vfs.getVersions('/v');
+      assert.equal(versions.length, 1);
+    });
+    after(async function () {
+      await vfs.deleteFile('/v');
+    });
+  });
+
+  describe('restoreVersion', function () {
+    let vfs = null;
+    before(async function () {
+      vfs = new MongoFS(client.db(DB), { versioning: true });
+      await vfs.createFile('/r', 'one', { n: 1 });
+      await vfs.updateFile('/r', 'two', { n: 2 });
+    });
+    it('should restore a prior version as a new version', async function () {
+      const version = await vfs.restoreVersion('/r', 1);
+      assert.equal(version, 3);
+      const file = await vfs.getFile('/r');
+      assert.equal(file.content.toString(), 'one');
+      assert.deepEqual(file.metadata, { n: 1 });
+      const prior = await vfs.getFile('/r', { version: 2 });
+      assert.equal(prior.content.toString(), 'two');
+    });
+    it('should fail if the version does not exist', async function () {
+      await assert.rejects(vfs.restoreVersion('/r', 9));
+    });
+    after(async function () {
+      await vfs.deleteFile('/r');
+    });
+  });
+
+  describe('pruneVersions', function () {
+    let vfs = null;
+    before(async function () {
+      vfs = new MongoFS(client.db(DB), { versioning: { keep: 2 } });
+      await vfs.createFile('/p', '1');
+      for (let i = 2; i <= 5; i++) {
+        await vfs.updateFile('/p', String(i));
+      }
+    });
+    it('should keep the configured number of prior versions', async function () {
+      const versions = await vfs.getVersions('/p');
+      assert.deepEqual(
+        versions.map((v) => v.version),
+        [3, 4, 5]
+      );
+    });
+    it('should delete versions older than the maximum age', async function () {
+      const ofs = new MongoFS(client.db(DB), { versioning: { maxAge: 0 } });
+      const count = await ofs.pruneVersions();
+      assert.equal(count, 2);
+      const versions = await vfs.getVersions('/p');
+      assert.equal(versions.length, 1);
+    });
+    after(async function () {
+      await vfs.deleteFile('/p');
+    });
+  });
+
+  describe('listTrash', function () {
+    let tfs = null;
+    before(async function () {
+      tfs = new MongoFS(client.db(DB), { trash: true });
+      await tfs.createFile('/t/file', 'test', { trash: true });
+      await tfs.createFile('/t/dir/a', 'test');
+      await tfs.createFile('/t/dir/b', 'test');
+      await tfs.deleteFile('/t/file');
+      await tfs.deleteFolder('/t/dir');
+    });
+    it('should list one entry per deletion', async function () {
+      const entries = await tfs.listTrash();
+      assert.equal(entries.length, 2);
+      const folder = entries.find((entry) => entry.folder);
+      assert.equal(folder.pathname, '/t/dir');
+      assert.equal(folder.files.length, 2);
+      assert(folder.deleted instanceof Date);
+      const file = entries.find((entry) => !entry.folder);
+      assert.equal(file.pathname, '/t/file');
+      assert.equal(file.files[0].pathname, '/t/file');
+    });
+    it('should hide trashed files', async function () {
+      assert.equal(await tfs.isFile('/t/file'), false);
+      assert.equal(await tfs.isFolder('/t/dir'), false);
+      assert.deepEqual(await tfs.getFolders('/t'), []);
+      assert.deepEqual(await tfs.getFiles('/t'), []);
+      assert.deepEqual(await tfs.findFiles({ 'metadata.trash': true }), []);
+    });
+    after(async function () {
+      await tfs.emptyTrash();
+    });
+  });
+
+  describe('restore', function () {
+    let tfs = null;
+    before(async function () {
+      tfs = new MongoFS(client.db(DB), { trash: true });
+      await tfs.createFile('/t/dir/a', 'test');
+      await tfs.createFile('/t/dir/b', 'test');
+      await tfs.deleteFolder('/t/dir');
+    });
+    it('should restore a deleted folder', async function () {
+      const [entry] = await tfs.listTrash();
+      assert.equal(await tfs.restore(entry.id), 2);
+      assert.equal(await tfs.isFile('/t/dir/a'), true);
+      assert.equal(await tfs.isFile('/t/dir/b'), true);
+      assert.deepEqual(await tfs.listTrash(), []);
+    });
+    it('should fail if the original path is taken', async function () {
+      await tfs.deleteFile('/t/dir/a');
+      await tfs.createFile('/t/dir/A', 'other');
+      const [entry] = await tfs.listTrash();
+      await assert.rejects(tfs.restore(entry.id), { code: 'EEXIST' });
+    });
+    it('should fail if the entry does not exist', async function () {
+      await assert.rejects(tfs.restore('nosuchid'), { code: 'ENOENT' });
+    });
+    after(async function () {
+      await mfs.deleteFolder('/t');
+      await tfs.emptyTrash();
+    });
+  });
+
+  describe('emptyTrash', function () {
+    let tfs = null;
+    before(async function () {
+      tfs = new MongoFS(client.db(DB), { trash: true });
+      await tfs.createFile('/t/a', 'test');
+      await tfs.createFile('/t/b', 'test');
+      await tfs.deleteFolder('/t');
+    });
+    it('should keep files deleted more recently than olderThan', async function () {
+      assert.equal(await tfs.emptyTrash({ olderThan: 1 }), 0);
+      assert.equal((await tfs.listTrash()).length, 1);
+    });
+    it('should permanently delete the trashed files', async function () {
+      assert.equal(await tfs.emptyTrash(), 2);
+      assert.deepEqual(await tfs.listTrash(), []);
+    });
+  });
+
+  describe('batch', function () {
+    let messages = null;
+    let bfs = null;
+    before(async function () {
+      bfs = new MongoFS(client.db(DB), (message) => messages.push(message));
+      await mfs.createFile('/batch/old', 'test');
+    });
+    beforeEach(function () {
+      messages = [];
+    });
+    it('should perform all operations', async function () {
+      const result = await bfs.batch(async (batch) => {
+        await batch.createFile('/batch/new', 'test');
+        await batch.renameFile('/batch/old', '/batch/renamed');
+        return 'done';
+      });
+      assert.equal(result, 'done');
+      assert.deepEqual((await mfs.getFiles('/batch', true)).sort(), ['new', 'renamed']);
+      assert.deepEqual(messages, [
+        'batch: createFile: /batch/new, renameFile: /batch/old to /batch/renamed',
+      ]);
+    });
+    it('should undo all operations if one fails', async function () {
+      await assert.rejects(
+        bfs.batch(async (batch) => {
+          await batch.createFile('/batch/other', 'test');
+          await batch.renameFolder('/batch', '/moved');
+          await batch.deleteFile('/moved/nosuchfile');
+        }),
+        { code: 'ENOENT' }
+      );
+      assert.deepEqual((await mfs.getFiles('/batch', true)).sort(), ['new', 'renamed']);
+      assert.equal(await mfs.isFolder('/moved'), false);
+      assert.deepEqual(messages, []);
+    });
+    it('should undo deleted files', async function () {
+      await assert.rejects(
+        bfs.batch(async (batch) => {
+          await batch.deleteFolder('/batch');
+          throw new Error('failed');
+        })
+      );
+      assert.deepEqual((await mfs.getFiles('/batch', true)).sort(), ['new', 'renamed']);
+      const file = await mfs.getFile('/batch/new');
+      assert.equal(file.content.toString(), 'test');
+    });
+    it('should undo copies and created folders', async function () {
+      await assert.rejects(
+        bfs.batch(async (batch) => {
+          await batch.copyFile('/batch/new', '/batch/copy');
+          await batch.copyFolder('/batch', '/backup');
+          await batch.createFolder('/batch/empty');
+          throw new Error('failed');
+        })
+      );
+      assert.deepEqual((await mfs.getFiles('/batch', true)).sort(), ['new', 'renamed']);
+      assert.deepEqual(await mfs.getFolders('/batch'), []);
+      assert.equal(await mfs.isFolder('/backup'), false);
+    });
+    it('should retry a transaction failing because of a transient error', async function () {
+      const { setName, msg } = await client.db(DB).command({ isMaster: 1 });
+      if (!setName && msg !== 'isdbgrid') {
+        this.skip(); // transactions require a replica set
+      }
+      const tfs = new MongoFS(client.db(DB), { client });
+      let calls = 0;
+      await tfs.batch(async (batch) => {
+        await batch.createFolder('/batch/retried');
+        if (++calls === 1) {
+          throw new MongoError({ message: 'conflict', errorLabels: ['TransientTransactionError'] });
+        }
+      });
+      assert.equal(calls, 2);
+      assert.equal(await mfs.isFolder('/batch/retried'), true);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/batch');
+    });
+  });
+
+  describe('recover', function () {
+    before(async function () {
+      await mfs.createFile('/recover/file', 'test');
+      await mfs.createFile('/recover/deleted', 'test');
+    });
+    it('should not recover operations that may still be in progress', async function () {
+      assert.equal(await mfs.recover(), 0);
+    });
+    it('should undo an interrupted operation', async function () {
+      const db = client.db(DB);
+      const id = new ObjectId();
+      await db
+        .collection('fs.journal')
+        .insertOne({ _id: id, started: new Date(0), committed: false });
+      const files = db.collection('fs.files');
+      const file = await files.findOne({ filename: '/recover/file' });
+      const prior = { filename: file.filename, key: file.key, ancestors: file.ancestors };
+      await files.updateOne(
+        { _id: file._id },
+        {
+          $set: { filename: '/moved/file', journal: { id, seq: 0, prior, absent: [] } },
+          $unset: { key: '', ancestors: '' },
+        }
+      );
+      assert.equal(await mfs.recover({ olderThan: 0 }), 1);
+      assert.equal(await mfs.isFile('/recover/file'), true);
+      assert.equal(await mfs.isFile('/moved/file'), false);
+      await assert.rejects(mfs.createFile('/RECOVER/FILE', 'test'), { code: 'EEXIST' });
+    });
+    it('should undo an interrupted replacement of a file', async function () {
+      const db = client.db(DB);
+      const files = db.collection('fs.files');
+      const crashing = new MongoFS(db);
+      let crashed;
+      const crash = new Promise((resolve) => (crashed = resolve));
+      let writes = 0;
+      crashing._files = () => {
+        return Object.create(files, {
+          updateOne: {
+            // The process stops before the uploaded file is given the pathname.
+            value: (query, update, options) => {
+              if (update.$set && update.$set.journal && ++writes === 2) {
+                crashed();
+                return new Promise(() => {});
+              }
+              return files.updateOne(query, update, options);
+            },
+          },
+        });
+      };
+      crashing.updateFile('/recover/file', 'replaced');
+      await crash;
+      assert.equal(await mfs.isFile('/recover/file'), false);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      assert.equal(await mfs.recover({ olderThan: 0 }), 1);
+      assert.equal((await mfs.getFile('/recover/file')).content.toString(), 'test');
+      await files.deleteOne({ filename: 'uploading:/recover/file' });
+    });
+    it('should complete an interrupted operation that was committed', async function () {
+      const db = client.db(DB);
+      const id = new ObjectId();
+      await db
+        .collection('fs.journal')
+        .insertOne({ _id: id, started: new Date(0), committed: true });
+      await db
+        .collection('fs.files')
+        .updateOne(
+          { filename: '/recover/deleted' },
+          { $set: { filename: 'deleting:x', journal: { id, remove: true } } }
+        );
+      assert.equal(await mfs.recover({ olderThan: 0 }), 1);
+      assert.equal(await db.collection('fs.files').countDocuments({ filename: 'deleting:x' }), 0);
+      assert.equal(await db.collection('fs.journal').countDocuments(), 0);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/recover');
+    });
+  });
+
   after(async function () {
     await client.close();
   });
@@ -0,0 +1,262 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { MongoClient } = require('mongodb');
+const { createClient } = require('webdav');
+const { MongoFS, webdav } = require('../mongodb-filesystem');
+
+const URL = 'mongodb://localhost:27017';
+const DB = 'mongofs-testdb';
+
+describe('webdav', function () {
+  let client = null;
+  let mfs = null;
+  let server = null;
+  let dav = null;
+
+  // Sends a raw request to the test server and resolves with the response
+  // status, headers and body (as a string).
+  function request(method, path, headers, body) {
+    return new Promise((resolve, reject) => {
+      const { port } = server.address();
+      const req = http.request({ port, path, headers, method }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+          });
+        });
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  before(async function () {
+    client = new MongoClient(URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await client.connect();
+    const db = client.db(DB);
+    mfs = new MongoFS(db);
+    await mfs.deleteFolder('/');
+    server = http.createServer(webdav(mfs, { root: '/dav' }));
+    await new Promise((resolve) => server.listen(0, resolve));
+    dav = createClient(`http://localhost:${server.address().port}`);
+  });
+
+  describe('OPTIONS', function () {
+    it('should announce class 1 and 2 compliance', async function () {
+      const res = await request('OPTIONS', '/');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['dav'], '1, 2');
+    });
+  });
+
+  describe('PUT and GET', function () {
+    it('should create a file', async function () {
+      await dav.putFileContents('/file.txt', 'test', { contentLength: 4 });
+      const file = await mfs.getFile('/dav/file.txt');
+      assert.equal(file.content.toString(), 'test');
+    });
+    it('should update a file', async function () {
+      await dav.putFileContents('/file.txt', 'new data');
+      const content = await dav.getFileContents('/file.txt', { format: 'text' });
+      assert.equal(content, 'new data');
+    });
+    it('should respond with 412 if the If-Match header does not match', async function () {
+      const res = await request('PUT', '/file.txt', { 'if-match': '"stale"' }, 'stale');
+      assert.equal(res.status, 412);
+      const { etag } = await mfs.getDescriptor('/dav/file.txt');
+      const ok = await request('PUT', '/file.txt', { 'if-match': `"${etag}"` }, 'matched');
+      assert.equal(ok.status, 204);
+      const file = await mfs.getFile('/dav/file.txt');
+      assert.equal(file.content.toString(), 'matched');
+    });
+    it('should respond with 409 if the parent collection does not exist', async function () {
+      const res = await request('PUT', '/nosuchdir/file.txt', {}, 'test');
+      assert.equal(res.status, 409);
+      assert.equal(await mfs.isFolder('/dav/nosuchdir'), false);
+      await mfs.createFolder('/dav/dir');
+      assert.equal((await request('PUT', '/dir/file.txt', {}, 'test')).status, 201);
+    });
+    it('should respond with 409 for a name conflicting in case', async function () {
+      const res = await request('PUT', '/FILE.TXT', {}, 'test');
+      assert.equal(res.status, 409);
+    });
+    it('should respond with 507 if a quota is exceeded', async function () {
+      await mfs.setQuota('/dav', { maxFileSize: 4 });
+      const res = await request('PUT', '/big.txt', {}, 'too big');
+      assert.equal(res.status, 507);
+      assert.equal(await mfs.isFile('/dav/big.txt'), false);
+      await mfs.setQuota('/dav', null);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/dav');
+    });
+  });
+
+  describe('PROPFIND', function () {
+    before(async function () {
+      await mfs.createFile('/dav/dir/file1', 'test');
+      await mfs.createFile('/dav/dir/file2', 'test');
+      await mfs.createFile('/dav/dir/sub/file3', 'test');
+    });
+    it('should list the files and folders of a collection', async function () {
+      const items = await dav.getDirectoryContents('/dir');
+      const names = items.map((item) => item.basename).sort();
+      assert.deepEqual(names, ['file1', 'file2', 'sub']);
+      assert.equal(items.find((item) => item.basename === 'sub').type, 'directory');
+    });
+    it('should get the properties of a file', async function () {
+      const stat = await dav.stat('/dir/file1');
+      assert.equal(stat.type, 'file');
+      assert.equal(stat.size, 4);
+    });
+    it('should respond with 404 if the resource does not exist', async function () {
+      assert.equal(await dav.exists('/nosuchfile'), false);
+    });
+    it('should refuse an infinite depth', async function () {
+      const res = await request('PROPFIND', '/dir', { depth: 'infinity' });
+      assert.equal(res.status, 403);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/dav');
+    });
+  });
+
+  describe('MKCOL', function () {
+    it('should create an empty collection', async function () {
+      await dav.createDirectory('/empty');
+      const stat = await dav.stat('/empty');
+      assert.equal(stat.type, 'directory');
+      assert.equal(await mfs.isFolder('/dav/empty'), true);
+    });
+    it('should respond with 405 if the collection exists', async function () {
+      const res = await request('MKCOL', '/EMPTY');
+      assert.equal(res.status, 405);
+    });
+    it('should respond with 409 if the parent does not exist', async function () {
+      const res = await request('MKCOL', '/a/b/c');
+      assert.equal(res.status, 409);
+    });
+    after(async function () {
+      await dav.deleteFile('/empty');
+    });
+  });
+
+  describe('DELETE', function () {
+    before(async function () {
+      await mfs.createFile('/dav/dir/file1', 'test');
+      await mfs.createFile('/dav/dir/file2', 'test');
+    });
+    it('should delete a file', async function () {
+      await dav.deleteFile('/dir/file1');
+      assert.equal(await mfs.isFile('/dav/dir/file1'), false);
+    });
+    it('should delete a collection', async function () {
+      await dav.deleteFile('/dir');
+      assert.equal(await mfs.isFolder('/dav/dir'), false);
+    });
+  });
+
+  describe('MOVE', function () {
+    before(async function () {
+      await mfs.createFile('/dav/dir/file1', 'test');
+      await mfs.createFile('/dav/dir/file2', 'test');
+      await mfs.createFile('/dav/other/file', 'test');
+    });
+    it('should rename a file', async function () {
+      await dav.moveFile('/dir/file1', '/dir/renamed');
+      assert.equal(await mfs.isFile('/dav/dir/renamed'), true);
+      assert.equal(await mfs.isFile('/dav/dir/file1'), false);
+    });
+    it('should rename a collection', async function () {
+      await dav.moveFile('/dir', '/newdir');
+      const files = await mfs.getFiles('/dav/newdir');
+      assert.equal(files.length, 2);
+    });
+    it('should respond with 412 if the destination exists and Overwrite is F', async function () {
+      const { port } = server.address();
+      const res = await request('MOVE', '/newdir', {
+        destination: `http://localhost:${port}/other`,
+        overwrite: 'F',
+      });
+      assert.equal(res.status, 412);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/dav');
+    });
+  });
+
+  describe('COPY', function () {
+    before(async function () {
+      await mfs.createFile('/dav/dir/file', 'test', { type: 'A' });
+      await mfs.createFile('/dav/dir/sub/file', 'test');
+    });
+    it('should copy a file', async function () {
+      await dav.copyFile('/dir/file', '/copy');
+      const file = await mfs.getFile('/dav/copy');
+      assert.equal(file.content.toString(), 'test');
+      assert.deepEqual(file.metadata, { type: 'A' });
+    });
+    it('should copy a collection', async function () {
+      await dav.copyFile('/dir', '/dircopy');
+      assert.equal(await mfs.isFile('/dav/dircopy/file'), true);
+      assert.equal(await mfs.isFile('/dav/dircopy/sub/file'), true);
+    });
+    it('should keep the destination if the transfer fails', async function () {
+      const { port } = server.address();
+      await mfs.createFile('/dav/large', 'too large');
+      await mfs.setQuota('/dav/dir', { maxFileSize: 4 });
+      const headers = { destination: `http://localhost:${port}/dir/file`, overwrite: 'T' };
+      assert.equal((await request('COPY', '/large', headers)).status, 507);
+      assert.equal((await request('MOVE', '/large', headers)).status, 507);
+      assert.equal((await mfs.getFile('/dav/dir/file')).content.toString(), 'test');
+      assert.equal(await mfs.isFile('/dav/large'), true);
+      await mfs.setQuota('/dav/dir', null);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/dav');
+    });
+  });
+
+  describe('LOCK and UNLOCK', function () {
+    before(async function () {
+      await mfs.createFile('/dav/locked', 'test');
+    });
+    it('should lock a file and refuse writes without the token', async function () {
+      const lock = await dav.lock('/locked');
+      const res = await request('PUT', '/locked', {}, 'new data');
+      assert.equal(res.status, 423);
+      await dav.putFileContents('/locked', 'new data', {
+        headers: { If: `(<${lock.token}>)` },
+      });
+      await dav.unlock('/locked', lock.token);
+      await dav.putFileContents('/locked', 'more data');
+    });
+    it('should refuse a second exclusive lock', async function () {
+      const lock = await dav.lock('/locked');
+      await assert.rejects(dav.lock('/locked'));
+      await dav.unlock('/locked', lock.token);
+    });
+    it('should create an empty file when locking an unmapped URL', async function () {
+      const lock = await dav.lock('/new');
+      assert.equal(await mfs.isFile('/dav/new'), true);
+      await dav.unlock('/new', lock.token);
+    });
+    after(async function () {
+      await mfs.deleteFolder('/dav');
+    });
+  });
+
+  after(async function () {
+    server.close();
+    await client.close();
+  });
+});